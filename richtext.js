@@ -33,6 +33,11 @@ function convertColor(v)
         return "#" + hex(r) + hex(g) + hex(b);
     }
 
+    // Anything else that isn't a string, such as a boolean passed as a command value, is no color
+    if (typeof v != "string") {
+        return null;
+    }
+
     if (v.substr(0, 3) == "rgb") {
         var re = /rgb\s*\(\s*([0-9]+)\s*,\s*([0-9]+)\s*,\s*([0-9]+)\s*\)/;
         if (v.match(re)) {
@@ -51,6 +56,83 @@ function convertColor(v)
     return null;
 }
 
+// Check a URL against a list of allowed schemes, relative URLs are allowed unless absolute is set,
+// returns the trimmed URL or null
+function checkUrl(url, schemes, absolute)
+{
+    if(typeof url != "string")
+        return null;
+    url = url.replace(/^\s+|\s+$/g, "");
+    if(!url)
+        return null;
+
+    // Browsers ignore whitespace and control characters inside a scheme, so "java\nscript:" must be caught too
+    var match = url.replace(/[\x00-\x20]+/g, "").match(/^([a-z][a-z0-9+.\-]*):/i);
+    if(!match)
+        return absolute ? null : url;
+
+    var scheme = match[1].toLowerCase();
+    for(var i = 0; i < schemes.length; i++)
+    {
+        if(schemes[i] == scheme)
+            return url;
+    }
+    return null;
+}
+
+// Stop the default action and bubbling of an event in either event model
+function cancelEvent(e)
+{
+    if(e.preventDefault)
+        e.preventDefault();
+    else
+        e.returnValue = false;
+    
+    if(e.stopPropagation)
+        e.stopPropagation();
+    else
+        e.cancelBubble = true;
+    
+    return false;
+}
+
+// Check whether an element has a class name
+function hasClass(node, name)
+{
+    return (" " + (node.className || "") + " ").indexOf(" " + name + " ") >= 0;
+}
+
+// Add a class name to an element
+function addClass(node, name)
+{
+    if(!hasClass(node, name))
+        node.className = node.className ? node.className + " " + name : name;
+}
+
+// Remove a class name from an element
+function removeClass(node, name)
+{
+    node.className = (" " + (node.className || "") + " ").replace(" " + name + " ", " ").replace(/^\s+|\s+$/g, "");
+}
+
+// Add a style sheet to a document once, id identifies it so it isn't added again
+function addStyleSheet(doc, id, css)
+{
+    if(doc.getElementById(id))
+        return;
+
+    var style = doc.createElement("style");
+    style.type = "text/css";
+    style.id = id;
+    (doc.getElementsByTagName("head")[0] || doc.documentElement).appendChild(style);
+
+    // IE only takes style text through its own style sheet object
+    if(style.styleSheet)
+        style.styleSheet.cssText = css;
+    else
+        style.appendChild(doc.createTextNode(css));
+}
+
 // Launch window if not existing and add message
 function debug(message, level)
 {
@@ -58,598 +140,9103 @@ function debug(message, level)
 }
 
 /**
-* Class EditableBase
+* Content serialization
 *
-* Base class for browser specific rich text editing classes
+* Turns the markup each engine produces into one canonical form, so the same visual result always serializes
+* to the same string whichever browser it was edited in
 **/
-var EditableBase = function()
+
+// Inline formatting elements in the order they nest when serialized, outermost first
+var CONTENT_MARK_ORDER = ['a', 'span', 'strong', 'em', 'u', 's', 'code', 'sub', 'sup'];
+
+// Engine specific tag names and their canonical equivalent
+var CONTENT_TAG_NAMES = {
+    b      : 'strong',
+    i      : 'em',
+    strike : 's',
+    tt     : 'code'
+};
+
+// Block level elements, everything else is treated as inline
+var CONTENT_BLOCK_TAGS = {
+    address: 1, article: 1, aside: 1, blockquote: 1, caption: 1, dd: 1, div: 1, dl: 1, dt: 1, fieldset: 1,
+    figcaption: 1, figure: 1, footer: 1, form: 1, h1: 1, h2: 1, h3: 1, h4: 1, h5: 1, h6: 1, header: 1, hr: 1,
+    li: 1, nav: 1, ol: 1, p: 1, pre: 1, section: 1, table: 1, tbody: 1, td: 1, tfoot: 1, th: 1, thead: 1, tr: 1,
+    ul: 1
+};
+
+// Blocks that are dropped when they end up with no content, such as the <div> Gecko writes into its iframe
+var CONTENT_EMPTY_BLOCKS = {address: 1, blockquote: 1, div: 1, h1: 1, h2: 1, h3: 1, h4: 1, h5: 1, h6: 1, p: 1, pre: 1};
+
+// Elements without a closing tag
+var CONTENT_VOID_TAGS = {area: 1, base: 1, br: 1, col: 1, embed: 1, hr: 1, img: 1, input: 1, param: 1, source: 1, wbr: 1};
+
+// Elements that run script, load other documents or change the page, never kept in content
+var CONTENT_UNSAFE_TAGS = {
+    applet: 1, base: 1, embed: 1, frame: 1, frameset: 1, iframe: 1, link: 1, meta: 1, object: 1, script: 1,
+    style: 1, template: 1
+};
+
+// Sizes 1 to 7 used by <font size> and the fontsize command, as CSS keywords
+var CONTENT_FONT_SIZES = ['x-small', 'small', 'medium', 'large', 'x-large', 'xx-large', 'xxx-large'];
+
+// Parse html into a detached element, in an inert document where possible so nothing in it loads or runs
+function parseContent(html, doc)
 {
-    // Document object reference of document containing edited node
-    this.doc = null;
-    
-    // Reference to node being edited
-    this.node = null;
-    
-    // Array holding last validated commands, used to compare and signal a change
-    this.cachedCommandArray = null;
-    
-    // Function reference of function to call if command state changes
-    this.stateChangeCallback = null;
-    
-    // Commands to check for when checking context
-    this.commands = [
-                        ['bold', 'state'],
-                        ['italic', 'state'],
-                        ['underline', 'state'],
-                        ['fontname', 'value'],
-                        ['fontsize', 'value'],
-                        ['forecolor', 'value']
-                    ];
+    doc = doc || document;
+    if(doc.implementation && doc.implementation.createHTMLDocument)
+        doc = doc.implementation.createHTMLDocument("");
+
+    var container = doc.createElement("div");
+    container.innerHTML = html || "";
+    return container;
+}
+
+// Serialize the children of root in canonical form
+function serializeContent(root)
+{
+    return serializeContentChildren(root, false);
+}
+
+// Lower case tag name of an element, mapped to its canonical name
+function contentTagName(node)
+{
+    var name = node.nodeName.toLowerCase();
+    return CONTENT_TAG_NAMES[name] || name;
+}
+
+// Escape text for use in element content or attribute values
+function escapeContent(text, attribute)
+{
+    text = text.replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;").replace(/\u00a0/g, "&nbsp;");
+    return attribute ? text.replace(/"/g, "&quot;") : text;
+}
+
+// Parse style declarations into an associative array of canonical property values
+function parseContentStyle(cssText)
+{
+    var style = {};
+    var declarations = (cssText || "").split(";");
+    for(var i = 0; i < declarations.length; i++)
+    {
+        var colon = declarations[i].indexOf(":");
+        if(colon < 0)
+            continue;
+
+        var property = declarations[i].substr(0, colon).replace(/^\s+|\s+$/g, "").toLowerCase();
+        var value = declarations[i].substr(colon + 1).replace(/^\s+|\s+$/g, "");
+        if(!property || !value)
+            continue;
+
+        if(property.search(/color/) >= 0)
+            value = (convertColor(value) || value).toLowerCase();
+        else if(property == "font-family")
+            value = canonicalFontFamily(value);
+        else if(property == "font-size")
+            value = value.replace(/^-webkit-/, "");
+
+        style[property] = value;
+    }
+    return style;
+}
+
+// Font family list with consistent quoting, browsers differ in single, double or no quotes
+function canonicalFontFamily(value)
+{
+    var fonts = value.split(",");
+    for(var i = 0; i < fonts.length; i++)
+    {
+        fonts[i] = fonts[i].replace(/["']/g, "").replace(/^\s+|\s+$/g, "");
+        if(fonts[i].search(/\s/) >= 0)
+            fonts[i] = "'" + fonts[i] + "'";
+    }
+    return fonts.join(", ");
+}
+
+// Write an associative array of style properties back out, sorted so the same style gives the same string
+function formatContentStyle(style)
+{
+    var properties = [];
+    for(var property in style)
+        properties.push(property);
+    properties.sort();
+
+    for(var i = 0; i < properties.length; i++)
+        properties[i] = properties[i] + ": " + style[properties[i]];
+    return properties.join("; ");
+}
+
+// Check whether an attribute would run script, an event handler or a URL attribute holding a script URL
+function isUnsafeContentAttribute(name, value)
+{
+    return name.indexOf("on") == 0 || (SANITIZE_URL_ATTRIBUTES[name] && !isSafeContentUrl(value));
+}
+
+// Remove everything that would run script from inside root, leaving the rest as it is
+function removeUnsafeContent(root)
+{
+    var child = root.firstChild;
+    while(child)
+    {
+        var next = child.nextSibling;
+        if(child.nodeType == ELEMENT_NODE)
+        {
+            if(CONTENT_UNSAFE_TAGS[child.nodeName.toLowerCase()])
+                root.removeChild(child);
+            else
+            {
+                for(var i = child.attributes.length - 1; i >= 0; i--)
+                {
+                    var attribute = child.attributes[i];
+                    if(isUnsafeContentAttribute(attribute.nodeName.toLowerCase(), attribute.nodeValue))
+                        child.removeAttribute(attribute.nodeName);
+                }
+                removeUnsafeContent(child);
+            }
+        }
+        child = next;
+    }
+}
+
+// Check that a URL can't run script, javascript: and the like are refused and data: is only allowed for images
+function isSafeContentUrl(url)
+{
+    url = String(url).replace(/[\x00-\x20]+/g, "");
+    var match = url.match(/^([a-z][a-z0-9+.\-]*):/i);
+    if(!match)
+        return true;
+
+    var scheme = match[1].toLowerCase();
+    if(scheme == "data")
+        return /^data:image\/(png|gif|jpe?g|webp);/i.test(url);
+    return scheme != "javascript" && scheme != "vbscript" && scheme != "livescript";
+}
+
+// Canonical attribute string of an element, sorted, with engine junk removed. skip lists names to leave out
+function formatContentAttributes(node, skip)
+{
+    var attributes = {};
+    var names = [];
+    for(var i = 0; i < node.attributes.length; i++)
+    {
+        var attribute = node.attributes[i];
+        var name = attribute.nodeName.toLowerCase();
+        var value = attribute.nodeValue;
+
+        // Old IE lists every possible attribute, Gecko marks nodes with _moz attributes
+        if(attribute.specified === false || name.indexOf("_moz") == 0 || (skip && skip[name]))
+            continue;
+
+        // Event handlers and script URLs would run once the content is shown
+        if(isUnsafeContentAttribute(name, value))
+            continue;
+
+        if(name == "style")
+            value = formatContentStyle(parseContentStyle(node.style.cssText));
+        else if(name == "class")
+            value = String(value).replace(/(^|\s)Apple-[\w\-]+/g, "").replace(/^\s+|\s+$/g, "");
+        if(value === null || (value === "" && (name == "style" || name == "class")))
+            continue;
+
+        attributes[name] = value;
+        names.push(name);
+    }
+    names.sort();
+
+    var html = "";
+    for(var j = 0; j < names.length; j++)
+        html += " " + names[j] + '="' + escapeContent(String(attributes[names[j]]), true) + '"';
+    return html;
+}
+
+// Attribute marking elements the editor adds to the edited node for its own interface, such as upload
+// placeholders. They are never content, so they are left out of serialized content and history
+var EDITOR_UI_ATTRIBUTE = "data-editable-ui";
+
+// Check whether node is an element the editor added for its own interface
+function isEditorUI(node)
+{
+    return node.nodeType == ELEMENT_NODE && node.getAttribute(EDITOR_UI_ATTRIBUTE) !== null;
+}
+
+// Remove every element the editor added for its own interface from inside root
+function removeEditorUI(root)
+{
+    var child = root.firstChild;
+    while(child)
+    {
+        var next = child.nextSibling;
+        if(isEditorUI(child))
+            root.removeChild(child);
+        else if(child.nodeType == ELEMENT_NODE)
+            removeEditorUI(child);
+        child = next;
+    }
+}
+
+// Check whether an element only carries formatting, anything else keeps it as its own element
+function isContentMarkElement(node, name)
+{
+    if(name != "span" && name != "font")
+    {
+        var isMark = false;
+        for(var i = 1; i < CONTENT_MARK_ORDER.length; i++)
+        {
+            if(CONTENT_MARK_ORDER[i] == name)
+                isMark = true;
+        }
+        if(!isMark)
+            return false;
+    }
+    return formatContentAttributes(node, {style: 1, face: 1, color: 1, size: 1}) === "";
+}
+
+// Move formatting expressed as style, such as font-weight:bold, out of style and into marks
+function extractStyleMarks(style, marks)
+{
+    var weight = style["font-weight"];
+    if(weight)
+    {
+        if(weight == "bold" || weight == "bolder" || parseInt(weight, 10) >= 600)
+            marks.strong = "";
+        delete style["font-weight"];
+    }
+
+    if(style["font-style"])
+    {
+        if(style["font-style"] == "italic" || style["font-style"] == "oblique")
+            marks.em = "";
+        delete style["font-style"];
+    }
+
+    var decoration = style["text-decoration"] || style["text-decoration-line"];
+    if(decoration)
+    {
+        if(decoration.search(/underline/) >= 0)
+            marks.u = "";
+        if(decoration.search(/line-through/) >= 0)
+            marks.s = "";
+        delete style["text-decoration"];
+        delete style["text-decoration-line"];
+    }
+
+    if(style["vertical-align"] == "sub" || style["vertical-align"] == "super")
+    {
+        marks[style["vertical-align"] == "sub" ? "sub" : "sup"] = "";
+        delete style["vertical-align"];
+    }
+}
+
+// Copy of an inline context, {marks: {tag: attributes}, style: {property: value}}
+function copyContentContext(context)
+{
+    var copy = {marks: {}, style: {}};
+    for(var tag in context.marks)
+        copy.marks[tag] = context.marks[tag];
+    for(var property in context.style)
+        copy.style[property] = context.style[property];
+    return copy;
+}
+
+// Marks of an inline context as a list in nesting order
+function contentContextMarks(context)
+{
+    var marks = [];
+    for(var i = 0; i < CONTENT_MARK_ORDER.length; i++)
+    {
+        var tag = CONTENT_MARK_ORDER[i];
+        var attributes = null;
+        if(tag == "span")
+        {
+            var style = formatContentStyle(context.style);
+            if(style)
+                attributes = ' style="' + escapeContent(style, true) + '"';
+        }
+        else if(tag in context.marks)
+            attributes = context.marks[tag];
+
+        if(attributes !== null)
+            marks.push({tag: tag, attributes: attributes, key: tag + attributes});
+    }
+    return marks;
+}
+
+// Collect inline content of node into runs of text or atomic elements, each with the marks applying to it
+function collectContentRuns(node, context, runs, pre)
+{
+    if(node.nodeType == TEXT_NODE)
+    {
+        var text = pre ? node.nodeValue : node.nodeValue.replace(/[ \t\n\r\f]+/g, " ");
+        if(text)
+            runs.push({text: text, marks: contentContextMarks(context)});
+        return;
+    }
+
+    if(node.nodeType != ELEMENT_NODE || isEditorUI(node) || CONTENT_UNSAFE_TAGS[node.nodeName.toLowerCase()])
+        return;
+
+    // Changes under review count as accepted, see renderContentDiff()
+    if(isContentChange(node))
+    {
+        if(contentTagName(node) == "ins")
+        {
+            for(var part = node.firstChild; part; part = part.nextSibling)
+                collectContentRuns(part, context, runs, pre);
+        }
+        return;
+    }
+
+    var name = contentTagName(node);
+
+    if(name == "br")
+    {
+        // Gecko's placeholder <br type="_moz"> never shows
+        if(node.getAttribute("type") != "_moz" && !node.getAttribute("_moz_editor_bogus_node"))
+            runs.push({html: "<br>", br: true, marks: contentContextMarks(context)});
+        return;
+    }
+
+    if(CONTENT_BLOCK_TAGS[name])
+    {
+        // A block inside inline formatting can't be flattened, keep it whole
+        runs.push({html: serializeContentBlock(node, pre), marks: contentContextMarks(context)});
+        return;
+    }
+
+    var inner = copyContentContext(context);
+    if(name == "a")
+        inner.marks.a = formatContentAttributes(node);
+    else if(isContentMarkElement(node, name))
+    {
+        if(name != "span" && name != "font")
+            inner.marks[name] = "";
+
+        // Old <font> attributes become the style the other engines write
+        if(name == "font")
+        {
+            if(node.getAttribute("face"))
+                inner.style["font-family"] = canonicalFontFamily(node.getAttribute("face"));
+            if(node.getAttribute("color"))
+                inner.style.color = (convertColor(node.getAttribute("color")) || node.getAttribute("color")).toLowerCase();
+            var size = parseInt(node.getAttribute("size"), 10);
+            if(size >= 1 && size <= CONTENT_FONT_SIZES.length)
+                inner.style["font-size"] = CONTENT_FONT_SIZES[size - 1];
+        }
+
+        var style = parseContentStyle(node.style ? node.style.cssText : "");
+        extractStyleMarks(style, inner.marks);
+        for(var property in style)
+            inner.style[property] = style[property];
+    }
+    else
+    {
+        // Anything else, such as images, stays as its own element
+        runs.push({html: serializeContentElement(node, pre), marks: contentContextMarks(context)});
+        return;
+    }
+
+    for(var child = node.firstChild; child; child = child.nextSibling)
+        collectContentRuns(child, inner, runs, pre);
+}
+
+// Tidy whitespace and line breaks of a run of inline content the way the browser would display it
+function trimContentRuns(runs)
+{
+    var trimmed = [];
+    var space = true;
+    var content = false;
+
+    // Strip a trailing space from the last text run kept
+    var trimEnd = function()
+    {
+        var last = trimmed[trimmed.length - 1];
+        if(last && "text" in last && last.text.charAt(last.text.length - 1) == " ")
+        {
+            last.text = last.text.substr(0, last.text.length - 1);
+            if(!last.text)
+                trimmed.pop();
+        }
+    };
+
+    for(var i = 0; i < runs.length; i++)
+    {
+        var run = runs[i];
+        if("text" in run)
+        {
+            if(space && run.text.charAt(0) == " ")
+                run.text = run.text.substr(1);
+            if(!run.text)
+                continue;
+            space = run.text.charAt(run.text.length - 1) == " ";
+            content = true;
+        }
+        else if(run.br)
+        {
+            trimEnd();
+            space = true;
+        }
+        else
+        {
+            space = false;
+            content = true;
+        }
+        trimmed.push(run);
+    }
+    trimEnd();
+
+    // A <br> at the end only holds the line open, it doesn't show unless it is all there is
+    if(content && trimmed.length && trimmed[trimmed.length - 1].br)
+    {
+        trimmed.pop();
+        trimEnd();
+    }
+    return trimmed;
+}
+
+// Check whether serialized content shows nothing, only whitespace, line breaks and empty blocks
+function isContentEmpty(html)
+{
+    if(/<(img|hr|table|iframe|embed|object|video|audio|input)\b/i.test(html))
+        return false;
+    return !/\S/.test(html.replace(/<[^>]*>/g, "").replace(/&nbsp;/g, " "));
+}
+
+// Write runs of inline content out, opening and closing marks so identical neighbouring marks are merged
+function serializeContentRuns(runs, pre)
+{
+    if(!pre)
+        runs = trimContentRuns(runs);
+
+    var html = "";
+    var open = [];
+    for(var i = 0; i < runs.length; i++)
+    {
+        var marks = runs[i].marks;
+
+        // Keep marks shared with the previous run open
+        var common = 0;
+        while(common < open.length && common < marks.length && open[common].key == marks[common].key)
+            common++;
+
+        while(open.length > common)
+            html += "</" + open.pop().tag + ">";
 
+        for(var j = common; j < marks.length; j++)
+        {
+            html += "<" + marks[j].tag + marks[j].attributes + ">";
+            open.push(marks[j]);
+        }
+
+        html += ("text" in runs[i]) ? escapeContent(runs[i].text) : runs[i].html;
+    }
+
+    while(open.length)
+        html += "</" + open.pop().tag + ">";
+    return html;
+}
+
+// Serialize the children of node, gathering inline content between blocks into runs
+function serializeContentChildren(node, pre)
+{
+    var html = "";
+    var runs = [];
+    for(var child = node.firstChild; child; child = child.nextSibling)
+    {
+        if(child.nodeType == ELEMENT_NODE && CONTENT_BLOCK_TAGS[contentTagName(child)])
+        {
+            html += serializeContentRuns(runs, pre);
+            runs = [];
+            html += serializeContentBlock(child, pre);
+        }
+        else
+            collectContentRuns(child, {marks: {}, style: {}}, runs, pre);
+    }
+    return html + serializeContentRuns(runs, pre);
+}
+
+// Check whether node has a block level element as a child
+function hasContentBlockChild(node)
+{
+    for(var child = node.firstChild; child; child = child.nextSibling)
+    {
+        if(child.nodeType == ELEMENT_NODE && CONTENT_BLOCK_TAGS[contentTagName(child)])
+            return true;
+    }
+    return false;
+}
+
+// Serialize a block level element, dropping it if it has nothing in it
+function serializeContentBlock(node, pre)
+{
+    var name = contentTagName(node);
+    var attributes = formatContentAttributes(node);
+
+    if(CONTENT_VOID_TAGS[name])
+        return "<" + name + attributes + ">";
+
+    var inner = serializeContentChildren(node, pre || name == "pre");
+    if(!inner && CONTENT_EMPTY_BLOCKS[name])
+        return "";
+
+    // Webkit starts new lines with a plain <div> where the others use <p>
+    if(name == "div" && !attributes && !hasContentBlockChild(node))
+        name = "p";
+
+    return "<" + name + attributes + ">" + inner + "</" + name + ">";
+}
+
+// Serialize an inline element that is kept whole, such as an image
+function serializeContentElement(node, pre)
+{
+    var name = contentTagName(node);
+    var html = "<" + name + formatContentAttributes(node) + ">";
+    if(CONTENT_VOID_TAGS[name])
+        return html;
+    return html + serializeContentChildren(node, pre) + "</" + name + ">";
+}
+/**
+* End Content serialization
+**/
+
+/**
+* Sanitizer
+*
+* Strips pasted or loaded HTML down to what a schema allows
+**/
+
+// Default schema, used for pasting unless an editor is given another with setPasteSchema()
+//   tags       : allowed tags and the attributes allowed on each, other tags are unwrapped keeping their content
+//   attributes : attributes allowed on every allowed tag
+//   styles     : style properties kept in style attributes
+//   protocols  : URL schemes allowed per URL attribute, attributes not listed allow none, relative URLs are
+//                allowed except in src, which the browser would fetch as soon as the content is shown
+//   remove     : tags removed along with everything in them
+//   plainText  : true to throw all markup away and keep only the text and its line breaks
+var DEFAULT_SANITIZE_SCHEMA = {
+    tags : {
+        a: ['href', 'title', 'target', 'rel'], blockquote: [], br: [], code: [], em: [], b: [], h1: [], h2: [],
+        h3: [], h4: [], h5: [], h6: [], hr: [], i: [], img: ['src', 'alt', 'width', 'height'], li: [], ol: [],
+        p: [], pre: [], s: [], span: [], strike: [], strong: [], sub: [], sup: [], table: [], tbody: [],
+        td: ['colspan', 'rowspan'], th: ['colspan', 'rowspan'], thead: [], tr: [], u: [], ul: []
+    },
+    attributes : ['style'],
+    styles     : ['color', 'background-color', 'font-family', 'font-size', 'font-style', 'font-weight',
+                  'text-align', 'text-decoration'],
+    // Only images embedded in the pasted content, nothing is fetched from remote servers
+    protocols  : {href: ['http', 'https', 'mailto', 'ftp'], src: ['data']},
+    remove     : ['script', 'style', 'head', 'title', 'meta', 'link', 'object', 'embed', 'applet', 'iframe',
+                  'frame', 'frameset', 'noscript', 'template', 'xml', 'svg', 'math', 'form', 'input', 'button',
+                  'select', 'textarea'],
+    plainText  : false
+};
+
+// Schema for HTML edited in the source view, what the editor makes itself, images from the web and mention tokens
+// among it, with what the schema leaves out taken from the default. Forms, inputs and classes copied from
+// elsewhere go
+var SOURCE_SANITIZE_SCHEMA = {
+    tags : {
+        a: ['href', 'title', 'target', 'rel'], blockquote: [], br: [], caption: [], code: [], div: [], em: [],
+        h1: [], h2: [], h3: [], h4: [], h5: [], h6: [], hr: [], img: ['src', 'alt', 'width', 'height'], li: [],
+        ol: [], p: [], pre: [], s: [], span: [], strong: [], sub: [], sup: [], table: [], tbody: [],
+        td: ['colspan', 'rowspan'], th: ['colspan', 'rowspan'], thead: [], tr: [], u: [], ul: []
+    },
+    protocols : {href: ['http', 'https', 'mailto', 'ftp'], src: ['http', 'https', 'data']}
+};
+
+// Attributes holding a URL, checked against the schema's protocols
+var SANITIZE_URL_ATTRIBUTES = {
+    href: 1, src: 1, action: 1, background: 1, cite: 1, longdesc: 1, usemap: 1, formaction: 1, 'xlink:href': 1,
+    poster: 1, data: 1
+};
+
+// Check whether list contains value
+function inList(list, value)
+{
+    if(!list)
+        return false;
+    for(var i = 0; i < list.length; i++)
+    {
+        if(list[i] == value)
+            return true;
+    }
+    return false;
+}
+
+// Schema with what schema leaves out taken from DEFAULT_SANITIZE_SCHEMA, so a schema only has to give what it changes
+function completeSanitizeSchema(schema)
+{
+    var complete = {};
+    for(var name in DEFAULT_SANITIZE_SCHEMA)
+        complete[name] = (schema && typeof schema[name] != "undefined") ? schema[name] : DEFAULT_SANITIZE_SCHEMA[name];
+    return complete;
+}
+
+// Clean html so it only has the tags, attributes, styles and URLs that schema allows, returns the clean html.
+// Anything schema leaves out is taken from DEFAULT_SANITIZE_SCHEMA
+function sanitize(html, schema, doc)
+{
+    schema = completeSanitizeSchema(schema);
+    var container = parseContent(html, doc);
+
+    if(schema.plainText)
+        return escapeContent(contentText(container)).replace(/\n/g, "<br>");
+
+    sanitizeChildren(container, schema);
+    return container.innerHTML;
+}
+
+// Clean the children of node in place
+function sanitizeChildren(node, schema)
+{
+    var child = node.firstChild;
+    while(child)
+    {
+        var next = child.nextSibling;
+
+        if(child.nodeType == ELEMENT_NODE)
+        {
+            var name = child.nodeName.toLowerCase();
+            if(inList(schema.remove, name))
+                node.removeChild(child);
+            else if(schema.tags.span && isMentionToken(child))
+            {
+                // Mention tokens are spans, a schema keeping spans keeps them whole
+                sanitizeMentionToken(child);
+                sanitizeChildren(child, schema);
+            }
+            else if(!schema.tags[name])
+            {
+                // Unknown tags such as Word's <o:p> go, but what they hold stays
+                sanitizeChildren(child, schema);
+                while(child.firstChild)
+                    node.insertBefore(child.firstChild, child);
+                node.removeChild(child);
+            }
+            else if(!sanitizeElement(child, name, schema))
+                node.removeChild(child);
+            else
+                sanitizeChildren(child, schema);
+        }
+        else if(child.nodeType != TEXT_NODE)
+            node.removeChild(child);
+
+        child = next;
+    }
+}
+
+// Clean the attributes of an allowed element, returns false if the element is no use without what was removed
+function sanitizeElement(node, name, schema)
+{
+    for(var i = node.attributes.length - 1; i >= 0; i--)
+    {
+        var attribute = node.attributes[i];
+        var attributeName = attribute.nodeName.toLowerCase();
+        var keep = attribute.specified !== false && attributeName.indexOf("on") != 0 &&
+            (inList(schema.tags[name], attributeName) || inList(schema.attributes, attributeName));
+
+        if(keep && SANITIZE_URL_ATTRIBUTES[attributeName])
+        {
+            var url = checkUrl(attribute.nodeValue, schema.protocols[attributeName] || [], attributeName == "src");
+            keep = url !== null && !(/^\s*data:/i.test(url) && !/^\s*data:image\/(png|gif|jpe?g|webp);/i.test(url));
+        }
+
+        if(keep && attributeName == "style")
+        {
+            var style = sanitizeStyle(node.style.cssText, schema);
+            node.style.cssText = style;
+            keep = style !== "";
+        }
+
+        if(!keep)
+            node.removeAttribute(attribute.nodeName);
+    }
+
+    // An image without a source shows nothing
+    return !(name == "img" && !node.getAttribute("src"));
+}
+
+// Check whether node is a mention token inserted by EditableMentions
+function isMentionToken(node)
+{
+    return node.nodeName.toLowerCase() == "span" && hasClass(node, "editable-mention") &&
+        node.getAttribute("data-mention") !== null;
+}
+
+// Clean a mention token down to the attributes that make it one, so tokens copied and pasted stay tokens
+function sanitizeMentionToken(node)
+{
+    var mention = node.getAttribute("data-mention");
+    var id = node.getAttribute("data-id");
+    for(var i = node.attributes.length - 1; i >= 0; i--)
+        node.removeAttribute(node.attributes[i].nodeName);
+
+    node.className = "editable-mention";
+    node.setAttribute("contenteditable", "false");
+    node.setAttribute("data-mention", mention);
+    if(id !== null)
+        node.setAttribute("data-id", id);
+}
+
+// Keep only the declarations of allowed style properties, and nothing that can run script or load a URL
+function sanitizeStyle(cssText, schema)
+{
+    var kept = [];
+    var declarations = (cssText || "").split(";");
+    for(var i = 0; i < declarations.length; i++)
+    {
+        var colon = declarations[i].indexOf(":");
+        if(colon < 0)
+            continue;
+
+        var property = declarations[i].substr(0, colon).replace(/^\s+|\s+$/g, "").toLowerCase();
+        var value = declarations[i].substr(colon + 1).replace(/^\s+|\s+$/g, "");
+        if(inList(schema.styles, property) && value && !/expression|url\s*\(|javascript:|behavior/i.test(value))
+            kept.push(property + ": " + value);
+    }
+    return kept.join("; ");
+}
+
+// Text of node with line breaks where blocks and <br> break lines
+function contentText(node)
+{
+    var text = "";
+    for(var child = node.firstChild; child; child = child.nextSibling)
+    {
+        if(child.nodeType == TEXT_NODE)
+            text += child.nodeValue.replace(/[ \t\n\r\f]+/g, " ");
+        else if(child.nodeType == ELEMENT_NODE)
+        {
+            var name = child.nodeName.toLowerCase();
+            if(name == "br")
+                text += "\n";
+            else if(!inList(DEFAULT_SANITIZE_SCHEMA.remove, name))
+            {
+                var block = CONTENT_BLOCK_TAGS[name] && text && text.charAt(text.length - 1) != "\n";
+                text += (block ? "\n" : "") + contentText(child);
+                if(CONTENT_BLOCK_TAGS[name] && text.charAt(text.length - 1) != "\n")
+                    text += "\n";
+            }
+        }
+    }
+    return text.replace(/^\n+|\n+$/g, "");
+}
+/**
+* End Sanitizer
+**/
+
+/**
+* Keymap
+*
+* Key chords such as "Mod+B" and the actions they run. Mod is Cmd on Macs and Ctrl everywhere else
+**/
+
+// Default key bindings. An action is a command name, [command, value] or a function called as a method of the
+// editor with the event, which returns false to let the browser handle the key after all
+var DEFAULT_KEYMAP = {
+    'Mod+B'       : 'bold',
+    'Mod+I'       : 'italic',
+    'Mod+U'       : 'underline',
+    'Mod+Z'       : function(e) { this.undo(); },
+    'Mod+Shift+Z' : function(e) { this.redo(); },
+    'Mod+Y'       : function(e) { this.redo(); },
+    'Mod+K'       : function(e) { this.promptLink(); },
+    'Backspace'   : function(e) { return this.deleteSelectedImage() || this.deleteAtomicElement(true); },
+    'Delete'      : function(e) { return this.deleteSelectedImage() || this.deleteAtomicElement(false); },
+    'Tab'         : function(e) { return this.isInList() ? this.execCommand('indent') : this.moveToCell(true); },
+    'Shift+Tab'   : function(e) { return this.isInList() ? this.execCommand('outdent') : this.moveToCell(false); }
+};
+
+// Names for key codes that are not a letter or digit
+var KEY_NAMES = {
+    8: 'Backspace', 9: 'Tab', 13: 'Enter', 27: 'Escape', 32: 'Space', 33: 'PageUp', 34: 'PageDown', 35: 'End',
+    36: 'Home', 37: 'ArrowLeft', 38: 'ArrowUp', 39: 'ArrowRight', 40: 'ArrowDown', 45: 'Insert', 46: 'Delete'
+};
+
+// Modifier names accepted in chords and the canonical name for each
+var KEY_MODIFIERS = {
+    ctrl: 'Ctrl', control: 'Ctrl', alt: 'Alt', option: 'Alt', shift: 'Shift', meta: 'Meta', cmd: 'Meta',
+    command: 'Meta'
+};
+
+// Check whether we are on a Mac, where shortcuts use Cmd rather than Ctrl
+function isMacPlatform()
+{
+    return typeof navigator != "undefined" && /Mac|iPhone|iPad|iPod/.test(navigator.platform || "");
+}
+
+// Build a canonical chord from its modifiers and key name
+function formatKeyChord(ctrl, alt, shift, meta, key)
+{
+    return (ctrl ? "Ctrl+" : "") + (alt ? "Alt+" : "") + (shift ? "Shift+" : "") + (meta ? "Meta+" : "") + key;
+}
+
+// Turn a chord such as "mod+shift+z" into canonical form, "Meta+Shift+Z" on Macs or "Ctrl+Shift+Z" elsewhere
+function normalizeKeyChord(chord, mac)
+{
+    var parts = chord.split("+");
+    var key = parts.pop();
+    var modifiers = {};
+
+    for(var i = 0; i < parts.length; i++)
+    {
+        var part = parts[i].toLowerCase();
+        if(part == "mod")
+            modifiers[mac ? "Meta" : "Ctrl"] = true;
+        else if(KEY_MODIFIERS[part])
+            modifiers[KEY_MODIFIERS[part]] = true;
+    }
+
+    // Letters are upper case, named keys keep the case KEY_NAMES gives them
+    key = (key.length == 1) ? key.toUpperCase() : key;
+    for(var code in KEY_NAMES)
+    {
+        if(KEY_NAMES[code].toLowerCase() == key.toLowerCase())
+            key = KEY_NAMES[code];
+    }
+
+    return formatKeyChord(modifiers.Ctrl, modifiers.Alt, modifiers.Shift, modifiers.Meta, key);
+}
+
+// Canonical chord for a key event, or null for keys we have no name for
+function eventKeyChord(e)
+{
+    var code = e.keyCode || e.which;
+    var key = null;
+
+    if(KEY_NAMES[code])
+        key = KEY_NAMES[code];
+    else if((code >= 48 && code <= 57) || (code >= 65 && code <= 90))
+        key = String.fromCharCode(code);
+    else if(code >= 112 && code <= 123)
+        key = "F" + (code - 111);
+
+    if(!key)
+        return null;
+    return formatKeyChord(e.ctrlKey, e.altKey, e.shiftKey, e.metaKey, key);
+}
+/**
+* End Keymap
+**/
+
+/**
+* Markdown
+*
+* Converts between canonical content and Markdown. getMarkdown() writes one fixed style, so Markdown it wrote
+* reads back in and writes out again unchanged:
+*   **bold**, *italic*, `code`, [text](url "title"), ![alt](src "title"), # headings, - and 1. lists indented
+*   under their parent item, > blockquotes, ``` fenced code blocks, --- rules and a trailing \ for line breaks
+* Markdown has no syntax for the rest, which degrades as follows:
+*   underline, strike through, sub/superscript, fonts, colors and alignment are dropped, keeping their text
+*   text not in a block becomes a paragraph, and <div> blocks become paragraphs
+*   formatting inside <pre> is dropped, keeping the text
+*   tables become a paragraph per row, with cells separated by " | "
+*   links and images with a URL scheme the editor does not allow keep only their text or alt text
+**/
+
+// Characters that have meaning in Markdown text and are escaped with a backslash
+var MARKDOWN_ESCAPE = /([\\`*_\[\]])/g;
+
+// Characters a backslash can escape
+var MARKDOWN_ESCAPABLE = "\\`*_{}[]()#+-.!>|=~\"'<";
+
+// Escape text for Markdown, underscores inside words such as snake_case are left alone
+function escapeMarkdown(text)
+{
+    return text.replace(MARKDOWN_ESCAPE, function(match, character, offset)
+    {
+        if(character == "_" && /\w/.test(text.charAt(offset - 1)) && /\w/.test(text.charAt(offset + 1)))
+            return character;
+        return "\\" + character;
+    });
+}
+
+// Escape characters that would start a heading, quote or list at the start of any line of inline Markdown
+function escapeMarkdownLineStarts(markdown)
+{
+    return markdown.replace(/(^|\n)(\d+)([.)])/g, "$1$2\\$3").replace(/(^|\n)([#>+\-=])/g, "$1\\$2");
+}
+
+// URL in a form that can't end a Markdown link early
+function markdownUrl(url)
+{
+    return String(url).replace(/ /g, "%20").replace(/\(/g, "%28").replace(/\)/g, "%29");
+}
+
+// Optional link or image title
+function markdownTitle(node)
+{
+    var title = node.getAttribute("title");
+    return title ? ' "' + title.replace(/"/g, '\\"') + '"' : "";
+}
+
+// Convert content to Markdown
+function contentToMarkdown(root)
+{
+    return markdownBlocks(root).join("\n\n");
+}
+
+// Convert the children of node to a list of Markdown blocks, gathering inline content into paragraphs
+function markdownBlocks(node)
+{
+    var blocks = [];
+    var inline = [];
+
+    var flush = function()
+    {
+        var text = markdownTrim(markdownInline(inline));
+        if(text)
+            blocks.push(escapeMarkdownLineStarts(text));
+        inline = [];
+    };
+
+    for(var child = node.firstChild; child; child = child.nextSibling)
+    {
+        if(child.nodeType == ELEMENT_NODE && CONTENT_BLOCK_TAGS[contentTagName(child)])
+        {
+            flush();
+            var block = markdownBlock(child);
+            if(block)
+                blocks.push(block);
+        }
+        else
+            inline.push(child);
+    }
+    flush();
+    return blocks;
+}
+
+// Convert a block level element to Markdown
+function markdownBlock(node)
+{
+    var name = contentTagName(node);
+    var text;
+
+    if(/^h[1-6]$/.test(name))
+    {
+        text = markdownTrim(markdownInline(node.childNodes));
+        return text ? new Array(parseInt(name.charAt(1), 10) + 1).join("#") + " " + text : "";
+    }
+
+    switch(name)
+    {
+        case "ul":
+        case "ol":
+            return markdownList(node, name == "ol");
+
+        case "blockquote":
+            text = markdownBlocks(node).join("\n\n");
+            return text ? text.replace(/^/gm, "> ").replace(/^> $/gm, ">") : "";
+
+        case "pre":
+            // Fence needs to be longer than any run of backticks in the code
+            text = preText(node);
+            var fence = "```";
+            while(text.indexOf(fence) >= 0)
+                fence += "`";
+            return fence + "\n" + text + "\n" + fence;
+
+        case "hr":
+            return "---";
+
+        case "table":
+            var rows = node.getElementsByTagName("tr");
+            var lines = [];
+            for(var i = 0; i < rows.length; i++)
+            {
+                var cells = [];
+                for(var cell = rows[i].firstChild; cell; cell = cell.nextSibling)
+                {
+                    if(cell.nodeType == ELEMENT_NODE)
+                        cells.push(markdownTrim(markdownInline(cell.childNodes)));
+                }
+                lines.push(escapeMarkdownLineStarts(cells.join(" | ")));
+            }
+            return lines.join("\n\n");
+
+        case "li":
+        case "dl":
+        case "dd":
+        case "dt":
+        case "div":
+        case "tbody":
+        case "thead":
+        case "tfoot":
+        case "tr":
+            if(hasContentBlockChild(node))
+                return markdownBlocks(node).join("\n\n");
+    }
+
+    // Paragraphs and anything else hold inline content
+    if(hasContentBlockChild(node))
+        return markdownBlocks(node).join("\n\n");
+    return escapeMarkdownLineStarts(markdownTrim(markdownInline(node.childNodes)));
+}
+
+// Text of a <pre> exactly as it shows
+function preText(node)
+{
+    var text = "";
+    for(var child = node.firstChild; child; child = child.nextSibling)
+    {
+        if(child.nodeType == TEXT_NODE)
+            text += child.nodeValue;
+        else if(child.nodeName.toLowerCase() == "br")
+            text += "\n";
+        else if(child.nodeType == ELEMENT_NODE)
+            text += preText(child);
+    }
+    return text.replace(/\n$/, "");
+}
+
+// Convert a list, nested lists are indented to line up with their parent item's text
+function markdownList(node, ordered)
+{
+    var items = [];
+    var number = 1;
+    for(var child = node.firstChild; child; child = child.nextSibling)
+    {
+        if(child.nodeType != ELEMENT_NODE)
+            continue;
+
+        var marker = ordered ? (number++) + ". " : "- ";
+        var pad = new Array(marker.length + 1).join(" ");
+        var text = markdownListItem(child);
+        items.push(marker + text.replace(/\n(?!\n)/g, "\n" + pad));
+    }
+    return items.join("\n");
+}
+
+// Convert a list item, its own text then any nested lists or blocks on following lines
+function markdownListItem(node)
+{
+    var parts = [];
+    var inline = [];
+
+    var flush = function()
+    {
+        var text = markdownTrim(markdownInline(inline));
+        if(text)
+            parts.push(escapeMarkdownLineStarts(text));
+        inline = [];
+    };
+
+    for(var child = node.firstChild; child; child = child.nextSibling)
+    {
+        if(child.nodeType == ELEMENT_NODE && CONTENT_BLOCK_TAGS[contentTagName(child)])
+        {
+            flush();
+            var block = markdownBlock(child);
+            if(block)
+                parts.push(block);
+        }
+        else
+            inline.push(child);
+    }
+    flush();
+    return parts.join("\n");
+}
+
+// Trim whitespace and trailing line breaks from inline Markdown
+function markdownTrim(text)
+{
+    return text.replace(/^[ \t]+|(\s|\\\n)+$/g, "");
+}
+
+// Convert a list of inline nodes to Markdown. Bold, italic and links are gathered into runs of text sharing
+// the same marks first, so delimiters nest the way the formatting spans rather than the way the markup nests
+function markdownInline(nodes)
+{
+    var runs = [];
+    for(var i = 0; i < nodes.length; i++)
+        collectMarkdownRuns(nodes[i], {}, runs);
+
+    var markdown = "";
+    var open = [];
+    for(var r = 0; r <= runs.length; r++)
+    {
+        var marks = (r < runs.length) ? runs[r].marks : {};
+
+        // Close from the innermost out to the first open mark this run does not have
+        var keep = 0;
+        while(keep < open.length && marks[open[keep].key])
+            keep++;
+        var closing = "";
+        while(open.length > keep)
+            closing += open.pop().close;
+
+        // Delimiters can't have spaces on their inner side, so spaces go outside them
+        if(closing)
+        {
+            var trailing = markdown.match(/ *$/)[0];
+            markdown = markdown.substr(0, markdown.length - trailing.length) + closing + trailing;
+        }
+        if(r == runs.length)
+            break;
+
+        // Open what this run adds, marks that carry on for longer go outside
+        var opening = [];
+        for(var key in marks)
+        {
+            var isOpen = false;
+            for(var o = 0; o < open.length; o++)
+                isOpen = isOpen || open[o].key == key;
+            if(isOpen)
+                continue;
+
+            var extent = r;
+            while(extent < runs.length && runs[extent].marks[key])
+                extent++;
+            opening.push({key: key, extent: extent, mark: marks[key]});
+        }
+        opening.sort(function(a, b)
+        {
+            return (b.extent - a.extent) || (a.mark.order - b.mark.order);
+        });
+
+        var text = runs[r].markdown;
+        var leading = opening.length ? text.match(/^ */)[0] : "";
+        markdown += leading;
+        for(var n = 0; n < opening.length; n++)
+        {
+            markdown += opening[n].mark.open;
+            open.push({key: opening[n].key, close: opening[n].mark.close});
+        }
+        markdown += text.substr(leading.length);
+    }
+    return markdown;
+}
+
+// Flatten an inline node into runs of Markdown text, each with the bold, italic and link marks applying to it
+function collectMarkdownRuns(node, marks, runs)
+{
+    if(node.nodeType == TEXT_NODE)
+    {
+        runs.push({markdown: escapeMarkdown(node.nodeValue.replace(/[ \t\n\r\f]+/g, " ")), marks: marks});
+        return;
+    }
+    if(node.nodeType != ELEMENT_NODE)
+        return;
+
+    var inner = {};
+    for(var key in marks)
+        inner[key] = marks[key];
+
+    var name = contentTagName(node);
+    switch(name)
+    {
+        case "br":
+            runs.push({markdown: "\\\n", marks: marks});
+            return;
+
+        case "code":
+            var text = contentText(node);
+            var ticks = "`";
+            while(text.indexOf(ticks) >= 0)
+                ticks += "`";
+            var pad = (text.charAt(0) == "`" || text.charAt(text.length - 1) == "`") ? " " : "";
+            runs.push({markdown: ticks + pad + text + pad + ticks, marks: marks});
+            return;
+
+        case "img":
+            if(node.getAttribute("src"))
+                runs.push({markdown: "![" + escapeMarkdown(node.getAttribute("alt") || "") + "](" +
+                    markdownUrl(node.getAttribute("src")) + markdownTitle(node) + ")", marks: marks});
+            return;
+
+        case "strong":
+            inner.strong = {open: "**", close: "**", order: 1};
+            break;
+
+        case "em":
+            inner.em = {open: "*", close: "*", order: 2};
+            break;
+
+        case "a":
+            if(node.getAttribute("href"))
+            {
+                var destination = "](" + markdownUrl(node.getAttribute("href")) + markdownTitle(node) + ")";
+                inner["a" + destination] = {open: "[", close: destination, order: 0};
+            }
+            break;
+    }
+
+    // Anything without Markdown keeps its text
+    for(var child = node.firstChild; child; child = child.nextSibling)
+        collectMarkdownRuns(child, inner, runs);
+}
+
+// Convert Markdown to HTML, links and images are only kept if their URL passes checkUrl() with the schemes given
+function markdownToContent(markdown, linkSchemes, imageSchemes)
+{
+    var options = {
+        linkSchemes  : linkSchemes || ['http', 'https', 'mailto', 'ftp'],
+        imageSchemes : imageSchemes || ['http', 'https']
+    };
+    var lines = String(markdown || "").replace(/\r\n|\r/g, "\n").replace(/\t/g, "    ").split("\n");
+    return parseMarkdownBlocks(lines, options).join("");
+}
+
+// Check whether a line is blank
+function isBlankMarkdownLine(line)
+{
+    return /^\s*$/.test(line);
+}
+
+// Number of spaces a line is indented by
+function markdownIndent(line)
+{
+    return line.match(/^ */)[0].length;
+}
+
+// Match a list item line, returns {indent, ordered, width, content} or null. width is the marker and its spacing
+function matchMarkdownListItem(line)
+{
+    var match = line.match(/^( *)([\-*+]|\d{1,9}[.)])( +|$)(.*)$/);
+    if(!match)
+        return null;
+
+    var spacing = (match[3].length > 4 || !match[4]) ? 1 : match[3].length;
+    return {
+        indent  : match[1].length,
+        ordered : /\d/.test(match[2]),
+        width   : match[2].length + spacing,
+        content : match[4]
+    };
+}
+
+// Check whether a line starts a block other than a paragraph
+function isMarkdownBlockStart(line)
+{
+    return /^ {0,3}(#{1,6}(\s|$)|>|```|~~~)/.test(line) || isMarkdownRule(line) || matchMarkdownListItem(line) !== null;
+}
+
+// Check whether a line is a horizontal rule
+function isMarkdownRule(line)
+{
+    return /^ {0,3}([\-*_])( *\1){2,} *$/.test(line);
+}
+
+// Parse lines of Markdown into a list of HTML blocks
+function parseMarkdownBlocks(lines, options)
+{
+    var blocks = [];
+    var i = 0;
+    var match;
+
+    while(i < lines.length)
+    {
+        var line = lines[i];
+
+        if(isBlankMarkdownLine(line))
+        {
+            i++;
+            continue;
+        }
+
+        // Fenced code, runs to a closing fence of the same character at least as long
+        if((match = line.match(/^ {0,3}(`{3,}|~{3,})/)))
+        {
+            var fence = match[1];
+            var code = [];
+            for(i++; i < lines.length; i++)
+            {
+                var close = lines[i].match(/^ {0,3}(`{3,}|~{3,}) *$/);
+                if(close && close[1].charAt(0) == fence.charAt(0) && close[1].length >= fence.length)
+                {
+                    i++;
+                    break;
+                }
+                code.push(lines[i]);
+            }
+            blocks.push("<pre>" + escapeContent(code.join("\n")) + "</pre>");
+            continue;
+        }
+
+        if((match = line.match(/^ {0,3}(#{1,6})(?:\s+(.*?))?(?:\s+#+)?\s*$/)))
+        {
+            var level = match[1].length;
+            blocks.push("<h" + level + ">" + parseMarkdownInline(match[2] || "", options) + "</h" + level + ">");
+            i++;
+            continue;
+        }
+
+        if(isMarkdownRule(line))
+        {
+            blocks.push("<hr>");
+            i++;
+            continue;
+        }
+
+        if(/^ {0,3}>/.test(line))
+        {
+            var quoted = [];
+            while(i < lines.length && /^ {0,3}>/.test(lines[i]))
+                quoted.push(lines[i++].replace(/^ {0,3}> ?/, ""));
+            blocks.push("<blockquote>" + parseMarkdownBlocks(quoted, options).join("") + "</blockquote>");
+            continue;
+        }
+
+        if(matchMarkdownListItem(line))
+        {
+            var list = parseMarkdownList(lines, i, options);
+            blocks.push(list.html);
+            i = list.next;
+            continue;
+        }
+
+        // Paragraph, runs to a blank line or the start of another block
+        var paragraph = [line.replace(/^\s+/, "")];
+        for(i++; i < lines.length && !isBlankMarkdownLine(lines[i]) && !isMarkdownBlockStart(lines[i]); i++)
+            paragraph.push(lines[i].replace(/^\s+/, ""));
+        blocks.push("<p>" + parseMarkdownInline(paragraph.join("\n"), options) + "</p>");
+    }
+
+    return blocks;
+}
+
+// Parse a list starting at lines[start], returns {html, next} where next is the first line after the list
+function parseMarkdownList(lines, start, options)
+{
+    var first = matchMarkdownListItem(lines[start]);
+    var items = [];
+    var loose = false;
+    var contentIndent = first.indent + first.width;
+    var i = start;
+
+    while(i < lines.length)
+    {
+        var line = lines[i];
+        var item = matchMarkdownListItem(line);
+
+        if(item && item.indent == first.indent && item.ordered == first.ordered && !isMarkdownRule(line))
+        {
+            items.push([item.content]);
+            contentIndent = item.indent + item.width;
+            i++;
+            continue;
+        }
+
+        if(isBlankMarkdownLine(line))
+        {
+            // A blank line carries on the list only if what follows belongs to it
+            var j = i;
+            while(j < lines.length && isBlankMarkdownLine(lines[j]))
+                j++;
+            var next = (j < lines.length) ? matchMarkdownListItem(lines[j]) : null;
+            if(j < lines.length && (markdownIndent(lines[j]) >= contentIndent ||
+                (next && next.indent == first.indent && next.ordered == first.ordered)))
+            {
+                loose = true;
+                items[items.length - 1].push("");
+                i++;
+                continue;
+            }
+            break;
+        }
+
+        if(markdownIndent(line) >= contentIndent)
+        {
+            items[items.length - 1].push(line.substr(contentIndent));
+            i++;
+            continue;
+        }
+
+        // Lazy continuation of the item's paragraph
+        if(!isMarkdownBlockStart(line) && !isBlankMarkdownLine(lines[i - 1]))
+        {
+            items[items.length - 1].push(line.replace(/^\s+/, ""));
+            i++;
+            continue;
+        }
+        break;
+    }
+
+    var tag = first.ordered ? "ol" : "ul";
+    var html = "<" + tag + ">";
+    for(var k = 0; k < items.length; k++)
+    {
+        var blocks = parseMarkdownBlocks(items[k], options);
+
+        // Tight lists hold their text straight in the item
+        for(var b = 0; b < blocks.length && !loose; b++)
+            blocks[b] = blocks[b].replace(/^<p>([\s\S]*)<\/p>$/, "$1");
+        html += "<li>" + blocks.join("") + "</li>";
+    }
+    html += "</" + tag + ">";
+
+    return {html: html, next: i};
+}
+
+// Find the closing run of ch emphasis len long, from start. Nested emphasis of another length is skipped
+function findMarkdownEmphasisClose(text, start, ch, len)
+{
+    var j = start;
+    while(j < text.length)
+    {
+        var c = text.charAt(j);
+        if(c == "\\")
+        {
+            j += 2;
+            continue;
+        }
+        if(c == "`")
+        {
+            var ticks = text.substr(j).match(/^`+/)[0];
+            var end = text.indexOf(ticks, j + ticks.length);
+            j = (end >= 0) ? end + ticks.length : j + ticks.length;
+            continue;
+        }
+        if(c != ch)
+        {
+            j++;
+            continue;
+        }
+
+        var run = text.substr(j).match(ch == "*" ? /^\*+/ : /^_+/)[0].length;
+        var canClose = j > start && !/\s/.test(text.charAt(j - 1));
+        var canOpen = j + run < text.length && !/\s/.test(text.charAt(j + run));
+
+        if(canClose && run >= len)
+            return j;
+
+        if(canOpen && run != len)
+        {
+            var nested = findMarkdownEmphasisClose(text, j + run, ch, Math.min(run, 3));
+            if(nested >= 0)
+            {
+                j = nested + Math.min(run, 3);
+                continue;
+            }
+        }
+        j += run;
+    }
+    return -1;
+}
+
+// Find the index of the bracket closing the one at start, allowing nested brackets and escapes
+function findMarkdownBracketClose(text, start)
+{
+    var depth = 0;
+    for(var j = start; j < text.length; j++)
+    {
+        var c = text.charAt(j);
+        if(c == "\\")
+            j++;
+        else if(c == "[")
+            depth++;
+        else if(c == "]" && --depth == 0)
+            return j;
+    }
+    return -1;
+}
+
+// Parse the (url "title") part of a link or image at start, returns {url, title, end} or null
+function parseMarkdownDestination(text, start)
+{
+    var match = text.substr(start).match(/^\(\s*<?([^\s()<>]*)>?(?:\s+"((?:[^"\\]|\\.)*)")?\s*\)/);
+    if(!match)
+        return null;
+    return {url: match[1], title: match[2] ? match[2].replace(/\\(.)/g, "$1") : null, end: start + match[0].length};
+}
+
+// Parse inline Markdown into HTML
+function parseMarkdownInline(text, options)
+{
+    var html = "";
+    var i = 0;
+
+    while(i < text.length)
+    {
+        var c = text.charAt(i);
+        var next = text.charAt(i + 1);
+
+        // Escapes, and a backslash at the end of a line breaks it
+        if(c == "\\" && next == "\n")
+        {
+            html += "<br>";
+            i += 2;
+            continue;
+        }
+        if(c == "\\" && next && MARKDOWN_ESCAPABLE.indexOf(next) >= 0)
+        {
+            html += escapeContent(next);
+            i += 2;
+            continue;
+        }
+
+        // Two spaces at the end of a line also break it, otherwise line ends are spaces
+        if(c == "\n")
+        {
+            if(/ {2,}$/.test(html))
+                html = html.replace(/ +$/, "") + "<br>";
+            else
+                html += " ";
+            i++;
+            continue;
+        }
+
+        if(c == "`")
+        {
+            var ticks = text.substr(i).match(/^`+/)[0];
+            var end = text.indexOf(ticks, i + ticks.length);
+            if(end >= 0)
+            {
+                var code = text.substring(i + ticks.length, end).replace(/\n/g, " ");
+                if(/^ .* $/.test(code))
+                    code = code.substr(1, code.length - 2);
+                html += "<code>" + escapeContent(code) + "</code>";
+                i = end + ticks.length;
+                continue;
+            }
+            html += escapeContent(ticks);
+            i += ticks.length;
+            continue;
+        }
+
+        // Links and images
+        if(c == "[" || (c == "!" && next == "["))
+        {
+            var image = (c == "!");
+            var open = image ? i + 1 : i;
+            var close = findMarkdownBracketClose(text, open);
+            var destination = (close >= 0) ? parseMarkdownDestination(text, close + 1) : null;
+            if(destination)
+            {
+                var label = text.substring(open + 1, close);
+                var url = checkUrl(destination.url, image ? options.imageSchemes : options.linkSchemes);
+                var title = destination.title ? ' title="' + escapeContent(destination.title, true) + '"' : "";
+
+                if(image && url)
+                    html += '<img alt="' + escapeContent(label.replace(/\\(.)/g, "$1"), true) + '" src="' +
+                        escapeContent(url, true) + '"' + title + '>';
+                else if(image)
+                    html += escapeContent(label.replace(/\\(.)/g, "$1"));
+                else if(url)
+                    html += '<a href="' + escapeContent(url, true) + '"' + title + '>' +
+                        parseMarkdownInline(label, options) + '</a>';
+                else
+                    html += parseMarkdownInline(label, options);
+
+                i = destination.end;
+                continue;
+            }
+        }
+
+        // Emphasis, * or _ once for italic, twice for bold, three times for both
+        if(c == "*" || c == "_")
+        {
+            var run = text.substr(i).match(c == "*" ? /^\*+/ : /^_+/)[0].length;
+            var len = Math.min(run, 3);
+            var after = text.charAt(i + run);
+            var intraword = (c == "_" && i > 0 && /\w/.test(text.charAt(i - 1)));
+
+            if(after && !/\s/.test(after) && !intraword)
+            {
+                var start = i + run - len;
+                var closing = findMarkdownEmphasisClose(text, i + run, c, len);
+                if(closing >= 0)
+                {
+                    var inner = parseMarkdownInline(text.substring(i + run, closing), options);
+                    html += escapeContent(text.substr(i, start - i));
+                    if(len == 3)
+                        html += "<strong><em>" + inner + "</em></strong>";
+                    else if(len == 2)
+                        html += "<strong>" + inner + "</strong>";
+                    else
+                        html += "<em>" + inner + "</em>";
+                    i = closing + len;
+                    continue;
+                }
+            }
+            html += escapeContent(text.substr(i, run));
+            i += run;
+            continue;
+        }
+
+        html += escapeContent(c);
+        i++;
+    }
+
+    return html;
+}
+/**
+* End Markdown
+**/
+
+
+
+/**
+* DOM editing helpers
+*
+* Node surgery shared by the editing classes when they change the edited node's DOM directly
+**/
+
+// Check whether node is a block level element
+function isBlockNode(node)
+{
+    return node.nodeType == ELEMENT_NODE && CONTENT_BLOCK_TAGS[contentTagName(node)] ? true : false;
+}
+
+// Put wrapper where node is and node inside it, returns wrapper
+function wrapNode(node, wrapper)
+{
+    node.parentNode.insertBefore(wrapper, node);
+    wrapper.appendChild(node);
+    return wrapper;
+}
+
+// Replace an element with its children
+function unwrapNode(element)
+{
+    var parent = element.parentNode;
+    while(element.firstChild)
+        parent.insertBefore(element.firstChild, element);
+    parent.removeChild(element);
+}
+
+// Replace an element with one of another tag holding the same children and attributes, returns the new element
+function renameElement(element, tag)
+{
+    var renamed = element.ownerDocument.createElement(tag);
+    for(var i = 0; i < element.attributes.length; i++)
+    {
+        if(element.attributes[i].specified !== false)
+            renamed.setAttribute(element.attributes[i].nodeName, element.attributes[i].nodeValue);
+    }
+    while(element.firstChild)
+        renamed.appendChild(element.firstChild);
+    if(element.parentNode)
+        element.parentNode.replaceChild(renamed, element);
+    return renamed;
+}
+
+// Split ancestor and every element between it and node, so node is left on its own in ancestor.
+// Content either side of node goes into copies of those elements. Returns ancestor
+function isolateNode(node, ancestor)
+{
+    for(var current = node; current != ancestor; current = current.parentNode)
+    {
+        var parent = current.parentNode;
+        if(current.nextSibling)
+        {
+            var after = parent.cloneNode(false);
+            while(current.nextSibling)
+                after.appendChild(current.nextSibling);
+            parent.parentNode.insertBefore(after, parent.nextSibling);
+        }
+        if(current.previousSibling)
+        {
+            var before = parent.cloneNode(false);
+            while(parent.firstChild != current)
+                before.appendChild(parent.firstChild);
+            parent.parentNode.insertBefore(before, parent);
+        }
+    }
+    return ancestor;
+}
+
+// Split the inline elements around node, up to the block it is in, so node is on its own in the outermost of
+// them. Returns that element, or node if there are none
+function isolateInline(node)
+{
+    var top = node;
+    while(top.parentNode && top.parentNode.parentNode && !isBlockNode(top.parentNode))
+        top = top.parentNode;
+    return (top == node) ? node : isolateNode(node, top);
+}
+
+// Insert node at a {node, offset} position as returned by findTextPosition()
+function insertAtPosition(position, node)
+{
+    if(position.node.nodeType == TEXT_NODE)
+    {
+        var after = position.node.splitText(position.offset);
+        after.parentNode.insertBefore(node, after);
+    }
+    else
+        position.node.insertBefore(node, position.node.childNodes[position.offset] || null);
+}
+
+// Merge neighbouring inline elements with the same tag and attributes, drop empty ones, join text nodes
+function mergeAdjacentElements(root)
+{
+    var child = root.firstChild;
+    while(child)
+    {
+        var next = child.nextSibling;
+        if(child.nodeType == ELEMENT_NODE)
+        {
+            mergeAdjacentElements(child);
+            
+            var name = contentTagName(child);
+            if(!child.firstChild && !CONTENT_VOID_TAGS[name] && !isBlockNode(child))
+                root.removeChild(child);
+            else if(next && next.nodeType == ELEMENT_NODE && !isBlockNode(child) && !CONTENT_VOID_TAGS[name] &&
+                contentTagName(next) == name && formatContentAttributes(next) == formatContentAttributes(child))
+            {
+                while(next.firstChild)
+                    child.appendChild(next.firstChild);
+                root.removeChild(next);
+                mergeAdjacentElements(child);
+                continue;
+            }
+        }
+        child = next;
+    }
+    
+    if(root.normalize)
+        root.normalize();
+}
+/**
+* End DOM editing helpers
+**/
+
+
+
+/**
+* Content schema
+*
+* Rules for how content may be structured: which blocks and inline elements it may have, which blocks may go inside
+* which, and how long it may be. validate() checks html against a schema, and editors given one with setSchema()
+* keep their content to it as it is edited
+**/
+
+// A schema has any of these, leaving one out means it isn't checked
+//   blocks        : block tags allowed. Other blocks holding only text become defaultBlock where that is allowed,
+//                   the rest are replaced by what they hold
+//   marks         : inline tags allowed, formatting such as strong, span and a as well as elements such as img.
+//                   Other formatting is replaced by its text, other elements are removed. <br> is always allowed
+//   nesting       : block tag to the block tags allowed straight inside it, "" for the top level. Blocks not
+//                   listed may hold any allowed block
+//   defaultBlock  : tag of the block text goes in when its own block isn't allowed, "p" if not given
+//   maxCharacters : most characters of text, not counting line breaks
+//   maxWords      : most words
+// Tags are canonical names as getContent() writes them, such as strong rather than b
+
+// Check html against schema, returns a list of errors, empty if it fits. Each is {type, message, tag, parent} for
+// structure, type being "block" or "mark" for a tag not allowed, "nesting" for a block not allowed in its parent
+// block and "blockInInline" for a block inside an inline element. Length errors are {type, message, count, max}
+// with type "maxCharacters" or "maxWords"
+function validate(html, schema, doc)
+{
+    return checkContentSchema(parseCanonicalContent(html, doc), schema || {}, false);
+}
+
+// Check the content in root against schema, changing root to fit it where it can if fix is true. Returns the
+// errors as validate() does, with fixed set to true on those that were fixed
+function checkContentSchema(root, schema, fix)
+{
+    var errors = [];
+    checkContentSchemaChildren(root, "", null, schema, fix, errors);
+    
+    if(schema.maxCharacters || schema.maxWords)
+    {
+        var copy = root.cloneNode(true);
+        removeEditorUI(copy);
+        var text = contentText(copy);
+        var characters = text.replace(/\n/g, "").length;
+        var words = (text.match(/\S+/g) || []).length;
+        if(schema.maxCharacters && characters > schema.maxCharacters)
+            errors.push({type: 'maxCharacters', count: characters, max: schema.maxCharacters,
+                message: characters + " characters, at most " + schema.maxCharacters + " are allowed"});
+        if(schema.maxWords && words > schema.maxWords)
+            errors.push({type: 'maxWords', count: words, max: schema.maxWords,
+                message: words + " words, at most " + schema.maxWords + " are allowed"});
+    }
+    return errors;
+}
+
+// Check whether schema allows block tag straight inside block parent, "" being the top level
+function contentSchemaAllows(schema, parent, tag)
+{
+    if(schema.blocks && !inList(schema.blocks, tag))
+        return false;
+    return !(schema.nesting && schema.nesting.hasOwnProperty(parent) && !inList(schema.nesting[parent], tag));
+}
+
+// Check the children of node, parent being the tag of the block they are in and inline the tag of the inline
+// element they are in if they are in one
+function checkContentSchemaChildren(node, parent, inline, schema, fix, errors)
+{
+    var child = node.firstChild;
+    while(child)
+    {
+        var next = child.nextSibling;
+        if(child.nodeType != ELEMENT_NODE || isEditorUI(child))
+        {
+            child = next;
+            continue;
+        }
+        
+        var name = contentTagName(child);
+        var error = null;
+        if(CONTENT_BLOCK_TAGS[name])
+        {
+            if(inline)
+                error = {type: 'blockInInline', message: "<" + name + "> can't go inside <" + inline + ">"};
+            else if(schema.blocks && !inList(schema.blocks, name))
+                error = {type: 'block', message: "<" + name + "> isn't allowed"};
+            else if(!contentSchemaAllows(schema, parent, name))
+                error = {type: 'nesting', message: "<" + name + "> can't go inside " +
+                    (parent ? "<" + parent + ">" : "the top level")};
+        }
+        else if(name != "br" && schema.marks && !inList(schema.marks, name))
+            error = {type: 'mark', message: "<" + name + "> isn't allowed"};
+        
+        if(!error)
+        {
+            if(CONTENT_BLOCK_TAGS[name])
+                checkContentSchemaChildren(child, name, null, schema, fix, errors);
+            else
+                checkContentSchemaChildren(child, parent, name, schema, fix, errors);
+            child = next;
+            continue;
+        }
+        
+        error.tag = name;
+        error.parent = inline || parent;
+        error.fixed = fix ? true : false;
+        errors.push(error);
+        if(!fix)
+        {
+            checkContentSchemaChildren(child, CONTENT_BLOCK_TAGS[name] ? name : parent,
+                CONTENT_BLOCK_TAGS[name] ? null : name, schema, fix, errors);
+            child = next;
+            continue;
+        }
+        
+        // A block of text becomes the default block if that may go here, anything else gives way to what it holds,
+        // which is checked in its place
+        var defaultBlock = schema.defaultBlock || "p";
+        if(CONTENT_VOID_TAGS[name])
+            node.removeChild(child);
+        else if(error.type != 'mark' && error.type != 'blockInInline' && name != defaultBlock &&
+            !hasContentBlockChild(child) && contentSchemaAllows(schema, parent, defaultBlock))
+        {
+            child = renameElement(child, defaultBlock);
+            checkContentSchemaChildren(child, defaultBlock, null, schema, fix, errors);
+        }
+        else
+        {
+            next = child.firstChild || next;
+            unwrapNode(child);
+        }
+        child = next;
+    }
+}
+/**
+* End Content schema
+**/
+
+
+
+/**
+* Source view
+*
+* Content as HTML source to edit by hand, laid out a block to a line and coloured by syntax
+**/
+
+// Canonical content html laid out for reading, each block on its own line and indented inside the block it is in.
+// The layout is only whitespace between blocks, which canonical content drops again
+function formatContentSource(html, doc)
+{
+    return formatContentSourceChildren(parseCanonicalContent(html, doc), "").replace(/\n$/, "");
+}
+
+// Source lines for the children of node, indented by indent
+function formatContentSourceChildren(node, indent)
+{
+    var source = "";
+    var inline = node.ownerDocument.createElement('div');
+    var flush = function()
+    {
+        var html = serializeContent(inline);
+        if(html)
+            source += indent + html + "\n";
+        while(inline.firstChild)
+            inline.removeChild(inline.firstChild);
+    };
+    
+    for(var child = node.firstChild; child; child = child.nextSibling)
+    {
+        var name = (child.nodeType == ELEMENT_NODE) ? contentTagName(child) : "";
+        if(!CONTENT_BLOCK_TAGS[name])
+        {
+            inline.appendChild(child.cloneNode(true));
+            continue;
+        }
+        
+        flush();
+        if(!CONTENT_VOID_TAGS[name] && name != "pre" && hasContentBlockChild(child))
+        {
+            source += indent + "<" + name + formatContentAttributes(child) + ">\n" +
+                formatContentSourceChildren(child, indent + "  ") + indent + "</" + name + ">\n";
+        }
+        else
+            source += indent + serializeContentBlock(child, false) + "\n";
+    }
+    flush();
+    return source;
+}
+
+// HTML showing source with its tags, attributes, entities and comments in spans classed by what they are
+function highlightContentSource(source)
+{
+    var html = "";
+    var pattern = /<!--[\s\S]*?(-->|$)|<\/?[a-zA-Z][^>]*>?|&#?[a-zA-Z0-9]+;/g;
+    var last = 0;
+    var match;
+    while((match = pattern.exec(source)))
+    {
+        var token = match[0];
+        html += escapeContent(source.substring(last, match.index));
+        if(token.charAt(0) == "&")
+            html += '<span class="editable-source-entity">' + escapeContent(token) + '</span>';
+        else if(token.indexOf("<!--") == 0)
+            html += '<span class="editable-source-comment">' + escapeContent(token) + '</span>';
+        else
+            html += highlightContentSourceTag(token);
+        last = match.index + token.length;
+    }
+    return html + escapeContent(source.substr(last));
+}
+
+// HTML showing a tag with its name, attribute names and values in spans
+function highlightContentSourceTag(tag)
+{
+    var name = tag.match(/^<\/?[a-zA-Z0-9]+/)[0];
+    var html = '<span class="editable-source-tag">' + escapeContent(name) + '</span>';
+    
+    var pattern = /([^\s=\/>]+)(\s*=\s*)?("[^"]*"?|'[^']*'?|[^\s>]*)?|[\/>]+|\s+/g;
+    var rest = tag.substr(name.length);
+    var match;
+    while((match = pattern.exec(rest)) && match[0])
+    {
+        if(!match[1])
+        {
+            var isSpace = /^\s/.test(match[0]);
+            html += isSpace ? match[0] : '<span class="editable-source-tag">' + escapeContent(match[0]) + '</span>';
+            continue;
+        }
+        html += '<span class="editable-source-attribute">' + escapeContent(match[1]) + '</span>';
+        if(match[2])
+            html += match[2] + '<span class="editable-source-value">' + escapeContent(match[3] || "") + '</span>';
+    }
+    return html;
+}
+/**
+* End Source view
+**/
+
+
+
+/**
+* Tables
+*
+* A table as a grid of rows and columns, where a cell spanning several rows or columns fills every position it
+* covers. Editing works on the grid so spanned cells are grown, shrunk or moved rather than cut through
+**/
+
+// Check whether node is a table cell
+function isTableCell(node)
+{
+    var name = contentTagName(node);
+    return name == 'td' || name == 'th';
+}
+
+// Grid of table's cells, grid[row][column] is the cell covering that position. Rows with fewer cells than
+// others leave the positions past their last cell undefined
+function getTableGrid(table)
+{
+    var grid = [];
+    for(var r = 0; r < table.rows.length; r++)
+        grid[r] = grid[r] || [];
+
+    for(r = 0; r < table.rows.length; r++)
+    {
+        var cells = table.rows[r].cells;
+        var column = 0;
+        for(var i = 0; i < cells.length; i++)
+        {
+            while(grid[r][column])
+                column++;
+
+            // Spans running past the last row are cut short, as browsers draw them
+            var rowSpan = Math.min(Math.max(1, cells[i].rowSpan), table.rows.length - r);
+            var colSpan = Math.max(1, cells[i].colSpan);
+            for(var y = 0; y < rowSpan; y++)
+            {
+                for(var x = 0; x < colSpan; x++)
+                    grid[r + y][column + x] = cells[i];
+            }
+            column += colSpan;
+        }
+    }
+    return grid;
+}
+
+// Number of columns in a grid from getTableGrid()
+function getTableColumnCount(grid)
+{
+    var columns = 0;
+    for(var r = 0; r < grid.length; r++)
+        columns = Math.max(columns, grid[r].length);
+    return columns;
+}
+
+// Row and column of the top left position cell covers in grid, {row, column}, or null if it is not in it
+function findTableCell(grid, cell)
+{
+    for(var r = 0; r < grid.length; r++)
+    {
+        for(var c = 0; c < grid[r].length; c++)
+        {
+            if(grid[r][c] == cell)
+                return {row: r, column: c};
+        }
+    }
+    return null;
+}
+
+// Put cell in row rowIndex of table so it comes before the cells of that row starting at column or after it.
+// grid is the grid from before cell was added, cells added since are passed over
+function insertTableCell(table, grid, rowIndex, column, cell)
+{
+    var row = table.rows[rowIndex];
+    var before = null;
+    for(var i = 0; i < row.cells.length && !before; i++)
+    {
+        var position = findTableCell(grid, row.cells[i]);
+        if(position && position.column >= column)
+            before = row.cells[i];
+    }
+    row.insertBefore(cell, before);
+}
+
+// New empty cell of the same kind as like, a <td> if like is not given
+function createTableCell(doc, like)
+{
+    var cell = doc.createElement(like ? contentTagName(like) : 'td');
+    // Somewhere for the cursor to go, an empty cell collapses in some browsers
+    cell.appendChild(doc.createElement('br'));
+    return cell;
+}
+
+// Set how many rows and columns cell spans, leaving out the attribute for a span of one
+function setTableCellSpan(cell, rowSpan, colSpan)
+{
+    if(rowSpan > 1)
+        cell.rowSpan = rowSpan;
+    else
+        cell.removeAttribute('rowspan');
+    if(colSpan > 1)
+        cell.colSpan = colSpan;
+    else
+        cell.removeAttribute('colspan');
+}
+/**
+* End Tables
+**/
+
+
+
+/**
+* Diff
+*
+* Word level comparison of two versions of content. Both are brought to canonical form and split into tokens:
+* words and the spaces between them, each carrying the formatting around it, the start of each block, and
+* elements such as images that are compared whole. So making a word bold shows as that word changing
+**/
+
+// Attribute holding the change number on the <ins> and <del> elements renderContentDiff() writes
+var CONTENT_CHANGE_ATTRIBUTE = "data-change";
+
+// Check whether node is an <ins> or <del> marking a change, as renderContentDiff() writes
+function isContentChange(node)
+{
+    var name = contentTagName(node);
+    return (name == "ins" || name == "del") && node.getAttribute(CONTENT_CHANGE_ATTRIBUTE) !== null;
+}
+
+// Parse content into its canonical form, for comparing
+function parseCanonicalContent(html, doc)
+{
+    return parseContent(serializeContent(parseContent(html, doc)), doc);
+}
+
+// Split canonical content into tokens of {key, text, length, node, start, end, marks}. key is what tokens are
+// compared by, text and length the text they add, and node the text node, block or whole element they are in
+function contentDiffTokens(root)
+{
+    var tokens = [];
+    var walk = function(parent, marks, format)
+    {
+        for(var child = parent.firstChild; child; child = child.nextSibling)
+        {
+            if(child.nodeType == TEXT_NODE)
+            {
+                var words = child.nodeValue.match(/[^\s\u00a0]+|[\s\u00a0]+/g) || [];
+                var start = 0;
+                for(var i = 0; i < words.length; i++)
+                {
+                    var space = /^[\s\u00a0]/.test(words[i]);
+                    tokens.push({key: format + (space ? " " : words[i]), text: words[i], length: words[i].length,
+                        node: child, start: start, end: start + words[i].length, marks: marks});
+                    start += words[i].length;
+                }
+                continue;
+            }
+            if(child.nodeType != ELEMENT_NODE)
+                continue;
+
+            var name = contentTagName(child);
+            var attributes = formatContentAttributes(child);
+            if(CONTENT_BLOCK_TAGS[name] && !CONTENT_VOID_TAGS[name])
+            {
+                tokens.push({key: "<" + name + attributes + ">", text: "\n", length: 0, node: child, block: true});
+                walk(child, [], "");
+            }
+            else if(name == "a" || isContentMarkElement(child, name))
+            {
+                var tag = "<" + name + attributes + ">";
+                walk(child, marks.concat([{name: name, tag: tag}]), format + tag);
+            }
+            else
+            {
+                var html = serializeContentElement(child, false);
+                tokens.push({key: format + html, text: name == "br" ? "\n" : "", length: 0, node: child,
+                    html: html, marks: marks});
+            }
+        }
+    };
+    walk(root, [], "");
+    return tokens;
+}
+
+// Shortest edit script turning list a into list b, comparing with ===. Returns [{type, a, b}] where type is
+// "equal", "delete" or "insert" and a and b are the indexes in each list it is at
+function diffSequences(a, b)
+{
+    var ops = [];
+    var head = 0;
+    while(head < a.length && head < b.length && a[head] === b[head])
+        ops.push({type: "equal", a: head, b: head++});
+
+    var tail = [];
+    var n = a.length;
+    var m = b.length;
+    while(n > head && m > head && a[n - 1] === b[m - 1])
+        tail.unshift({type: "equal", a: --n, b: --m});
+
+    // Myers' algorithm on what is left between the common start and end, keeping each round's furthest
+    // reaching paths to trace the edits back through
+    var v = {1: head};
+    var trace = [];
+    var done = false;
+    for(var d = 0; d <= (n - head) + (m - head) && !done; d++)
+    {
+        var round = {};
+        for(var key in v)
+            round[key] = v[key];
+        trace.push(round);
+
+        for(var k = -d; k <= d; k += 2)
+        {
+            var x = (k == -d || (k != d && v[k - 1] < v[k + 1])) ? v[k + 1] : v[k - 1] + 1;
+            var y = x - k;
+            while(x < n && y < m && a[x] === b[y])
+            {
+                x++;
+                y++;
+            }
+            v[k] = x;
+            if(x >= n && y >= m)
+            {
+                done = true;
+                break;
+            }
+        }
+    }
+
+    // k here is x - y shifted by the common start, which both lists skip
+    var middle = [];
+    x = n;
+    y = m;
+    for(d = trace.length - 1; d >= 0; d--)
+    {
+        var previous = trace[d];
+        k = (x - head) - (y - head);
+        var previousK = (k == -d || (k != d && previous[k - 1] < previous[k + 1])) ? k + 1 : k - 1;
+        var previousX = (d > 0) ? previous[previousK] : head;
+        var previousY = (d > 0) ? previousX - previousK : head;
+
+        while(x > previousX && y > previousY)
+            middle.unshift({type: "equal", a: --x, b: --y});
+        if(d > 0)
+        {
+            if(x == previousX)
+                middle.unshift({type: "insert", a: x, b: --y});
+            else
+                middle.unshift({type: "delete", a: --x, b: y});
+        }
+    }
+    return ops.concat(middle, tail);
+}
+
+// Compare content, old and new being HTML. Returns the changes and the tokens they were found in as
+// {changes, oldTokens, newTokens, oldRoot, newRoot}, each change holding the tokens it deletes and inserts
+function compareContent(oldHtml, newHtml, doc)
+{
+    var oldRoot = parseCanonicalContent(oldHtml, doc);
+    var newRoot = parseCanonicalContent(newHtml, doc);
+    var oldTokens = contentDiffTokens(oldRoot);
+    var newTokens = contentDiffTokens(newRoot);
+
+    var keys = function(tokens)
+    {
+        var list = [];
+        for(var i = 0; i < tokens.length; i++)
+            list.push(tokens[i].key);
+        return list;
+    };
+    var ops = diffSequences(keys(oldTokens), keys(newTokens));
+
+    var changes = [];
+    var change = null;
+    var oldOffset = 0;
+    var newOffset = 0;
+    for(var i = 0; i < ops.length; i++)
+    {
+        var op = ops[i];
+        if(op.type == "equal")
+        {
+            change = null;
+            oldOffset += oldTokens[op.a].length;
+            newOffset += newTokens[op.b].length;
+            continue;
+        }
+
+        if(!change)
+        {
+            change = {id: changes.length + 1, deleted: [], inserted: [], oldOffset: oldOffset, newOffset: newOffset,
+                oldIndex: op.a, newIndex: op.b};
+            changes.push(change);
+        }
+        if(op.type == "delete")
+        {
+            change.deleted.push(oldTokens[op.a]);
+            oldOffset += oldTokens[op.a].length;
+        }
+        else
+        {
+            change.inserted.push(newTokens[op.b]);
+            newOffset += newTokens[op.b].length;
+        }
+    }
+
+    return {changes: changes, oldTokens: oldTokens, newTokens: newTokens, oldRoot: oldRoot, newRoot: newRoot};
+}
+
+// Text a list of tokens adds up to, with a line break for each block
+function contentDiffText(tokens)
+{
+    var text = "";
+    for(var i = 0; i < tokens.length; i++)
+        text += tokens[i].text;
+    return text.replace(/^\n+/, "");
+}
+
+// Compare old content with new at word level, both HTML. Returns a list of changes in document order, each
+// {id, type, deleted, inserted, oldOffset, newOffset}: type is "insert", "delete" or "replace", deleted and
+// inserted the text taken out and put in, and the offsets where the change is as character offsets into the
+// text of each version, as bookmarks count them
+function diffContent(oldHtml, newHtml, doc)
+{
+    var comparison = compareContent(oldHtml, newHtml, doc);
+    var changes = [];
+    for(var i = 0; i < comparison.changes.length; i++)
+    {
+        var change = comparison.changes[i];
+        changes.push({
+            id        : change.id,
+            type      : !change.deleted.length ? "insert" : (!change.inserted.length ? "delete" : "replace"),
+            deleted   : contentDiffText(change.deleted),
+            inserted  : contentDiffText(change.inserted),
+            oldOffset : change.oldOffset,
+            newOffset : change.newOffset
+        });
+    }
+    return changes;
+}
+
+// Markup for tokens taken out, with the formatting they had
+function contentDiffHTML(tokens)
+{
+    var html = "";
+    for(var i = 0; i < tokens.length; i++)
+    {
+        var token = tokens[i];
+        if(token.block)
+            continue;
+
+        var inner = token.html || escapeContent(token.text);
+        for(var j = token.marks.length - 1; j >= 0; j--)
+            inner = token.marks[j].tag + inner + "</" + token.marks[j].name + ">";
+        html += inner;
+    }
+    return html;
+}
+
+// Wrap the text of tokens in the new content in an element made by wrap(), leaving out block starts, which
+// can't go inside an inline element. Tokens are wrapped last first, as splitting text nodes moves the text
+// after a split into a new node
+function wrapContentDiffTokens(tokens, wrap)
+{
+    var first = null;
+    for(var i = tokens.length - 1; i >= 0; i--)
+    {
+        var token = tokens[i];
+        if(token.block)
+            continue;
+
+        // Words of one text node in a row are wrapped together
+        var start = token.start;
+        while(i > 0 && !tokens[i - 1].block && tokens[i - 1].node == token.node && tokens[i - 1].end == start)
+            start = tokens[--i].start;
+
+        var node = token.node;
+        if(node.nodeType == TEXT_NODE)
+        {
+            if(token.end < node.nodeValue.length)
+                node.splitText(token.end);
+            if(start > 0)
+                node = node.splitText(start);
+        }
+        
+        // Wrapped outside any formatting, so deleted text put next to it doesn't take that formatting on
+        first = wrapNode(isolateInline(node), wrap());
+    }
+    return first;
+}
+
+// Compare old content with new at word level, both HTML, and return the new content with each change marked
+// inline: text put in inside <ins> and text taken out inside <del>, both with a data-change attribute holding
+// the change's id from diffContent()
+function renderContentDiff(oldHtml, newHtml, doc)
+{
+    var comparison = compareContent(oldHtml, newHtml, doc);
+    var root = comparison.newRoot;
+    var target = root.ownerDocument;
+
+    for(var i = comparison.changes.length - 1; i >= 0; i--)
+    {
+        var change = comparison.changes[i];
+        var marker = function(tag)
+        {
+            return function()
+            {
+                var element = target.createElement(tag);
+                element.setAttribute(CONTENT_CHANGE_ATTRIBUTE, change.id);
+                return element;
+            };
+        };
+        var inserted = wrapContentDiffTokens(change.inserted, marker("ins"));
+
+        var html = contentDiffHTML(change.deleted);
+        if(!html)
+            continue;
+        var deleted = marker("del")();
+        deleted.innerHTML = html;
+
+        // Deleted text goes just before the text that replaced it, or where it was taken from
+        var before = comparison.newTokens[change.newIndex - 1];
+        if(inserted)
+            inserted.parentNode.insertBefore(deleted, inserted);
+        else if(!before)
+            root.insertBefore(deleted, root.firstChild);
+        else if(before.block)
+            before.node.insertBefore(deleted, before.node.firstChild);
+        else
+        {
+            if(before.node.nodeType == TEXT_NODE && before.end < before.node.nodeValue.length)
+                before.node.splitText(before.end);
+            var after = isolateInline(before.node);
+            after.parentNode.insertBefore(deleted, after.nextSibling);
+        }
+    }
+    return root.innerHTML;
+}
+/**
+* End Diff
+**/
+
+
+
+/**
+* Operations
+*
+* Content as a flat list of tokens that operations edit, for collaborative editing. Every token is a string:
+*   "t" + formatting + "\u0000" + one character of text, formatting being the opening tags around it
+*   "e" + formatting + "\u0000" + an element kept whole, such as an image or line break
+*   "b" + the blocks a block's content starts in, outermost first and separated by "\u0000", each an opening
+*         tag after "+" if the block starts here or "=" if it carries on from the last block token
+* Any list of tokens renders to well formed content, so operations from different editors can be combined
+* freely. An operation is a list of components: a positive number keeps that many tokens, a negative number
+* deletes that many, and a list of tokens inserts them. Operations are transformed against each other the way
+* ot.js does it, so a central server ordering them is all it takes for every editor to end up the same
+**/
+
+// Check whether an operation component inserts, cross frame safe
+function isOperationInsert(component)
+{
+    return Object.prototype.toString.call(component) == "[object Array]";
+}
+
+// Add keeping count tokens to the end of operation
+function operationRetain(operation, count)
+{
+    if(count <= 0)
+        return;
+    var last = operation[operation.length - 1];
+    if(typeof last == "number" && last > 0)
+        operation[operation.length - 1] += count;
+    else
+        operation.push(count);
+}
+
+// Add inserting tokens to the end of operation, inserts go before deletes they are next to so equal
+// operations always come out the same
+function operationInsert(operation, tokens)
+{
+    if(!tokens.length)
+        return;
+    var length = operation.length;
+    var last = operation[length - 1];
+    if(isOperationInsert(last))
+        operation[length - 1] = last.concat(tokens);
+    else if(typeof last == "number" && last < 0)
+    {
+        if(isOperationInsert(operation[length - 2]))
+            operation[length - 2] = operation[length - 2].concat(tokens);
+        else
+            operation.splice(length - 1, 0, tokens.slice(0));
+    }
+    else
+        operation.push(tokens.slice(0));
+}
+
+// Add deleting count tokens to the end of operation
+function operationDelete(operation, count)
+{
+    if(count <= 0)
+        return;
+    var last = operation[operation.length - 1];
+    if(typeof last == "number" && last < 0)
+        operation[operation.length - 1] -= count;
+    else
+        operation.push(-count);
+}
+
+// Number of tokens an operation applies to
+function operationBaseLength(operation)
+{
+    var length = 0;
+    for(var i = 0; i < operation.length; i++)
+    {
+        if(!isOperationInsert(operation[i]))
+            length += Math.abs(operation[i]);
+    }
+    return length;
+}
+
+// Check whether an operation changes nothing
+function isOperationEmpty(operation)
+{
+    for(var i = 0; i < operation.length; i++)
+    {
+        if(isOperationInsert(operation[i]) || operation[i] < 0)
+            return false;
+    }
+    return true;
+}
+
+// Tokens after applying operation to tokens
+function applyOperation(tokens, operation)
+{
+    if(operationBaseLength(operation) != tokens.length)
+        throw new Error("applyOperation() : operation is for " + operationBaseLength(operation) + " tokens, not " +
+            tokens.length);
+
+    var result = [];
+    var index = 0;
+    for(var i = 0; i < operation.length; i++)
+    {
+        var component = operation[i];
+        if(isOperationInsert(component))
+            result = result.concat(component);
+        else if(component > 0)
+        {
+            result = result.concat(tokens.slice(index, index + component));
+            index += component;
+        }
+        else
+            index -= component;
+    }
+    return result;
+}
+
+// Single operation with the effect of applying a and then b
+function composeOperations(a, b)
+{
+    var result = [];
+    var i = 0;
+    var j = 0;
+    var first = a[i++];
+    var second = b[j++];
+    while(typeof first != "undefined" || typeof second != "undefined")
+    {
+        if(typeof first == "number" && first < 0)
+        {
+            operationDelete(result, -first);
+            first = a[i++];
+            continue;
+        }
+        if(isOperationInsert(second))
+        {
+            operationInsert(result, second);
+            second = b[j++];
+            continue;
+        }
+        if(typeof first == "undefined" || typeof second == "undefined")
+            throw new Error("composeOperations() : operations do not follow on from each other");
+
+        var firstLength = isOperationInsert(first) ? first.length : first;
+        var secondLength = Math.abs(second);
+        var length = Math.min(firstLength, secondLength);
+
+        if(second > 0)
+        {
+            // Kept by b, so what a did to those tokens stands
+            if(isOperationInsert(first))
+                operationInsert(result, first.slice(0, length));
+            else
+                operationRetain(result, length);
+        }
+        else if(!isOperationInsert(first))
+            operationDelete(result, length);
+        // An insert by a that b deletes again cancels out
+
+        if(firstLength > length)
+            first = isOperationInsert(first) ? first.slice(length) : first - length;
+        else
+            first = a[i++];
+        if(secondLength > length)
+            second = (second > 0) ? second - length : second + length;
+        else
+            second = b[j++];
+    }
+    return result;
+}
+
+// Transform two operations made at the same time on the same tokens, returns [a2, b2] where applying a then
+// b2 gives the same as applying b then a2. When both insert at the same place a's tokens go first
+function transformOperations(a, b)
+{
+    var a2 = [];
+    var b2 = [];
+    var i = 0;
+    var j = 0;
+    var first = a[i++];
+    var second = b[j++];
+    while(typeof first != "undefined" || typeof second != "undefined")
+    {
+        if(isOperationInsert(first))
+        {
+            operationInsert(a2, first);
+            operationRetain(b2, first.length);
+            first = a[i++];
+            continue;
+        }
+        if(isOperationInsert(second))
+        {
+            operationRetain(a2, second.length);
+            operationInsert(b2, second);
+            second = b[j++];
+            continue;
+        }
+        if(typeof first == "undefined" || typeof second == "undefined")
+            throw new Error("transformOperations() : operations are not for the same tokens");
+
+        var length = Math.min(Math.abs(first), Math.abs(second));
+        if(first > 0 && second > 0)
+        {
+            operationRetain(a2, length);
+            operationRetain(b2, length);
+        }
+        else if(first < 0 && second > 0)
+            operationDelete(a2, length);
+        else if(first > 0 && second < 0)
+            operationDelete(b2, length);
+        // Both deleted the same tokens, neither has anything left to do
+
+        if(Math.abs(first) > length)
+            first += (first > 0) ? -length : length;
+        else
+            first = a[i++];
+        if(Math.abs(second) > length)
+            second += (second > 0) ? -length : length;
+        else
+            second = b[j++];
+    }
+    return [a2, b2];
+}
+
+// Where a position between tokens ends up after operation. Tokens inserted right at the position go after it
+function transformOperationIndex(index, operation)
+{
+    var position = 0;
+    var result = index;
+    for(var i = 0; i < operation.length && position <= index; i++)
+    {
+        var component = operation[i];
+        if(isOperationInsert(component))
+        {
+            if(position < index)
+                result += component.length;
+        }
+        else if(component > 0)
+            position += component;
+        else
+        {
+            result -= Math.min(-component, index - position);
+            position -= component;
+        }
+    }
+    return Math.max(0, result);
+}
+
+// Operation turning one list of tokens into another, null if they are the same. Edits are found by trimming what
+// the two have in common at either end, as edits between two checks are one change in one place
+function diffOperationTokens(before, after)
+{
+    var start = 0;
+    while(start < before.length && start < after.length && before[start] === after[start])
+        start++;
+    var end = 0;
+    while(end < before.length - start && end < after.length - start &&
+        before[before.length - 1 - end] === after[after.length - 1 - end])
+        end++;
+
+    if(start + end == before.length && start + end == after.length)
+        return null;
+
+    var operation = [];
+    operationRetain(operation, start);
+    operationInsert(operation, after.slice(start, after.length - end));
+    operationDelete(operation, before.length - start - end);
+    operationRetain(operation, end);
+    return operation;
+}
+
+// Tokens for canonical content parsed into root
+function contentOperationTokens(root)
+{
+    var tokens = [];
+    var started = [];
+
+    var openTag = function(element)
+    {
+        return "<" + contentTagName(element) + formatContentAttributes(element) + ">";
+    };
+    var pushBlock = function(chain)
+    {
+        var levels = [];
+        for(var i = 0; i < chain.length; i++)
+        {
+            levels.push((inList(started, chain[i]) ? "=" : "+") + openTag(chain[i]));
+            if(!inList(started, chain[i]))
+                started.push(chain[i]);
+        }
+        tokens.push("b" + levels.join("\u0000"));
+    };
+    var walkInline = function(node, format)
+    {
+        if(node.nodeType == TEXT_NODE)
+        {
+            for(var i = 0; i < node.nodeValue.length; i++)
+                tokens.push("t" + format + "\u0000" + node.nodeValue.charAt(i));
+            return;
+        }
+        if(node.nodeType != ELEMENT_NODE)
+            return;
+
+        var name = contentTagName(node);
+        if(!CONTENT_BLOCK_TAGS[name] && (name == "a" || isContentMarkElement(node, name)))
+        {
+            for(var child = node.firstChild; child; child = child.nextSibling)
+                walkInline(child, format + openTag(node));
+        }
+        else
+        {
+            var html = CONTENT_BLOCK_TAGS[name] ? serializeContentBlock(node, false) :
+                serializeContentElement(node, false);
+            tokens.push("e" + format + "\u0000" + html);
+        }
+    };
+    var walkBlock = function(block, chain)
+    {
+        // Content straight in a block, before any block inside it or after one, starts with a block token
+        var needBlock = (block != root);
+        var count = tokens.length;
+        for(var child = block.firstChild; child; child = child.nextSibling)
+        {
+            var name = (child.nodeType == ELEMENT_NODE) ? contentTagName(child) : "";
+            if(CONTENT_BLOCK_TAGS[name])
+            {
+                if(CONTENT_VOID_TAGS[name])
+                    pushBlock(chain.concat([child]));
+                else
+                    walkBlock(child, chain.concat([child]));
+                needBlock = true;
+            }
+            else
+            {
+                if(needBlock)
+                    pushBlock(chain);
+                needBlock = false;
+                walkInline(child, "");
+            }
+        }
+
+        // An empty block still needs a token to be there at all
+        if(block != root && tokens.length == count)
+            pushBlock(chain);
+    };
+
+    walkBlock(root, []);
+    return tokens;
+}
+
+// Content HTML for tokens
+function renderOperationTokens(tokens)
+{
+    var html = "";
+    var blocks = [];
+    var format = "";
+    var closeFormat = function()
+    {
+        var names = format.match(/<[a-z0-9]+/gi) || [];
+        for(var i = names.length - 1; i >= 0; i--)
+            html += "</" + names[i].substr(1) + ">";
+        format = "";
+    };
+    var closeBlocks = function(depth)
+    {
+        while(blocks.length > depth)
+            html += "</" + blocks.pop().match(/^<([a-z0-9]+)/i)[1] + ">";
+    };
+
+    for(var i = 0; i < tokens.length; i++)
+    {
+        var token = tokens[i];
+        var type = token.charAt(0);
+        if(type == "b")
+        {
+            closeFormat();
+            var levels = token.length > 1 ? token.substr(1).split("\u0000") : [];
+
+            // Blocks carried on from before stay open, from the first that doesn't everything is opened anew
+            var depth = 0;
+            while(depth < blocks.length && depth < levels.length && levels[depth].charAt(0) == "=" &&
+                levels[depth].substr(1) == blocks[depth])
+                depth++;
+            closeBlocks(depth);
+            for(var j = depth; j < levels.length; j++)
+            {
+                var tag = levels[j].substr(1);
+                html += tag;
+                if(!CONTENT_VOID_TAGS[tag.match(/^<([a-z0-9]+)/i)[1].toLowerCase()])
+                    blocks.push(tag);
+            }
+            continue;
+        }
+
+        var split = token.indexOf("\u0000");
+        var tokenFormat = token.substring(1, split);
+        var content = token.substr(split + 1);
+        if(tokenFormat != format)
+        {
+            closeFormat();
+            html += tokenFormat;
+            format = tokenFormat;
+        }
+        html += (type == "t") ? escapeContent(content) : content;
+    }
+    closeFormat();
+    closeBlocks(0);
+    return html;
+}
+
+// Index of the token just after character offset into the text of tokens, as bookmarks count characters
+function operationTokenIndex(tokens, offset)
+{
+    var index = 0;
+    for(var count = 0; index < tokens.length && count < offset; index++)
+    {
+        if(tokens[index].charAt(0) == "t")
+            count++;
+    }
+    return index;
+}
+
+// Character offset into the text of tokens of the position before the token at index
+function operationTokenOffset(tokens, index)
+{
+    var offset = 0;
+    for(var i = 0; i < index && i < tokens.length; i++)
+    {
+        if(tokens[i].charAt(0) == "t")
+            offset++;
+    }
+    return offset;
+}
+/**
+* End Operations
+**/
+
+
+
+/**
+* Class EditableHistory
+*
+* Bounded undo/redo stack of content snapshots, kept apart from the browser's own undo which differs per engine
+**/
+var EditableHistory = function(limit)
+{
+    // Snapshots oldest first, each is {html: string, bookmark: {start, end}}
+    this.stack = [];
+    
+    // Index of the snapshot matching the current content
+    this.index = -1;
+    
+    // Most snapshots to keep, the oldest are dropped first
+    this.limit = limit || 100;
+    
+    // Constructor
+    this.EditableHistory = function(){};
+    
+    // Add a snapshot as the current state, dropping any redo states. Returns false if content did not change
+    this.push = function(snapshot)
+    {
+        var current = this.current();
+        if(current && current.html == snapshot.html)
+        {
+            // Same content, just keep the latest selection
+            current.bookmark = snapshot.bookmark;
+            return false;
+        }
+        
+        this.stack.splice(this.index + 1, this.stack.length);
+        this.stack.push(snapshot);
+        
+        if(this.stack.length > this.limit)
+            this.stack.splice(0, this.stack.length - this.limit);
+        
+        this.index = this.stack.length - 1;
+        return true;
+    };
+    
+    // Snapshot matching the current content, or null if nothing has been recorded
+    this.current = function()
+    {
+        return (this.index >= 0) ? this.stack[this.index] : null;
+    };
+    
+    // Step back, returns the snapshot to restore or null
+    this.undo = function()
+    {
+        if(!this.canUndo())
+            return null;
+        return this.stack[--this.index];
+    };
+    
+    // Step forward, returns the snapshot to restore or null
+    this.redo = function()
+    {
+        if(!this.canRedo())
+            return null;
+        return this.stack[++this.index];
+    };
+    
+    this.canUndo = function()
+    {
+        return this.index > 0;
+    };
+    
+    this.canRedo = function()
+    {
+        return this.index < this.stack.length - 1;
+    };
+    
+    // Change the most snapshots to keep
+    this.setLimit = function(limit)
+    {
+        this.limit = limit;
+        if(this.stack.length > limit)
+        {
+            var drop = this.stack.length - limit;
+            this.stack.splice(0, drop);
+            this.index = Math.max(this.index - drop, 0);
+        }
+    };
+    
+    // Forget every snapshot
+    this.clear = function()
+    {
+        this.stack = [];
+        this.index = -1;
+    };
+};
+/**
+* End Class EditableHistory
+**/
+
+
+/**
+* Class EditableBase
+*
+* Base class for browser specific rich text editing classes
+**/
+var EditableBase = function()
+{
+    // Document object reference of document containing edited node
+    this.doc = null;
+    
+    // Reference to node being edited
+    this.node = null;
+    
+    // Associative array holding last validated commands, used to compare and signal a change
+    this.cachedCommandArray = null;
+    
+    // Function reference of function to call if command state changes
+    this.stateChangeCallback = null;
+    
+    // Milliseconds to wait for events to settle before checking command state, and the pending timer
+    this.stateCheckDelay = 50;
+    this.stateCheckTimer = null;
+    
+    // Event handlers attached by this object, kept so each editor only ever removes its own
+    this.eventBindings = [];
+    
+    // Undo/redo snapshots, and the milliseconds of typing pause after which a snapshot is taken
+    this.history = new EditableHistory(100);
+    this.historyDelay = 750;
+    this.historyTimer = null;
+    
+    // Selection bookmark taken on the last keyup or mouseup, restored when clicking elsewhere lost the selection
+    this.cachedBookmark = null;
+    
+    // Node that was being edited when editing was last turned off, history is kept if it is turned back on
+    this.lastEditedNode = null;
+    
+    // Schema pasted content is sanitized with, see DEFAULT_SANITIZE_SCHEMA
+    this.pasteSchema = DEFAULT_SANITIZE_SCHEMA;
+    
+    // Content schema the content is kept to as it is edited, see Content schema, and the errors it couldn't fix
+    this.schema = null;
+    this.schemaErrors = [];
+    
+    // Milliseconds to wait for the browser to finish a paste it would not let us intercept
+    this.pasteDelay = 10;
+    
+    // Canonical key chord to action, starts out with DEFAULT_KEYMAP
+    this.keymap = {};
+    
+    // Handlers added with on(), event type to list of functions
+    this.eventHandlers = {};
+    
+    // Content and selection when input, change and selectionchange were last fired
+    this.lastContentHTML = null;
+    this.lastChangeContent = null;
+    this.lastSelection = null;
+    
+    // Content of the node when editing was turned on, what a draft is compared against
+    this.originalContent = null;
+    
+    // EditableAutosave keeping a draft of the content, or null
+    this.autosave = null;
+    
+    // EditableCollaboration sharing the content with other editors, or null
+    this.collaboration = null;
+    
+    // EditableMentions suggesting as triggers are typed, or null
+    this.mentions = null;
+    
+    // Query, options, matches and current match of the last find(), null when nothing is being searched for
+    this.findState = null;
+    
+    // 'edit', 'readonly' or 'source', see setMode(), and the source view's elements while it shows
+    this.mode = 'edit';
+    this.sourceView = null;
+    
+    // Milliseconds content has to settle for before change fires, and the pending timer
+    this.changeDelay = 300;
+    this.changeTimer = null;
+    
+    // Hint text shown while the editor is empty, and the class marking the node as empty
+    this.placeholder = null;
+    this.emptyClass = "editable-empty";
+    
+    // Uploads dropped or pasted image files, called with the file and a function to report progress to with
+    // the fraction done, returns a promise of the uploaded image's URL. Image files are refused without one
+    this.uploadHandler = null;
+    this.uploadCount = 0;
+    
+    // Whether dragging an image's resize handles keeps its aspect ratio
+    this.keepAspectRatio = true;
+    
+    // Image showing resize handles, the element holding the handles, and the resize being dragged
+    this.selectedImage = null;
+    this.imageHandles = null;
+    this.imageDrag = null;
+    
+    // Commands to check for when checking context
+    this.commands = [
+                        ['bold', 'state'],
+                        ['italic', 'state'],
+                        ['underline', 'state'],
+                        ['fontname', 'value'],
+                        ['fontsize', 'value'],
+                        ['forecolor', 'value'],
+                        ['link', function()
+                        {
+                            // The href of the link at the selection, false outside links
+                            var link = this.getLinkAtSelection();
+                            return link ? link.href : false;
+                        }]
+                    ];
+    
+    // URL schemes allowed for links and images, relative URLs are always allowed
+    this.linkSchemes  = ['http', 'https', 'mailto', 'ftp'];
+    this.imageSchemes = ['http', 'https'];
+    
+    // Lowest and highest values accepted by the fontsize command
+    this.fontSizeRange = [1, 7];
+    
+    // Block elements accepted by the formatblock command
+    this.formatBlocks = ['p', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'pre', 'blockquote', 'address', 'div'];
+    
+    // Value checks for commands that take a value, called as methods of this object with the value passed to
+    // execCommand(), they return the value to hand to the browser or null if it should be refused
+    this.commandValues = {
+        forecolor : function(value)
+        {
+            return this.checkColorValue(value);
+        },
+        backcolor : function(value)
+        {
+            return this.checkColorValue(value);
+        },
+        fontname : function(value)
+        {
+            // Font family list, nothing that could end a style declaration
+            value = String(value).replace(/^\s+|\s+$/g, "");
+            return (value && /^[\w\s,\-'"]+$/.test(value)) ? value : null;
+        },
+        fontsize : function(value)
+        {
+            var size = parseInt(value, 10);
+            if(isNaN(size) || size < this.fontSizeRange[0] || size > this.fontSizeRange[1])
+                return null;
+            return String(size);
+        },
+        createlink : function(value)
+        {
+            return checkUrl(value, this.linkSchemes);
+        },
+        insertimage : function(value)
+        {
+            return checkUrl(value, this.imageSchemes);
+        },
+        formatblock : function(value)
+        {
+            // IE only understands the tag in angle brackets, the others accept either form
+            var tag = String(value).replace(/[<>\s]/g, "").toLowerCase();
+            for(var i = 0; i < this.formatBlocks.length; i++)
+            {
+                if(this.formatBlocks[i] == tag)
+                    return "<" + tag + ">";
+            }
+            return null;
+        }
+    };
+
+    // Name of the layout engine this class edits for, set by each browser specific sub class
+    this.engine = null;
+
+    // Constructor
+    this.EditableBase = function(){};
+    
+    // Overridden in sub class to define browser specific functionality for turning on editing of node
+    this.editableOn = function(node)
+    {
+        if(!this.checkNodeType(node))
+            return false;
+        debug("editableOn() : Node was not made editable, no browser specific method overridden");
+        return false;
+    };
+    
+    // Overridden in sub class to define browser specific functionality for turning off editing of node
+    this.editableOff = function()
+    {
+        debug("editableOff() : Node was not made uneditable, no browser specific method overridden");
+        return false;
+    };
+    
+    // Attach handler to an event on target, handler is called as a method of this object with the event object
+    this.bindEvent = function(target, type, handler)
+    {
+        var self = this;
+        var listener = function(e)
+        {
+            return handler.call(self, e || window.event);
+        };
+        
+        if(target.addEventListener)
+            target.addEventListener(type, listener, true);
+        else if(target.attachEvent)
+            target.attachEvent("on" + type, listener);
+        
+        this.eventBindings.push({target: target, type: type, handler: handler, listener: listener});
+        return listener;
+    };
+    
+    // Detach a handler previously attached with bindEvent()
+    this.unbindEvent = function(target, type, handler)
+    {
+        for(var i = this.eventBindings.length - 1; i >= 0; i--)
+        {
+            var binding = this.eventBindings[i];
+            if(binding.target != target || binding.type != type || binding.handler != handler)
+                continue;
+            
+            if(target.removeEventListener)
+                target.removeEventListener(type, binding.listener, true);
+            else if(target.detachEvent)
+                target.detachEvent("on" + type, binding.listener);
+            
+            this.eventBindings.splice(i, 1);
+        }
+    };
+    
+    // Detach every handler attached by this object
+    this.unbindEvents = function()
+    {
+        while(this.eventBindings.length)
+        {
+            var binding = this.eventBindings[this.eventBindings.length - 1];
+            this.unbindEvent(binding.target, binding.type, binding.handler);
+        }
+    };
+    
+    // Called by sub classes at the end of editableOn() with the node passed in and the object receiving key events
+    this.setupEditing = function(node, eventTarget)
+    {
+        // History belongs to the content, start over if a different node is being edited
+        if(this.lastEditedNode && this.lastEditedNode != node)
+            this.history.clear();
+        
+        this.bindEvent(eventTarget, 'keydown', this.handleKeyDown);
+        this.bindEvent(eventTarget, 'keyup', this.handleKeyUp);
+        this.bindEvent(eventTarget, 'paste', this.handlePaste);
+        this.bindEvent(eventTarget, 'keypress', this.hidePlaceholder);
+        this.bindEvent(eventTarget, 'input', this.contentChanged);
+        this.bindEvent(eventTarget, 'mouseup', this.checkSelection);
+        this.bindEvent(this.doc, 'selectionchange', this.checkSelection);
+        this.bindEvent(eventTarget, 'drop', this.handleDrop);
+        
+        // Anywhere in the document, clicking away from an image hides its resize handles
+        this.bindEvent(this.doc, 'mousedown', this.handleImageMouseDown);
+        
+        // Gecko's iframe document never gets focus itself, its window does
+        var focusTarget = (eventTarget.nodeType == DOCUMENT_NODE) ? this.getWindow() : eventTarget;
+        this.bindEvent(focusTarget, 'focus', this.handleFocus);
+        this.bindEvent(focusTarget, 'blur', this.handleBlur);
+        
+        this.recordHistory();
+        this.updatePlaceholder();
+        
+        this.lastContentHTML = this.node.innerHTML;
+        this.lastChangeContent = this.getContent();
+        this.lastSelection = this.getSelectionOffsets();
+        this.originalContent = this.lastChangeContent;
+        
+        this.fire('enable', {});
+    };
+    
+    // Called by sub classes at the start of editableOff(), while references are still set
+    this.teardownEditing = function()
+    {
+        // The node goes back into the page as it is edited
+        this.setMode('edit');
+        
+        this.recordHistory();
+        this.cancelHistoryRecord();
+        
+        // Let listeners have a change still waiting out its delay
+        this.contentChanged();
+        this.fireChange();
+        this.fire('disable', {});
+        this.lastEditedNode = this.node;
+        this.cachedBookmark = null;
+        
+        // The node goes back into the page as content, without the placeholder or anything else the editor added
+        this.hidePlaceholder();
+        this.node.removeAttribute("data-placeholder");
+        this.hideImageHandles();
+        this.clearFind();
+        removeEditorUI(this.node);
+    };
+    
+    // Add a handler for an editor event, handlers are called as methods of this object with an event object
+    // holding type, editor and the event's own properties. Events are:
+    //   input           : content changed, fired straight away
+    //   change          : content changed, fired once changes settle, event.content is the new content
+    //   focus, blur     : the editor gained or lost focus
+    //   selectionchange : the selection moved, event.selection is its {start, end} character offsets
+    //   beforecommand   : a command is about to run, event.command and event.value. Cancel with
+    //                     event.preventDefault() or by returning false
+    //   aftercommand    : a command ran, event.command, event.value and event.result
+    //   statechange     : command state changed, event.state and event.changes as passed to the state callback
+    //   enable, disable : editing was turned on, or is about to be turned off
+    //   uploaderror     : an image upload failed, event.file and event.error
+    //   modechange      : setMode() switched mode, event.mode and event.previous
+    //   validation      : the content has errors against the schema that couldn't be fixed, or no longer has,
+    //                     event.errors as validate() returns them
+    this.on = function(type, handler)
+    {
+        if(!this.eventHandlers[type])
+            this.eventHandlers[type] = [];
+        this.eventHandlers[type].push(handler);
+    };
+    
+    // Remove a handler added with on(), every handler for type if no handler is given, or every handler at all
+    this.off = function(type, handler)
+    {
+        if(!type)
+        {
+            this.eventHandlers = {};
+            return;
+        }
+        
+        var handlers = this.eventHandlers[type] || [];
+        for(var i = handlers.length - 1; i >= 0; i--)
+        {
+            if(!handler || handlers[i] == handler)
+                handlers.splice(i, 1);
+        }
+    };
+    
+    // Call the handlers for an editor event, returns false if one of them cancelled it
+    this.fire = function(type, data)
+    {
+        var handlers = this.eventHandlers[type];
+        if(!handlers || !handlers.length)
+            return true;
+        
+        var event = {
+            type             : type,
+            editor           : this,
+            defaultPrevented : false,
+            preventDefault   : function() { this.defaultPrevented = true; }
+        };
+        for(var key in data)
+            event[key] = data[key];
+        
+        // Copy so handlers can remove themselves
+        handlers = handlers.slice(0);
+        for(var i = 0; i < handlers.length; i++)
+        {
+            if(handlers[i].call(this, event) === false)
+                event.defaultPrevented = true;
+        }
+        return !event.defaultPrevented;
+    };
+    
+    // Called whenever content may have changed, fires input straight away and change once changes settle
+    this.contentChanged = function()
+    {
+        if(!this.node)
+            return;
+        
+        this.updatePlaceholder();
+        
+        // Resize handles follow their image as content moves it, and go if it was deleted
+        this.positionImageHandles();
+        
+        // Find highlights follow the text, and go where it no longer matches
+        if(this.findState)
+            this.updateFind();
+        
+        var html = this.node.innerHTML;
+        if(html == this.lastContentHTML)
+            return;
+        
+        // Content the schema doesn't allow is fixed before anything hears of it
+        if(this.enforceSchema())
+            html = this.node.innerHTML;
+        this.lastContentHTML = html;
+        
+        this.fire('input', {});
+        
+        if(this.changeTimer)
+            window.clearTimeout(this.changeTimer);
+        
+        var self = this;
+        this.changeTimer = window.setTimeout(function()
+        {
+            self.fireChange();
+        }, this.changeDelay);
+    };
+    
+    // Fire change if the content differs from when it was last fired
+    this.fireChange = function()
+    {
+        if(this.changeTimer)
+            window.clearTimeout(this.changeTimer);
+        this.changeTimer = null;
+        
+        if(!this.node)
+            return;
+        
+        var content = this.getContent();
+        if(content == this.lastChangeContent)
+            return;
+        
+        this.lastChangeContent = content;
+        this.fire('change', {content: content});
+    };
+    
+    // Fire selectionchange if the selection in this editor moved
+    this.checkSelection = function()
+    {
+        var selection = this.getSelectionOffsets();
+        if(!selection)
+            return;
+        
+        var last = this.lastSelection;
+        if(last && last.start == selection.start && last.end == selection.end)
+            return;
+        
+        this.lastSelection = selection;
+        this.fire('selectionchange', {selection: selection});
+    };
+    
+    this.handleFocus = function(e)
+    {
+        this.fire('focus', {});
+    };
+    
+    this.handleBlur = function(e)
+    {
+        // Changes are done with once the user leaves
+        this.fireChange();
+        this.fire('blur', {});
+    };
+    
+    // Set hint text to show while the editor is empty, null for none
+    this.setPlaceholder = function(text)
+    {
+        this.placeholder = text || null;
+        this.updatePlaceholder();
+    };
+    
+    // Check whether the editor shows no content, the same answer in every engine whatever markup it leaves behind
+    this.isEmpty = function()
+    {
+        return !this.node || isContentEmpty(this.getContent());
+    };
+    
+    // Show or hide the placeholder depending on whether the editor is empty
+    this.updatePlaceholder = function()
+    {
+        if(!this.node)
+            return;
+        
+        if(!this.placeholder)
+        {
+            this.hidePlaceholder();
+            this.node.removeAttribute("data-placeholder");
+            return;
+        }
+        
+        // Shown with generated content so it is never part of the node's content
+        addStyleSheet(this.doc, "editable-placeholder-style",
+            "." + this.emptyClass + ":before { content: attr(data-placeholder); color: #999; cursor: text; }");
+        this.node.setAttribute("data-placeholder", this.placeholder);
+        
+        if(this.isEmpty())
+            addClass(this.node, this.emptyClass);
+        else
+            removeClass(this.node, this.emptyClass);
+    };
+    
+    // Hide the placeholder as soon as a key is typed, before the content is checked again on keyup
+    this.hidePlaceholder = function()
+    {
+        if(this.node)
+            removeClass(this.node, this.emptyClass);
+    };
+    
+    // Set the schema pasted content is sanitized with, pass {plainText: true} to paste text only
+    this.setPasteSchema = function(schema)
+    {
+        this.pasteSchema = schema || DEFAULT_SANITIZE_SCHEMA;
+    };
+    
+    // Keep the content to a content schema, null to stop. The content is fixed to fit straight away and after every
+    // change, validation fires when what can't be fixed changes
+    this.setSchema = function(schema)
+    {
+        this.schema = schema || null;
+        this.schemaErrors = [];
+        if(this.node && this.enforceSchema())
+            this.contentChanged();
+    };
+    
+    // Errors of the content against the schema, see validate()
+    this.validate = function()
+    {
+        if(!this.node || !this.schema)
+            return [];
+        return validate(this.getContent(), this.schema, this.doc);
+    };
+    
+    // Fix the edited node's DOM to fit the schema, keeping the selection where it was. Fires validation with the
+    // errors left if they differ from last time. Returns whether anything was fixed
+    this.enforceSchema = function()
+    {
+        if(!this.node || !this.schema)
+            return false;
+        
+        // Renamed blocks take the nodes in them along, so a range in those is put back as it was. Offsets into
+        // the text can't tell which of two lines an empty line is, they are for when the range's nodes went
+        var win = this.getWindow();
+        var offsets = this.getSelectionOffsets();
+        var range = null;
+        if(offsets && win.getSelection)
+        {
+            range = win.getSelection().getRangeAt(0);
+            range = {startContainer: range.startContainer, startOffset: range.startOffset,
+                endContainer: range.endContainer, endOffset: range.endOffset};
+        }
+        
+        var errors = checkContentSchema(this.node, this.schema, true);
+        var remaining = [];
+        var fixed = false;
+        for(var i = 0; i < errors.length; i++)
+        {
+            if(errors[i].fixed)
+                fixed = true;
+            else
+                remaining.push(errors[i]);
+        }
+        
+        if(fixed && range && this.containsNode(range.startContainer) && this.containsNode(range.endContainer))
+        {
+            var restored = this.doc.createRange();
+            restored.setStart(range.startContainer, range.startOffset);
+            restored.setEnd(range.endContainer, range.endOffset);
+            win.getSelection().removeAllRanges();
+            win.getSelection().addRange(restored);
+        }
+        else if(fixed && offsets)
+            this.setSelectionOffsets(offsets);
+        
+        var messages = function(list)
+        {
+            var text = [];
+            for(var j = 0; j < list.length; j++)
+                text.push(list[j].message);
+            return text.join("\n");
+        };
+        if(messages(remaining) != messages(this.schemaErrors))
+        {
+            this.schemaErrors = remaining;
+            this.fire('validation', {errors: remaining});
+        }
+        return fixed;
+    };
+    
+    // Replace the browser's paste with sanitized content
+    this.handlePaste = function(e)
+    {
+        if(this.mode != 'edit')
+            return true;
+        
+        var win = this.getWindow();
+        var clipboard = e.clipboardData || win.clipboardData;
+        var html = null;
+        var text = null;
+        
+        // Image files, such as a copied screenshot, are uploaded
+        var files = this.getImageFiles(clipboard ? clipboard.files : null);
+        if(this.uploadHandler && files.length)
+        {
+            cancelEvent(e);
+            for(var i = 0; i < files.length; i++)
+                this.insertImageFile(files[i]);
+            return false;
+        }
+        
+        if(clipboard && clipboard.getData)
+        {
+            // IE's clipboard only knows "Text" and throws for anything else
+            try { html = clipboard.getData("text/html"); } catch(error) {}
+            try { text = clipboard.getData("text/plain"); } catch(error) {}
+            if(text === null || typeof text == "undefined")
+                text = clipboard.getData("Text");
+        }
+        
+        if(html || text)
+        {
+            cancelEvent(e);
+            if(!html || this.pasteSchema.plainText)
+                html = escapeContent(text || "").replace(/\r\n|\r|\n/g, "<br>");
+            return this.insertHTML(sanitize(html, this.pasteSchema, this.doc));
+        }
+        
+        // No clipboard access, let the paste land in an element off screen then insert only what it brought in
+        var self = this;
+        var offsets = this.getSelectionOffsets() || this.cachedBookmark;
+        var catcher = this.createPasteCatcher();
+        window.setTimeout(function()
+        {
+            var pasted = catcher.innerHTML;
+            if(catcher.parentNode)
+                catcher.parentNode.removeChild(catcher);
+            if(!self.node)
+                return;
+            
+            self.cachedBookmark = offsets;
+            self.setSelectionOffsets(offsets);
+            self.insertHTML(sanitize(pasted, self.pasteSchema, self.doc));
+        }, this.pasteDelay);
+        return true;
+    };
+    
+    // Editable element off screen with the selection moved into it, for a paste to land in away from the content
+    this.createPasteCatcher = function()
+    {
+        var win = this.getWindow();
+        var catcher = this.doc.createElement('div');
+        catcher.setAttribute(EDITOR_UI_ATTRIBUTE, "paste");
+        catcher.contentEditable = true;
+        catcher.style.position = "absolute";
+        catcher.style.left = "-10000px";
+        catcher.style.top = (win.pageYOffset || this.doc.documentElement.scrollTop || 0) + "px";
+        catcher.style.width = "1px";
+        catcher.style.height = "1px";
+        catcher.style.overflow = "hidden";
+        this.doc.body.appendChild(catcher);
+        
+        if(win.getSelection)
+        {
+            var range = this.doc.createRange();
+            range.selectNodeContents(catcher);
+            var selection = win.getSelection();
+            selection.removeAllRanges();
+            selection.addRange(range);
+        }
+        else if(this.doc.body.createTextRange)
+        {
+            var textRange = this.doc.body.createTextRange();
+            textRange.moveToElementText(catcher);
+            textRange.select();
+        }
+        return catcher;
+    };
+    
+    // Replace the selection with html, leaving the cursor after it. Can be undone
+    this.insertHTML = function(html)
+    {
+        var win = this.getWindow();
+        if(!win || !this.node)
+            return false;
+        
+        // Handlers and script URLs would run as soon as the html is parsed here, they go while it is still inert
+        var parsed = parseContent(html, this.doc);
+        removeUnsafeContent(parsed);
+        html = parsed.innerHTML;
+        
+        this.preExecCommand();
+        this.recordHistory();
+        
+        if(win.getSelection)
+        {
+            var selection = win.getSelection();
+            var range = null;
+            if(selection.rangeCount && this.containsNode(selection.getRangeAt(0).commonAncestorContainer))
+                range = selection.getRangeAt(0);
+            else
+            {
+                // Nothing selected in this editor, add to the end
+                range = this.doc.createRange();
+                range.selectNodeContents(this.node);
+                range.collapse(false);
+            }
+            
+            var container = this.doc.createElement("div");
+            container.innerHTML = html;
+            var fragment = this.doc.createDocumentFragment();
+            var last = container.lastChild;
+            while(container.firstChild)
+                fragment.appendChild(container.firstChild);
+            
+            range.deleteContents();
+            range.insertNode(fragment);
+            
+            if(last)
+            {
+                range = this.doc.createRange();
+                range.setStartAfter(last);
+                range.collapse(true);
+                selection.removeAllRanges();
+                selection.addRange(range);
+            }
+        }
+        else if(this.doc.selection)
+            this.doc.selection.createRange().pasteHTML(html);
+        
+        this.postExecCommand();
+        this.contentChanged();
+        this.recordHistory();
+        this.checkCommandState();
+        return true;
+    };
+    
+    // Bind a key chord such as "Mod+B" to an action, see DEFAULT_KEYMAP. A false or null action disables the chord
+    this.bindKey = function(chord, action)
+    {
+        this.keymap[normalizeKeyChord(chord, isMacPlatform())] = action || null;
+    };
+    
+    // Remove the binding for a key chord so the browser handles it
+    this.unbindKey = function(chord)
+    {
+        delete this.keymap[normalizeKeyChord(chord, isMacPlatform())];
+    };
+    
+    // Bind every chord in keymap, on top of the bindings already there
+    this.setKeymap = function(keymap)
+    {
+        for(var chord in keymap)
+            this.bindKey(chord, keymap[chord]);
+    };
+    
+    // Run the action bound to the pressed key chord
+    this.handleKeyDown = function(e)
+    {
+        // Read-only and source views have nothing for the keymap to change
+        if(this.mode != 'edit')
+            return true;
+        
+        // Shown suggestions take the keys that move through them
+        if(this.mentions && this.mentions.handleKeyDown(e))
+            return cancelEvent(e);
+        
+        var chord = eventKeyChord(e);
+        var action = chord ? this.keymap[chord] : null;
+        if(!action)
+        {
+            // Typing replaces a selected image rather than resizing it
+            this.hideImageHandles();
+            return true;
+        }
+        
+        var handled = true;
+        if(typeof action == "function")
+            handled = action.call(this, e) !== false;
+        else if(typeof action == "string")
+            this.execCommand(action);
+        else
+            this.execCommand(action[0], action[1]);
+        
+        return handled ? cancelEvent(e) : true;
+    };
+    
+    // Check whether the cursor is in a list, where Tab indents rather than moving focus
+    this.isInList = function()
+    {
+        try
+        {
+            return this.queryCommandState('insertorderedlist') || this.queryCommandState('insertunorderedlist');
+        }
+        catch(e)
+        {
+            return false;
+        }
+    };
+    
+    // Ask for a URL and link the selection to it, or change the URL of the link the selection is in
+    this.promptLink = function()
+    {
+        // Prompting loses the selection in some browsers, so take it first
+        var bookmark = this.getBookmark();
+        var link = this.getLinkAtSelection();
+        var url = window.prompt("Link URL", link ? link.href : "http://");
+        if(!url)
+            return false;
+        
+        this.restoreBookmark(bookmark);
+        return link ? this.updateLink({href: url}) : this.insertLink({href: url});
+    };
+    
+    // Take a history snapshot once typing pauses
+    this.handleKeyUp = function(e)
+    {
+        this.cancelHistoryRecord();
+        this.contentChanged();
+        this.checkSelection();
+        
+        var self = this;
+        this.historyTimer = window.setTimeout(function()
+        {
+            self.historyTimer = null;
+            self.recordHistory();
+        }, this.historyDelay);
+    };
+    
+    // Drop any pending typing snapshot
+    this.cancelHistoryRecord = function()
+    {
+        if(this.historyTimer)
+            window.clearTimeout(this.historyTimer);
+        this.historyTimer = null;
+    };
+    
+    // Snapshot content and selection into history if the content changed since the last snapshot
+    this.recordHistory = function()
+    {
+        if(!this.node)
+            return false;
+        
+        this.cancelHistoryRecord();
+        
+        // Undo must not bring back an upload placeholder whose upload has since finished
+        var html = this.node.innerHTML;
+        if(html.indexOf(EDITOR_UI_ATTRIBUTE) >= 0)
+        {
+            var clone = this.node.cloneNode(true);
+            removeEditorUI(clone);
+            html = clone.innerHTML;
+        }
+        return this.history.push({html: html, bookmark: this.getBookmark()});
+    };
+    
+    // Put content and selection back to a history snapshot
+    this.restoreSnapshot = function(snapshot)
+    {
+        this.node.innerHTML = snapshot.html;
+        this.restoreBookmark(snapshot.bookmark);
+        
+        // Let the sub class catch up with the new content, such as resizing or re-caching selection
+        this.postExecCommand();
+        this.contentChanged();
+        this.checkCommandState();
+    };
+    
+    // Undo the last command or typing
+    this.undo = function()
+    {
+        if(!this.node || this.mode != 'edit')
+            return false;
+        
+        // Catch typing that has not been snapshot yet so it can be redone
+        this.recordHistory();
+        
+        var snapshot = this.history.undo();
+        if(!snapshot)
+            return false;
+        
+        this.restoreSnapshot(snapshot);
+        return true;
+    };
+    
+    // Redo the last undone command or typing
+    this.redo = function()
+    {
+        if(!this.node || this.mode != 'edit')
+            return false;
+        
+        // Typing after an undo starts a new branch, which drops the redo states
+        this.recordHistory();
+        
+        var snapshot = this.history.redo();
+        if(!snapshot)
+            return false;
+        
+        this.restoreSnapshot(snapshot);
+        return true;
+    };
+    
+    this.canUndo = function()
+    {
+        return this.history.canUndo() || (this.node && this.history.current() &&
+            this.history.current().html != this.node.innerHTML);
+    };
+    
+    this.canRedo = function()
+    {
+        return this.history.canRedo() && !(this.node && this.history.current() &&
+            this.history.current().html != this.node.innerHTML);
+    };
+    
+    // Set the most undo steps kept
+    this.setHistorySize = function(size)
+    {
+        this.history.setLimit(size);
+    };
+    
+    // Get the edited content as canonical HTML, the same for the same visual result in every engine
+    this.getContent = function()
+    {
+        if(!this.node)
+            return null;
+        if(this.mode == 'source')
+            return serializeContent(parseContent(this.getSourceContent(), this.doc));
+        return serializeContent(this.node);
+    };
+    
+    // The HTML in the source view, cleaned with SOURCE_SANITIZE_SCHEMA
+    this.getSourceContent = function()
+    {
+        return sanitize(this.sourceView.textarea.value, SOURCE_SANITIZE_SCHEMA, this.doc);
+    };
+    
+    // Replace the edited content with html, normalised to canonical form. Can be undone, except in source mode
+    // where it replaces the source
+    this.setContent = function(html)
+    {
+        if(!this.node)
+            return false;
+        
+        if(this.mode == 'source')
+        {
+            this.sourceView.textarea.value = formatContentSource(html, this.doc);
+            this.updateSourceHighlight();
+            return true;
+        }
+        
+        this.recordHistory();
+        this.node.innerHTML = serializeContent(parseContent(html, this.doc));
+        this.postExecCommand();
+        this.contentChanged();
+        this.recordHistory();
+        this.checkCommandState();
+        return true;
+    };
+    
+    // Get the edited content as Markdown, see the Markdown section for what Markdown can't express
+    this.getMarkdown = function()
+    {
+        if(!this.node)
+            return null;
+        return contentToMarkdown(parseContent(this.getContent(), this.doc));
+    };
+    
+    // Replace the edited content with Markdown. Can be undone
+    this.setMarkdown = function(markdown)
+    {
+        return this.setContent(markdownToContent(markdown, this.linkSchemes, this.imageSchemes));
+    };
+    
+    // Window object of the document being edited
+    this.getWindow = function()
+    {
+        if(!this.doc)
+            return null;
+        return this.doc.defaultView || this.doc.parentWindow;
+    };
+    
+    // Get the selection as a bookmark that can be stored as JSON and restored with restoreBookmark(). It holds
+    // character offsets into the text, so it still fits after setContent() or undo replace the content's nodes.
+    // Falls back to the last selection seen if the selection has since left the editor, such as for a dialog
+    this.getBookmark = function()
+    {
+        var offsets = this.getSelectionOffsets() || this.cachedBookmark;
+        return offsets ? {start: offsets.start, end: offsets.end} : null;
+    };
+    
+    // Put the selection back where getBookmark() found it and give the editor focus
+    this.restoreBookmark = function(bookmark)
+    {
+        if(!this.node || !bookmark || isNaN(bookmark.start) || isNaN(bookmark.end))
+            return false;
+        
+        // Content may have got shorter since
+        var length = 0;
+        var nodes = this.getTextNodes();
+        for(var i = 0; i < nodes.length; i++)
+            length += nodes[i].nodeValue.length;
+        var start = Math.max(0, Math.min(bookmark.start, length));
+        var end = Math.max(start, Math.min(bookmark.end, length));
+        
+        this.focus();
+        this.cachedBookmark = {start: start, end: end};
+        return this.setSelectionOffsets(this.cachedBookmark);
+    };
+    
+    // Cache highlighted selection
+    this.cacheSelection = function()
+    {
+        var bookmark = this.getSelectionOffsets();
+        if(bookmark)
+            this.cachedBookmark = bookmark;
+    };
+    
+    // Re-highlight previously cached selection
+    this.highlightSelection = function()
+    {
+        if(this.cachedBookmark)
+            this.setSelectionOffsets(this.cachedBookmark);
+    };
+    
+    // Give the editor focus, overridden where something other than the node takes focus
+    this.focus = function()
+    {
+        if(this.node && this.node.focus)
+            this.node.focus();
+    };
+    
+    // Get the selection as character offsets into the text of the edited node, {start: x, end: y}
+    this.getSelectionOffsets = function()
+    {
+        var win = this.getWindow();
+        if(!win || !this.node)
+            return null;
+        
+        // W3C selection and ranges
+        if(win.getSelection)
+        {
+            var selection = win.getSelection();
+            if(!selection || !selection.rangeCount)
+                return null;
+            
+            var range = selection.getRangeAt(0);
+            if(!this.containsNode(range.startContainer) || !this.containsNode(range.endContainer))
+                return null;
+            
+            var measure = this.doc.createRange();
+            measure.selectNodeContents(this.node);
+            measure.setEnd(range.startContainer, range.startOffset);
+            var start = measure.toString().length;
+            
+            return {start: start, end: start + range.toString().length};
+        }
+        
+        // IE TextRange, measure the text between the start of the node and the selection
+        if(this.doc.selection)
+        {
+            var textRange = this.doc.selection.createRange();
+            if(!textRange.parentElement || !this.containsNode(textRange.parentElement()))
+                return null;
+            
+            var before = this.doc.body.createTextRange();
+            before.moveToElementText(this.node);
+            before.setEndPoint("EndToStart", textRange);
+            
+            return {start: before.text.length, end: before.text.length + textRange.text.length};
+        }
+        
+        return null;
+    };
+    
+    // Select the text between character offsets into the edited node, as returned by getSelectionOffsets()
+    this.setSelectionOffsets = function(offsets)
+    {
+        var win = this.getWindow();
+        if(!win || !this.node || !offsets)
+            return false;
+        
+        if(win.getSelection)
+        {
+            var start = this.findTextPosition(offsets.start);
+            var end = this.findTextPosition(offsets.end);
+            
+            var range = this.doc.createRange();
+            range.setStart(start.node, start.offset);
+            range.setEnd(end.node, end.offset);
+            
+            var selection = win.getSelection();
+            selection.removeAllRanges();
+            selection.addRange(range);
+            return true;
+        }
+        
+        if(this.doc.selection)
+        {
+            var textRange = this.doc.body.createTextRange();
+            textRange.moveToElementText(this.node);
+            textRange.collapse(true);
+            textRange.moveEnd("character", offsets.end);
+            textRange.moveStart("character", offsets.start);
+            textRange.select();
+            return true;
+        }
+        
+        return false;
+    };
+    
+    // Find the text node and offset inside it for a character offset into the edited node
+    this.findTextPosition = function(offset)
+    {
+        var last = null;
+        var walk = function(node)
+        {
+            for(var child = node.firstChild; child; child = child.nextSibling)
+            {
+                if(child.nodeType == TEXT_NODE)
+                {
+                    last = child;
+                    if(offset <= child.nodeValue.length)
+                        return {node: child, offset: offset};
+                    offset -= child.nodeValue.length;
+                }
+                else if(child.nodeType == ELEMENT_NODE)
+                {
+                    var found = walk(child);
+                    if(found)
+                        return found;
+                }
+            }
+            return null;
+        };
+        
+        var position = walk(this.node);
+        if(position)
+            return position;
+        
+        // Past the end of the text, put it at the end
+        if(last)
+            return {node: last, offset: last.nodeValue.length};
+        return {node: this.node, offset: this.node.childNodes.length};
+    };
+    
+    // Text nodes of the edited node in document order
+    this.getTextNodes = function()
+    {
+        var nodes = [];
+        var walk = function(node)
+        {
+            for(var child = node.firstChild; child; child = child.nextSibling)
+            {
+                if(child.nodeType == TEXT_NODE)
+                    nodes.push(child);
+                else if(child.nodeType == ELEMENT_NODE && !isEditorUI(child))
+                    walk(child);
+            }
+        };
+        if(this.node)
+            walk(this.node);
+        return nodes;
+    };
+    
+    // Text nodes with text between character offsets start and end, without changing anything
+    this.getTextNodesTouching = function(start, end)
+    {
+        var nodes = this.getTextNodes();
+        var touching = [];
+        var offset = 0;
+        for(var i = 0; i < nodes.length; i++)
+        {
+            var length = nodes[i].nodeValue.length;
+            if(offset + length > start && offset < end)
+                touching.push(nodes[i]);
+            offset += length;
+        }
+        return touching;
+    };
+    
+    // Split text nodes so character offsets start and end fall between nodes, returns the text nodes between them
+    this.splitTextNodes = function(start, end)
+    {
+        var nodes = this.getTextNodes();
+        var between = [];
+        var offset = 0;
+        for(var i = 0; i < nodes.length; i++)
+        {
+            var node = nodes[i];
+            var nodeStart = offset;
+            var nodeEnd = offset + node.nodeValue.length;
+            offset = nodeEnd;
+            
+            if(nodeEnd <= start || nodeStart >= end)
+                continue;
+            
+            if(start > nodeStart)
+            {
+                node = node.splitText(start - nodeStart);
+                nodeStart = start;
+            }
+            if(end < nodeEnd)
+                node.splitText(end - nodeStart);
+            
+            between.push(node);
+        }
+        return between;
+    };
+    
+    // Nearest element around node, up to but not including the edited node, that test returns true for
+    this.findAncestor = function(node, test)
+    {
+        for(; node && node != this.node; node = node.parentNode)
+        {
+            if(node.nodeType == ELEMENT_NODE && test(node))
+                return node;
+        }
+        return null;
+    };
+    
+    // Nearest element around node in the edited node that is the formatting element tag
+    this.findMark = function(node, tag)
+    {
+        return this.findAncestor(node, function(element)
+        {
+            return contentTagName(element) == tag;
+        });
+    };
+    
+    // Nearest block level element around node inside the edited node
+    this.findBlock = function(node)
+    {
+        return this.findAncestor(node, function(element)
+        {
+            return CONTENT_BLOCK_TAGS[contentTagName(element)] ? true : false;
+        });
+    };
+    
+    // Character offsets of the word around offset, or null if offset is not in or next to a word
+    this.findWordAround = function(offset)
+    {
+        // Words can run across text nodes, such as one partly bold
+        var nodes = this.getTextNodes();
+        var text = "";
+        for(var i = 0; i < nodes.length; i++)
+            text += nodes[i].nodeValue;
+        
+        var before = text.substr(0, offset).match(/[^\s\u00a0]*$/)[0].length;
+        var after = text.substr(offset).match(/^[^\s\u00a0]*/)[0].length;
+        if(!before && !after)
+            return null;
+        return {start: offset - before, end: offset + after};
+    };
+    
+    // Character offsets and href of the link at offset, following it across text nodes it was split into.
+    // Returns {start, end, href} or null if there is no link there
+    this.findLinkRange = function(offset)
+    {
+        var self = this;
+        var nodes = this.getTextNodes();
+        var starts = [];
+        var index = -1;
+        var position = 0;
+        for(var i = 0; i < nodes.length; i++)
+        {
+            starts.push(position);
+            position += nodes[i].nodeValue.length;
+            
+            // At the join between two nodes the one before wins, it's the text the cursor is at the end of
+            if(index < 0 && offset <= position && (offset < position || this.findAncestor(nodes[i], isLink)))
+                index = i;
+        }
+        starts.push(position);
+        
+        function isLink(element)
+        {
+            return contentTagName(element) == 'a' && element.getAttribute('href') !== null;
+        }
+        function hrefOf(node)
+        {
+            var link = self.findAncestor(node, isLink);
+            return link ? link.getAttribute('href') : null;
+        }
+        
+        var href = (index >= 0) ? hrefOf(nodes[index]) : null;
+        if(href === null)
+            return null;
+        
+        var first = index;
+        while(first > 0 && hrefOf(nodes[first - 1]) === href)
+            first--;
+        var last = index;
+        while(last < nodes.length - 1 && hrefOf(nodes[last + 1]) === href)
+            last++;
+        
+        return {start: starts[first], end: starts[last + 1], href: href};
+    };
+    
+    // Check whether node is the edited node or inside it
+    this.containsNode = function(node)
+    {
+        for(; node; node = node.parentNode)
+        {
+            if(node == this.node)
+                return true;
+        }
+        return false;
+    };
+    
+    // Character offset into the edited node of where node starts
+    this.getNodeOffset = function(node)
+    {
+        var offset = 0;
+        var walk = function(parent)
+        {
+            for(var child = parent.firstChild; child; child = child.nextSibling)
+            {
+                if(child == node)
+                    return true;
+                if(child.nodeType == TEXT_NODE)
+                    offset += child.nodeValue.length;
+                else if(child.nodeType == ELEMENT_NODE && walk(child))
+                    return true;
+            }
+            return false;
+        };
+        walk(this.node);
+        return offset;
+    };
+    
+    // Text between character offsets into the edited node
+    this.getTextBetween = function(start, end)
+    {
+        var nodes = this.getTextNodes();
+        var text = "";
+        for(var i = 0; i < nodes.length; i++)
+            text += nodes[i].nodeValue;
+        return text.substring(start, end);
+    };
+    
+    // Change the edited node's DOM with edit, called as a method of this object, taking the same history
+    // snapshots and firing the same events as execCommand(). Returns what edit returned
+    this.editContent = function(command, value, edit)
+    {
+        if(!this.node || this.mode != 'edit')
+            return false;
+        if(!this.fire('beforecommand', {command: command, value: value}))
+            return false;
+        
+        this.recordHistory();
+        var result = edit.call(this);
+        this.postExecCommand();
+        this.contentChanged();
+        this.recordHistory();
+        this.checkSelection();
+        
+        this.fire('aftercommand', {command: command, value: value, result: result});
+        this.checkCommandState();
+        return result;
+    };
+    
+    // Link the selection, or insert a link at the cursor. link is {href, text, target, rel, title}, only href
+    // is required. text replaces the selected text, and is the text inserted at a collapsed cursor, which
+    // defaults to the href. A selection covering part of a link takes in the whole of it. Links with a target
+    // other than the current window get rel="noopener". Returns false if the href is not an allowed URL
+    this.insertLink = function(link)
+    {
+        var href = link ? checkUrl(link.href, this.linkSchemes) : null;
+        var bookmark = this.getBookmark();
+        if(!href || !bookmark)
+            return false;
+        
+        link = {href: href, text: link.text, target: link.target, rel: link.rel, title: link.title};
+        return this.editContent('insertlink', link, function()
+        {
+            if(!this.applyLink(link, bookmark))
+                return false;
+            this.restoreBookmark(bookmark);
+            return true;
+        });
+    };
+    
+    // The link at the selection as {href, text, target, rel, title, start, end}, start and end being character
+    // offsets of its text, or null if the selection is not in a link
+    this.getLinkAtSelection = function()
+    {
+        var bookmark = this.getBookmark();
+        var range = bookmark ? this.findLinkRange(bookmark.start) : null;
+        if(!range)
+            return null;
+        
+        var link = null;
+        var nodes = this.getTextNodesTouching(range.start, range.end);
+        for(var i = 0; i < nodes.length && !link; i++)
+            link = this.findMark(nodes[i], 'a');
+        if(!link)
+            return null;
+        
+        return {
+            href   : range.href,
+            text   : this.getTextBetween(range.start, range.end),
+            target : link.getAttribute('target') || '',
+            rel    : link.getAttribute('rel') || '',
+            title  : link.getAttribute('title') || '',
+            start  : range.start,
+            end    : range.end
+        };
+    };
+    
+    // Change the link at the selection, changes holds the fields of insertLink() to change and the rest are
+    // kept. Returns false if the selection is not in a link
+    this.updateLink = function(changes)
+    {
+        var link = this.getLinkAtSelection();
+        if(!link)
+            return false;
+        
+        var updated = {};
+        var fields = ['href', 'text', 'target', 'rel', 'title'];
+        for(var i = 0; i < fields.length; i++)
+        {
+            var field = fields[i];
+            updated[field] = (changes && changes[field] !== undefined) ? changes[field] : link[field];
+        }
+        
+        // noopener was added for the old target, let insertLink() decide again for the new one
+        if(changes && changes.target !== undefined && changes.rel === undefined)
+            updated.rel = String(updated.rel).replace(/(^|\s)noopener(?=\s|$)/g, "").replace(/^\s+|\s+$/g, "");
+        
+        this.cachedBookmark = {start: link.start, end: link.end};
+        this.setSelectionOffsets(this.cachedBookmark);
+        return this.insertLink(updated);
+    };
+    
+    // Remove the links the selection touches, all of each link and not just the selected part. Returns false
+    // if there were none
+    this.unlink = function()
+    {
+        var bookmark = this.getBookmark();
+        if(!bookmark)
+            return false;
+        
+        return this.editContent('unlink', null, function()
+        {
+            var removed = this.removeLinks(bookmark);
+            this.restoreBookmark(bookmark);
+            return removed;
+        });
+    };
+    
+    // Link the text between selection's character offsets as insertLink() describes, with an href that has
+    // already been checked. selection is changed to cover the link's text
+    this.applyLink = function(link, selection)
+    {
+        var start = selection.start;
+        var end = selection.end;
+        var first = this.findLinkRange(start);
+        var last = this.findLinkRange(Math.max(end - 1, start));
+        if(first && (first.end > start || start == end))
+            start = Math.min(start, first.start);
+        if(last && (last.start < end || start == end))
+            end = Math.max(end, last.end);
+        
+        var text = (link.text === undefined || link.text === null) ? null : String(link.text);
+        if(start == end && !text)
+            text = link.href;
+        
+        var nodes;
+        if(text !== null && text !== this.getTextBetween(start, end))
+        {
+            // Replacement text takes the formatting the first replaced character had
+            nodes = this.splitTextNodes(start, end);
+            if(nodes.length)
+            {
+                nodes[0].nodeValue = text;
+                for(var i = 1; i < nodes.length; i++)
+                    nodes[i].parentNode.removeChild(nodes[i]);
+                nodes.length = 1;
+            }
+            else
+            {
+                nodes = [this.doc.createTextNode(text)];
+                insertAtPosition(this.findTextPosition(start), nodes[0]);
+            }
+            end = start + text.length;
+        }
+        else
+            nodes = this.splitTextNodes(start, end);
+        
+        for(var j = 0; j < nodes.length; j++)
+        {
+            var existing = this.findMark(nodes[j], 'a');
+            if(existing)
+                unwrapNode(isolateNode(nodes[j], existing));
+            wrapNode(nodes[j], this.createLinkElement(link));
+        }
+        
+        mergeAdjacentElements(this.node);
+        selection.start = start;
+        selection.end = end;
+        return nodes.length > 0;
+    };
+    
+    // Remove every link the text between selection's character offsets touches, the whole link not just the
+    // part of it between them
+    this.removeLinks = function(selection)
+    {
+        var start = selection.start;
+        var end = selection.end;
+        var first = this.findLinkRange(start);
+        var last = this.findLinkRange(Math.max(end - 1, start));
+        if(first)
+            start = Math.min(start, first.start);
+        if(last)
+            end = Math.max(end, last.end);
+        
+        var nodes = this.getTextNodesTouching(start, end);
+        var removed = false;
+        for(var i = 0; i < nodes.length; i++)
+        {
+            var link;
+            while((link = this.findMark(nodes[i], 'a')))
+            {
+                unwrapNode(link);
+                removed = true;
+            }
+        }
+        return removed;
+    };
+    
+    // Anchor element for a link as insertLink() describes
+    this.createLinkElement = function(link)
+    {
+        var element = this.doc.createElement('a');
+        element.setAttribute('href', link.href);
+        if(link.title)
+            element.setAttribute('title', link.title);
+        
+        var rel = link.rel ? String(link.rel).replace(/^\s+|\s+$/g, "").split(/\s+/) : [];
+        if(link.target)
+        {
+            // The opened page could otherwise navigate this one through window.opener
+            element.setAttribute('target', link.target);
+            if(!/^_(self|parent|top)$/i.test(link.target) && !inList(rel, 'noopener'))
+                rel.push('noopener');
+        }
+        if(rel.length)
+            element.setAttribute('rel', rel.join(" "));
+        return element;
+    };
+    
+    // Table cell the selection starts in, or null if it is not in a table
+    this.getSelectionCell = function()
+    {
+        var win = this.getWindow();
+        var node = null;
+        if(win && win.getSelection)
+        {
+            // The live selection finds empty cells, which have no text for an offset to point into
+            var selection = win.getSelection();
+            if(selection && selection.rangeCount)
+            {
+                var range = selection.getRangeAt(0);
+                node = range.startContainer;
+                if(node.nodeType == ELEMENT_NODE && node.childNodes[range.startOffset])
+                    node = node.childNodes[range.startOffset];
+            }
+        }
+        else if(this.doc && this.doc.selection)
+        {
+            var textRange = this.doc.selection.createRange();
+            node = textRange.parentElement ? textRange.parentElement() : null;
+        }
+        
+        if(!node || !this.containsNode(node))
+        {
+            var bookmark = this.getBookmark();
+            node = bookmark ? this.findTextPosition(bookmark.start).node : null;
+        }
+        return node ? this.findAncestor(node, isTableCell) : null;
+    };
+    
+    // Where the selection is in a table, or null if it is not in one. Returns {table, cell, grid, row, column,
+    // rows, columns}, row and column being the position of the cell's top left corner counting from 0
+    this.getTableContext = function()
+    {
+        var cell = this.getSelectionCell();
+        var table = cell ? this.findAncestor(cell, function(element)
+        {
+            return contentTagName(element) == 'table';
+        }) : null;
+        if(!table)
+            return null;
+        
+        var grid = getTableGrid(table);
+        var position = findTableCell(grid, cell);
+        if(!position)
+            return null;
+        
+        return {
+            table   : table,
+            cell    : cell,
+            grid    : grid,
+            row     : position.row,
+            column  : position.column,
+            rows    : grid.length,
+            columns : getTableColumnCount(grid)
+        };
+    };
+    
+    // Value of a table command state entry: table is whether the selection is in a table, tablerow and
+    // tablecolumn where in it counting from 0, tablerows and tablecolumns its size. -1 and 0 outside tables
+    this.getTableCommandState = function(command)
+    {
+        var context = this.getTableContext();
+        switch(command)
+        {
+            case 'table':
+                return context ? true : false;
+            case 'tablerow':
+                return context ? context.row : -1;
+            case 'tablecolumn':
+                return context ? context.column : -1;
+            case 'tablerows':
+                return context ? context.rows : 0;
+            case 'tablecolumns':
+                return context ? context.columns : 0;
+        }
+        return false;
+    };
+    
+    // Put the cursor in cell, at the start if collapse is true and otherwise selecting what is in it
+    this.selectCell = function(cell, collapse)
+    {
+        var win = this.getWindow();
+        if(!win || !cell)
+            return false;
+        
+        this.focus();
+        if(win.getSelection)
+        {
+            var range = this.doc.createRange();
+            range.selectNodeContents(cell);
+            if(collapse)
+                range.collapse(true);
+            var selection = win.getSelection();
+            selection.removeAllRanges();
+            selection.addRange(range);
+        }
+        else if(this.doc.selection)
+        {
+            var textRange = this.doc.body.createTextRange();
+            textRange.moveToElementText(cell);
+            if(collapse)
+                textRange.collapse(true);
+            textRange.select();
+        }
+        this.cacheSelection();
+        return true;
+    };
+    
+    // Insert a table of empty cells after the block the cursor is in, and put the cursor in its first cell
+    this.insertTable = function(rows, columns)
+    {
+        rows = parseInt(rows, 10);
+        columns = parseInt(columns, 10);
+        if(!this.node || !(rows > 0) || !(columns > 0))
+            return false;
+        
+        var bookmark = this.getBookmark();
+        return this.editContent('inserttable', {rows: rows, columns: columns}, function()
+        {
+            var table = this.doc.createElement('table');
+            var body = table.appendChild(this.doc.createElement('tbody'));
+            for(var r = 0; r < rows; r++)
+            {
+                var row = body.appendChild(this.doc.createElement('tr'));
+                for(var c = 0; c < columns; c++)
+                    row.appendChild(createTableCell(this.doc));
+            }
+            
+            // Tables go between blocks, after the top level one the cursor is in
+            var block = bookmark ? this.findTextPosition(bookmark.end).node : null;
+            while(block && block != this.node && block.parentNode != this.node)
+                block = block.parentNode;
+            if(block && block != this.node)
+                this.node.insertBefore(table, block.nextSibling);
+            else
+                this.node.appendChild(table);
+            
+            // Leave somewhere to type after a table at the end
+            if(!table.nextSibling)
+                this.node.appendChild(this.doc.createElement('p')).appendChild(this.doc.createElement('br'));
+            
+            this.selectCell(table.rows[0].cells[0], true);
+            return true;
+        });
+    };
+    
+    // Add a row of empty cells before or after the row the cursor is in. Cells spanning across where it goes
+    // span it too
+    this.insertTableRow = function(after)
+    {
+        var context = this.getTableContext();
+        if(!context)
+            return false;
+        
+        return this.editContent('inserttablerow', after ? 'after' : 'before', function()
+        {
+            var grid = context.grid;
+            var bottom = Math.min(context.row + Math.max(1, context.cell.rowSpan), context.rows) - 1;
+            var edge = after ? bottom : context.row;
+            var neighbour = grid[after ? edge + 1 : edge - 1];
+            var reference = context.table.rows[edge];
+            
+            var row = this.doc.createElement('tr');
+            var grown = [];
+            for(var c = 0; c < context.columns; c++)
+            {
+                var cell = grid[edge][c];
+                if(cell && neighbour && neighbour[c] == cell)
+                {
+                    if(!inList(grown, cell))
+                    {
+                        grown.push(cell);
+                        setTableCellSpan(cell, cell.rowSpan + 1, cell.colSpan);
+                    }
+                }
+                else
+                    row.appendChild(createTableCell(this.doc, cell));
+            }
+            
+            reference.parentNode.insertBefore(row, after ? reference.nextSibling : reference);
+            return true;
+        });
+    };
+    
+    // Delete the row the cursor is in, cells spanning into it from other rows get shorter. Deleting the last row
+    // deletes the table
+    this.deleteTableRow = function()
+    {
+        var context = this.getTableContext();
+        if(!context)
+            return false;
+        
+        return this.editContent('deletetablerow', null, function()
+        {
+            var grid = context.grid;
+            var table = context.table;
+            var row = table.rows[context.row];
+            var done = [];
+            for(var c = 0; c < context.columns; c++)
+            {
+                var cell = grid[context.row][c];
+                if(!cell || inList(done, cell))
+                    continue;
+                done.push(cell);
+                
+                if(cell.rowSpan > 1 && context.row < context.rows - 1)
+                {
+                    // A cell starting in this row carries on in the next one
+                    if(cell.parentNode == row)
+                        insertTableCell(table, grid, context.row + 1, c, cell);
+                    setTableCellSpan(cell, cell.rowSpan - 1, cell.colSpan);
+                }
+            }
+            row.parentNode.removeChild(row);
+            
+            if(!table.rows.length)
+                return this.deleteTable(table);
+            
+            grid = getTableGrid(table);
+            var nearest = grid[Math.min(context.row, grid.length - 1)];
+            this.selectCell(nearest[Math.min(context.column, nearest.length - 1)], true);
+            return true;
+        });
+    };
+    
+    // Add a column of empty cells before or after the column the cursor is in. Cells spanning across where it
+    // goes span it too
+    this.insertTableColumn = function(after)
+    {
+        var context = this.getTableContext();
+        if(!context)
+            return false;
+        
+        return this.editContent('inserttablecolumn', after ? 'after' : 'before', function()
+        {
+            var grid = context.grid;
+            var edge = after ? context.column + Math.max(1, context.cell.colSpan) - 1 : context.column;
+            var neighbour = after ? edge + 1 : edge - 1;
+            var grown = [];
+            for(var r = 0; r < context.rows; r++)
+            {
+                var cell = grid[r][edge];
+                if(cell && grid[r][neighbour] == cell)
+                {
+                    if(!inList(grown, cell))
+                    {
+                        grown.push(cell);
+                        setTableCellSpan(cell, cell.rowSpan, cell.colSpan + 1);
+                    }
+                }
+                else
+                    insertTableCell(context.table, grid, r, after ? edge + 1 : edge, createTableCell(this.doc, cell));
+            }
+            return true;
+        });
+    };
+    
+    // Delete the column the cursor is in, cells spanning into it from other columns get narrower. Deleting the
+    // last column deletes the table
+    this.deleteTableColumn = function()
+    {
+        var context = this.getTableContext();
+        if(!context)
+            return false;
+        
+        return this.editContent('deletetablecolumn', null, function()
+        {
+            var grid = context.grid;
+            var table = context.table;
+            var done = [];
+            for(var r = 0; r < context.rows; r++)
+            {
+                var cell = grid[r][context.column];
+                if(!cell || inList(done, cell))
+                    continue;
+                done.push(cell);
+                
+                if(cell.colSpan > 1)
+                    setTableCellSpan(cell, cell.rowSpan, cell.colSpan - 1);
+                else
+                    cell.parentNode.removeChild(cell);
+            }
+            
+            grid = getTableGrid(table);
+            if(!getTableColumnCount(grid))
+                return this.deleteTable(table);
+            
+            // The row can be left with no cells when the deleted column was all it had
+            var row = grid[context.row];
+            for(var i = 0; !row.length; i++)
+                row = grid[i];
+            this.selectCell(row[Math.min(context.column, row.length - 1)], true);
+            return true;
+        });
+    };
+    
+    // Merge the cells the selection covers into one, or when it is in a single cell merge that with the cell to
+    // its right. The cells have to make up a rectangle. Their content is kept, a line each
+    this.mergeTableCells = function()
+    {
+        var context = this.getTableContext();
+        var bookmark = this.getBookmark();
+        if(!context || !bookmark)
+            return false;
+        
+        var grid = context.grid;
+        var top = context.row;
+        var left = context.column;
+        var bottom = top + Math.max(1, context.cell.rowSpan) - 1;
+        var right = left + Math.max(1, context.cell.colSpan) - 1;
+        
+        var last = this.findAncestor(this.findTextPosition(bookmark.end).node, isTableCell);
+        var end = (last && last != context.cell) ? findTableCell(grid, last) : null;
+        if(end)
+        {
+            top = Math.min(top, end.row);
+            left = Math.min(left, end.column);
+            bottom = Math.max(bottom, end.row + Math.max(1, last.rowSpan) - 1);
+            right = Math.max(right, end.column + Math.max(1, last.colSpan) - 1);
+        }
+        else
+        {
+            var next = grid[top][right + 1];
+            var position = next ? findTableCell(grid, next) : null;
+            if(!position || position.row != top || Math.max(1, next.rowSpan) != bottom - top + 1)
+                return false;
+            right += Math.max(1, next.colSpan);
+        }
+        
+        // Every cell in the rectangle has to lie wholly inside it
+        var cells = [];
+        for(var r = top; r <= bottom; r++)
+        {
+            for(var c = left; c <= right; c++)
+            {
+                var cell = grid[r] ? grid[r][c] : null;
+                if(!cell)
+                    return false;
+                if(inList(cells, cell))
+                    continue;
+                
+                var corner = findTableCell(grid, cell);
+                if(corner.row < top || corner.row + Math.max(1, cell.rowSpan) - 1 > bottom ||
+                    corner.column < left || corner.column + Math.max(1, cell.colSpan) - 1 > right)
+                    return false;
+                cells.push(cell);
+            }
+        }
+        if(cells.length < 2)
+            return false;
+        
+        return this.editContent('mergetablecells', null, function()
+        {
+            var merged = cells[0];
+            for(var i = 1; i < cells.length; i++)
+            {
+                if(!isContentEmpty(cells[i].innerHTML))
+                {
+                    if(!isContentEmpty(merged.innerHTML))
+                        merged.appendChild(this.doc.createElement('br'));
+                    while(cells[i].firstChild)
+                        merged.appendChild(cells[i].firstChild);
+                }
+                cells[i].parentNode.removeChild(cells[i]);
+            }
+            setTableCellSpan(merged, bottom - top + 1, right - left + 1);
+            
+            this.selectCell(merged, true);
+            return true;
+        });
+    };
+    
+    // Split the cell the cursor is in back into one cell for every row and column it spans. Its content stays in
+    // the top left one
+    this.splitTableCell = function()
+    {
+        var context = this.getTableContext();
+        if(!context)
+            return false;
+        
+        var cell = context.cell;
+        var rowSpan = Math.min(Math.max(1, cell.rowSpan), context.rows - context.row);
+        var colSpan = Math.max(1, cell.colSpan);
+        if(rowSpan == 1 && colSpan == 1)
+            return false;
+        
+        return this.editContent('splittablecell', null, function()
+        {
+            for(var y = 0; y < rowSpan; y++)
+            {
+                for(var x = (y ? 0 : 1); x < colSpan; x++)
+                {
+                    var added = createTableCell(this.doc, cell);
+                    insertTableCell(context.table, context.grid, context.row + y, context.column + x, added);
+                }
+            }
+            setTableCellSpan(cell, 1, 1);
+            return true;
+        });
+    };
+    
+    // Remove table, putting the cursor where it was. Returns true
+    this.deleteTable = function(table)
+    {
+        if(!table)
+        {
+            var context = this.getTableContext();
+            if(!context)
+                return false;
+            return this.editContent('deletetable', null, function()
+            {
+                return this.deleteTable(context.table);
+            });
+        }
+        
+        var offset = this.getNodeOffset(table);
+        table.parentNode.removeChild(table);
+        this.restoreBookmark({start: offset, end: offset});
+        return true;
+    };
+    
+    // Move to the next cell, or the one before if forward is false, selecting what is in it. Moving forward out
+    // of the last cell adds a row to move to
+    this.moveToCell = function(forward)
+    {
+        var context = this.getTableContext();
+        if(!context)
+            return false;
+        
+        var cells = [];
+        for(var r = 0; r < context.table.rows.length; r++)
+        {
+            var row = context.table.rows[r];
+            for(var i = 0; i < row.cells.length; i++)
+                cells.push(row.cells[i]);
+        }
+        
+        var index = 0;
+        while(cells[index] != context.cell)
+            index++;
+        index += forward ? 1 : -1;
+        
+        if(index < 0)
+            return true;
+        if(index >= cells.length)
+        {
+            this.insertTableRow(true);
+            var rows = context.table.rows;
+            return this.selectCell(rows[rows.length - 1].cells[0], true);
+        }
+        return this.selectCell(cells[index], false);
+    };
+    
+    // Put node in place of the text between bookmark's character offsets
+    this.insertNodeAt = function(bookmark, node)
+    {
+        var nodes = this.splitTextNodes(bookmark.start, bookmark.end);
+        for(var i = 0; i < nodes.length; i++)
+            nodes[i].parentNode.removeChild(nodes[i]);
+        insertAtPosition(this.findTextPosition(bookmark.start), node);
+    };
+    
+    // Delete the element that can't be edited, such as a mention, just before or after a collapsed selection
+    // as one. Returns false if there is none so the key does what it normally does
+    this.deleteAtomicElement = function(backward)
+    {
+        var win = this.getWindow();
+        if(!this.node || !win.getSelection || !win.getSelection().rangeCount)
+            return false;
+        
+        var range = win.getSelection().getRangeAt(0);
+        if(!range.collapsed || !this.containsNode(range.startContainer))
+            return false;
+        
+        // The node next to the selection, from the edge of a text node or between an element's children
+        var container = range.startContainer;
+        var offset = range.startOffset;
+        var node = null;
+        if(container.nodeType == TEXT_NODE)
+        {
+            if(offset == (backward ? 0 : container.nodeValue.length))
+                node = backward ? container.previousSibling : container.nextSibling;
+        }
+        else
+            node = container.childNodes[backward ? offset - 1 : offset] || null;
+        
+        if(!node || node.nodeType != ELEMENT_NODE || node.getAttribute('contenteditable') != "false" ||
+            isEditorUI(node))
+            return false;
+        
+        return this.editContent('deleteatomic', null, function()
+        {
+            var parent = node.parentNode;
+            var next = node.nextSibling;
+            parent.removeChild(node);
+            
+            var caret = this.doc.createRange();
+            if(next)
+                caret.setStartBefore(next);
+            else
+                caret.setStart(parent, parent.childNodes.length);
+            caret.collapse(true);
+            win.getSelection().removeAllRanges();
+            win.getSelection().addRange(caret);
+            return true;
+        });
+    };
+    
+    // Where the caret is as {left, top, bottom} in pixels from the top left of the page, and the page's document
+    // as document. An editor in an iframe, such as Gecko's, is measured in the page around the iframe
+    this.getCaretRect = function()
+    {
+        var win = this.getWindow();
+        if(!win || !this.node)
+            return null;
+        
+        var rect = null;
+        if(win.getSelection && win.getSelection().rangeCount)
+        {
+            var range = win.getSelection().getRangeAt(0).cloneRange();
+            range.collapse(false);
+            var rects = range.getClientRects ? range.getClientRects() : [];
+            if(rects.length)
+                rect = rects[rects.length - 1];
+            else
+            {
+                // A collapsed range at an empty line or next to an element has no box, a character put there does
+                var offsets = this.getSelectionOffsets();
+                var marker = this.doc.createElement('span');
+                marker.appendChild(this.doc.createTextNode("\u200b"));
+                range.insertNode(marker);
+                rect = marker.getBoundingClientRect();
+                var parent = marker.parentNode;
+                parent.removeChild(marker);
+                parent.normalize();
+                this.setSelectionOffsets(offsets);
+            }
+            if(rect)
+                rect = {left: rect.left, top: rect.top, bottom: rect.bottom};
+        }
+        else if(this.doc.selection)
+        {
+            var textRange = this.doc.selection.createRange();
+            textRange.collapse(false);
+            rect = {left: textRange.boundingLeft, top: textRange.boundingTop,
+                bottom: textRange.boundingTop + textRange.boundingHeight};
+        }
+        if(!rect)
+            return null;
+        
+        // The rectangle is from the top left of the iframe's window, move it into the page's
+        var doc = this.doc;
+        var frame = null;
+        try
+        {
+            frame = (win != window) ? win.frameElement : null;
+        }
+        catch(e)
+        {
+        }
+        if(frame)
+        {
+            var frameRect = frame.getBoundingClientRect();
+            rect.left += frameRect.left + (frame.clientLeft || 0);
+            rect.top += frameRect.top + (frame.clientTop || 0);
+            rect.bottom += frameRect.top + (frame.clientTop || 0);
+            doc = frame.ownerDocument;
+            win = doc.defaultView || doc.parentWindow;
+        }
+        
+        var root = doc.documentElement;
+        var scrollX = win.pageXOffset || root.scrollLeft || 0;
+        var scrollY = win.pageYOffset || root.scrollTop || 0;
+        return {left: rect.left + scrollX, top: rect.top + scrollY, bottom: rect.bottom + scrollY, document: doc};
+    };
+    
+    // Put the cursor just after node, which character offsets alone can't tell apart from just before an image
+    this.setCursorAfter = function(node)
+    {
+        var win = this.getWindow();
+        if(win && win.getSelection)
+        {
+            this.focus();
+            var range = this.doc.createRange();
+            range.setStartAfter(node);
+            range.collapse(true);
+            var selection = win.getSelection();
+            selection.removeAllRanges();
+            selection.addRange(range);
+            this.cacheSelection();
+        }
+        else
+        {
+            var offset = this.getNodeOffset(node);
+            this.restoreBookmark({start: offset, end: offset});
+        }
+    };
+    
+    // Image element for image as insertImage() describes, with a src that has already been checked
+    this.createImageElement = function(image)
+    {
+        var element = this.doc.createElement('img');
+        element.setAttribute('src', image.src);
+        element.setAttribute('alt', image.alt || "");
+        this.setImageSize(element, image.width, image.height);
+        return element;
+    };
+    
+    // Set the size an image is shown at in pixels, leaving it at its natural size for sizes not given
+    this.setImageSize = function(image, width, height)
+    {
+        width = parseInt(width, 10);
+        height = parseInt(height, 10);
+        if(width > 0)
+            image.setAttribute('width', width);
+        else
+            image.removeAttribute('width');
+        if(height > 0)
+            image.setAttribute('height', height);
+        else
+            image.removeAttribute('height');
+        
+        // A size set in style would win over the attributes
+        image.style.width = "";
+        image.style.height = "";
+        if(!image.getAttribute('style'))
+            image.removeAttribute('style');
+    };
+    
+    // Insert an image in place of the selection. image is a URL or {src, alt, width, height}, only src is
+    // required. Returns false if src is not an allowed URL
+    this.insertImage = function(image)
+    {
+        if(typeof image == "string")
+            image = {src: image};
+        var src = image ? checkUrl(image.src, this.imageSchemes) : null;
+        var bookmark = this.getBookmark();
+        if(!src || !bookmark)
+            return false;
+        
+        image = {src: src, alt: image.alt, width: image.width, height: image.height};
+        return this.editContent('insertimage', image, function()
+        {
+            var element = this.createImageElement(image);
+            this.insertNodeAt(bookmark, element);
+            this.setCursorAfter(element);
+            return true;
+        });
+    };
+    
+    // Upload an image file with uploadHandler and insert it in place of the selection once it is uploaded.
+    // Until then a placeholder showing progress holds its place. Fires uploaderror with event.file and
+    // event.error if the upload fails. Returns false if the file is not an image or there is no uploadHandler
+    this.insertImageFile = function(file)
+    {
+        var bookmark = this.getBookmark();
+        if(!this.uploadHandler || !file || !/^image\//i.test(file.type || "") || !bookmark)
+            return false;
+        
+        this.addImageStyle();
+        var placeholder = this.doc.createElement('span');
+        placeholder.setAttribute(EDITOR_UI_ATTRIBUTE, "upload");
+        placeholder.setAttribute('contenteditable', "false");
+        placeholder.className = "editable-upload";
+        placeholder.id = "editable-upload-" + (++this.uploadCount);
+        placeholder.setAttribute('data-file', file.name || "");
+        this.setUploadProgress(placeholder, 0);
+        this.insertNodeAt(bookmark, placeholder);
+        this.setCursorAfter(placeholder);
+        
+        var self = this;
+        var upload = null;
+        try
+        {
+            upload = this.uploadHandler(file, function(fraction)
+            {
+                self.setUploadProgress(placeholder, fraction);
+            });
+        }
+        catch(e)
+        {
+            upload = {then: function(done, failed) { failed(e); }};
+        }
+        if(!upload || typeof upload.then != "function")
+            upload = {then: function(done, failed) { failed(new Error("uploadHandler did not return a promise")); }};
+        
+        upload.then(function(url)
+        {
+            self.finishUpload(placeholder, file, url);
+        },
+        function(error)
+        {
+            self.failUpload(placeholder, file, error);
+        });
+        return true;
+    };
+    
+    // Show how much of an upload is done on its placeholder, fraction is between 0 and 1
+    this.setUploadProgress = function(placeholder, fraction)
+    {
+        var percent = Math.round(Math.max(0, Math.min(1, Number(fraction) || 0)) * 100) + "%";
+        placeholder.style.backgroundSize = percent + " 100%";
+        placeholder.setAttribute('data-progress', percent);
+        placeholder.title = placeholder.getAttribute('data-file') + " " + percent;
+    };
+    
+    // Replace an upload's placeholder with the uploaded image. Nothing is inserted if the placeholder has since
+    // gone, such as by undo or setContent()
+    this.finishUpload = function(placeholder, file, url)
+    {
+        var src = checkUrl(url, this.imageSchemes);
+        if(!src)
+            return this.failUpload(placeholder, file, new Error("Uploaded image URL is not allowed: " + url));
+        if(!this.node || !this.containsNode(placeholder))
+            return false;
+        
+        return this.editContent('insertimage', {src: src}, function()
+        {
+            var element = this.createImageElement({src: src, alt: ""});
+            placeholder.parentNode.replaceChild(element, placeholder);
+            return true;
+        });
+    };
+    
+    // Remove a failed upload's placeholder and let listeners know
+    this.failUpload = function(placeholder, file, error)
+    {
+        if(placeholder.parentNode)
+            placeholder.parentNode.removeChild(placeholder);
+        debug("failUpload() : " + error, 1);
+        this.fire('uploaderror', {file: file, error: error});
+        return false;
+    };
+    
+    // Image files among a list of dropped or pasted files
+    this.getImageFiles = function(files)
+    {
+        var images = [];
+        for(var i = 0; files && i < files.length; i++)
+        {
+            if(/^image\//i.test(files[i].type || ""))
+                images.push(files[i]);
+        }
+        return images;
+    };
+    
+    // Upload image files dropped on the editor and insert them where they were dropped
+    this.handleDrop = function(e)
+    {
+        var files = this.getImageFiles(e.dataTransfer ? e.dataTransfer.files : null);
+        if(!this.uploadHandler || !files.length || this.mode != 'edit')
+            return true;
+        
+        cancelEvent(e);
+        this.setCursorAtPoint(e.clientX, e.clientY);
+        for(var i = 0; i < files.length; i++)
+            this.insertImageFile(files[i]);
+        return false;
+    };
+    
+    // Put the cursor at a point in the window's client coordinates, where the browser can tell
+    this.setCursorAtPoint = function(x, y)
+    {
+        var range = null;
+        if(this.doc.caretPositionFromPoint)
+        {
+            var position = this.doc.caretPositionFromPoint(x, y);
+            if(position && this.containsNode(position.offsetNode))
+            {
+                range = this.doc.createRange();
+                range.setStart(position.offsetNode, position.offset);
+            }
+        }
+        else if(this.doc.caretRangeFromPoint)
+        {
+            range = this.doc.caretRangeFromPoint(x, y);
+            if(range && !this.containsNode(range.startContainer))
+                range = null;
+        }
+        else if(this.doc.body && this.doc.body.createTextRange)
+        {
+            var textRange = this.doc.body.createTextRange();
+            try
+            {
+                textRange.moveToPoint(x, y);
+                textRange.select();
+            }
+            catch(e)
+            {
+            }
+        }
+        
+        if(range)
+        {
+            range.collapse(true);
+            var selection = this.getWindow().getSelection();
+            selection.removeAllRanges();
+            selection.addRange(range);
+        }
+        this.cacheSelection();
+    };
+    
+    // Styles for upload placeholders and image resize handles
+    this.addImageStyle = function()
+    {
+        addStyleSheet(this.doc, "editable-image-style",
+            ".editable-upload { display: inline-block; width: 8em; height: 1em; vertical-align: middle; " +
+                "border: 1px solid #999; background: #eee linear-gradient(#69c, #69c) no-repeat; }\n" +
+            ".editable-image-handles { position: absolute; z-index: 1000; border: 1px dashed #36c; " +
+                "pointer-events: none; }\n" +
+            ".editable-image-handle { position: absolute; width: 7px; height: 7px; background: #36c; " +
+                "pointer-events: auto; }\n" +
+            ".editable-image-handle-nw { left: -5px; top: -5px; cursor: nw-resize; }\n" +
+            ".editable-image-handle-ne { right: -5px; top: -5px; cursor: ne-resize; }\n" +
+            ".editable-image-handle-sw { left: -5px; bottom: -5px; cursor: sw-resize; }\n" +
+            ".editable-image-handle-se { right: -5px; bottom: -5px; cursor: se-resize; }\n" +
+            ".editable-image-alt { position: absolute; left: 0; bottom: -2em; font-size: 11px; " +
+                "pointer-events: auto; }");
+    };
+    
+    // Show resize handles when an image is clicked, hide them when anything else is
+    this.handleImageMouseDown = function(e)
+    {
+        var target = e.target || e.srcElement;
+        for(var node = target; node && this.imageHandles; node = node.parentNode)
+        {
+            if(node == this.imageHandles)
+                return true;
+        }
+        
+        if(target && contentTagName(target) == 'img' && target != this.selectedImage && this.containsNode(target) &&
+            this.mode == 'edit')
+            this.showImageHandles(target);
+        else if(target != this.selectedImage)
+            this.hideImageHandles();
+        return true;
+    };
+    
+    // Image showing resize handles, or null
+    this.getSelectedImage = function()
+    {
+        if(this.selectedImage && !this.containsNode(this.selectedImage))
+            this.hideImageHandles();
+        return this.selectedImage;
+    };
+    
+    // Show resize handles and an alt text button over image. They go in the document outside the edited node,
+    // so they are never part of the content
+    this.showImageHandles = function(image)
+    {
+        this.hideImageHandles();
+        if(!image || !this.doc.body)
+            return false;
+        
+        this.addImageStyle();
+        var frame = this.doc.createElement('div');
+        frame.className = "editable-image-handles";
+        frame.setAttribute(EDITOR_UI_ATTRIBUTE, "handles");
+        
+        var corners = ['nw', 'ne', 'sw', 'se'];
+        for(var i = 0; i < corners.length; i++)
+        {
+            var handle = frame.appendChild(this.doc.createElement('div'));
+            handle.className = "editable-image-handle editable-image-handle-" + corners[i];
+            handle.setAttribute('data-corner', corners[i]);
+        }
+        
+        var alt = frame.appendChild(this.doc.createElement('button'));
+        alt.className = "editable-image-alt";
+        alt.setAttribute('type', "button");
+        alt.setAttribute('data-action', "alt");
+        alt.appendChild(this.doc.createTextNode("Alt text"));
+        
+        this.doc.body.appendChild(frame);
+        this.selectedImage = image;
+        this.imageHandles = frame;
+        this.positionImageHandles();
+        
+        this.bindEvent(frame, 'mousedown', this.handleImageHandleMouseDown);
+        this.bindEvent(this.getWindow(), 'scroll', this.positionImageHandles);
+        this.bindEvent(this.getWindow(), 'resize', this.positionImageHandles);
+        return true;
+    };
+    
+    // Remove the resize handles
+    this.hideImageHandles = function()
+    {
+        if(this.imageDrag)
+            this.endImageResize();
+        
+        var frame = this.imageHandles;
+        this.selectedImage = null;
+        this.imageHandles = null;
+        if(!frame)
+            return;
+        
+        this.unbindEvent(frame, 'mousedown', this.handleImageHandleMouseDown);
+        this.unbindEvent(this.getWindow(), 'scroll', this.positionImageHandles);
+        this.unbindEvent(this.getWindow(), 'resize', this.positionImageHandles);
+        if(frame.parentNode)
+            frame.parentNode.removeChild(frame);
+    };
+    
+    // Line the resize handles up with the image they are for
+    this.positionImageHandles = function()
+    {
+        var image = this.getSelectedImage();
+        if(!image || !this.imageHandles)
+            return;
+        
+        var win = this.getWindow();
+        var root = this.doc.documentElement;
+        var scrollX = win.pageXOffset || root.scrollLeft || 0;
+        var scrollY = win.pageYOffset || root.scrollTop || 0;
+        var rect = image.getBoundingClientRect();
+        
+        var style = this.imageHandles.style;
+        style.left = (rect.left + scrollX) + "px";
+        style.top = (rect.top + scrollY) + "px";
+        style.width = (rect.right - rect.left) + "px";
+        style.height = (rect.bottom - rect.top) + "px";
+    };
+    
+    // Start dragging a resize handle, or edit the alt text
+    this.handleImageHandleMouseDown = function(e)
+    {
+        // Keep the selection in the editor
+        cancelEvent(e);
+        
+        var target = e.target || e.srcElement;
+        if(target.getAttribute('data-action') == "alt")
+        {
+            this.promptImageAlt();
+            return false;
+        }
+        
+        var corner = target.getAttribute('data-corner');
+        var image = this.getSelectedImage();
+        if(!corner || !image)
+            return false;
+        
+        // The size from before the drag, as the drag changes the image as it goes
+        this.recordHistory();
+        this.imageDrag = {
+            corner : corner,
+            x      : e.clientX,
+            y      : e.clientY,
+            width  : image.offsetWidth,
+            height : image.offsetHeight,
+            ratio  : image.offsetWidth ? image.offsetHeight / image.offsetWidth : 0
+        };
+        this.bindEvent(this.doc, 'mousemove', this.dragImageResize);
+        this.bindEvent(this.doc, 'mouseup', this.endImageResize);
+        return false;
+    };
+    
+    // Resize the image as its handle is dragged
+    this.dragImageResize = function(e)
+    {
+        var drag = this.imageDrag;
+        var image = this.getSelectedImage();
+        if(!drag || !image)
+            return true;
+        
+        // Handles on the left and top grow the image dragging away from it, the other way to the others
+        var dx = (e.clientX - drag.x) * (drag.corner.charAt(1) == 'w' ? -1 : 1);
+        var dy = (e.clientY - drag.y) * (drag.corner.charAt(0) == 'n' ? -1 : 1);
+        var width = Math.max(1, Math.round(drag.width + dx));
+        var height = Math.max(1, Math.round(drag.height + dy));
+        if(this.keepAspectRatio && drag.ratio)
+            height = Math.max(1, Math.round(width * drag.ratio));
+        
+        drag.newWidth = width;
+        drag.newHeight = height;
+        this.setImageSize(image, width, height);
+        this.positionImageHandles();
+        return cancelEvent(e);
+    };
+    
+    // Finish dragging a resize handle, taking a history snapshot of the new size
+    this.endImageResize = function()
+    {
+        var drag = this.imageDrag;
+        this.imageDrag = null;
+        this.unbindEvent(this.doc, 'mousemove', this.dragImageResize);
+        this.unbindEvent(this.doc, 'mouseup', this.endImageResize);
+        
+        var image = this.selectedImage;
+        if(!drag || !drag.newWidth || !image)
+            return true;
+        
+        var size = {width: drag.newWidth, height: drag.newHeight};
+        var resized = this.editContent('resizeimage', size, function()
+        {
+            return true;
+        });
+        
+        // Cancelled by a beforecommand listener
+        if(!resized)
+        {
+            this.setImageSize(image, drag.width, drag.height);
+            this.positionImageHandles();
+        }
+        return true;
+    };
+    
+    // Change the image showing resize handles, changes holds any of src, alt, width and height as insertImage()
+    // takes them. Returns false if no image is showing handles or src is not an allowed URL
+    this.updateImage = function(changes)
+    {
+        var image = this.getSelectedImage();
+        if(!image || !changes)
+            return false;
+        
+        var src = null;
+        if(changes.src !== undefined && !(src = checkUrl(changes.src, this.imageSchemes)))
+            return false;
+        
+        return this.editContent('updateimage', changes, function()
+        {
+            if(src)
+                image.setAttribute('src', src);
+            if(changes.alt !== undefined)
+                image.setAttribute('alt', changes.alt === null ? "" : String(changes.alt));
+            if(changes.width !== undefined || changes.height !== undefined)
+            {
+                this.setImageSize(image,
+                    changes.width !== undefined ? changes.width : image.getAttribute('width'),
+                    changes.height !== undefined ? changes.height : image.getAttribute('height'));
+            }
+            this.positionImageHandles();
+            return true;
+        });
+    };
+    
+    // Ask for the alt text of the image showing resize handles
+    this.promptImageAlt = function()
+    {
+        var image = this.getSelectedImage();
+        if(!image)
+            return false;
+        
+        var alt = window.prompt("Image description", image.getAttribute('alt') || "");
+        if(alt === null)
+            return false;
+        return this.updateImage({alt: alt});
+    };
+    
+    // Delete the image showing resize handles, for Backspace and Delete. Returns false if there is none
+    this.deleteSelectedImage = function()
+    {
+        var image = this.getSelectedImage();
+        if(!image)
+            return false;
+        
+        return this.editContent('deleteimage', null, function()
+        {
+            this.hideImageHandles();
+            var offset = this.getNodeOffset(image);
+            image.parentNode.removeChild(image);
+            this.restoreBookmark({start: offset, end: offset});
+            return true;
+        });
+    };
+    
+    // Compare the content with what it was when editing was turned on, or with against, which is HTML or a
+    // history snapshot. Returns the word level changes as diffContent() describes them
+    this.diff = function(against)
+    {
+        if(!this.node)
+            return null;
+        return diffContent(this.getDiffBase(against), this.getContent(), this.doc);
+    };
+    
+    // HTML to compare the content with, against as diff() takes it
+    this.getDiffBase = function(against)
+    {
+        if(against && typeof against == "object")
+            return against.html;
+        return (typeof against == "string") ? against : (this.originalContent || "");
+    };
+    
+    // Mark the changes since against, as diff() takes it, inline in the editor for review. Text put in is shown
+    // in <ins> and text taken out in <del>, until acceptChange() or rejectChange() settles them. Until then
+    // getContent() treats every change as accepted. Can be undone. Returns the changes as diff() does
+    this.showChanges = function(against)
+    {
+        if(!this.node)
+            return null;
+        
+        var base = this.getDiffBase(against);
+        var content = this.getContent();
+        addStyleSheet(this.doc, "editable-changes-style",
+            "ins[" + CONTENT_CHANGE_ATTRIBUTE + "] { background: #dfd; text-decoration: underline; }\n" +
+            "del[" + CONTENT_CHANGE_ATTRIBUTE + "] { background: #fdd; text-decoration: line-through; }");
+        
+        this.editContent('showchanges', against || null, function()
+        {
+            this.node.innerHTML = renderContentDiff(base, content, this.doc);
+            return true;
+        });
+        return diffContent(base, content, this.doc);
+    };
+    
+    // The <ins> and <del> elements marking change id, or every change if id is not given
+    this.getChangeElements = function(id)
+    {
+        var elements = [];
+        var tags = ['ins', 'del'];
+        for(var i = 0; this.node && i < tags.length; i++)
+        {
+            var found = this.node.getElementsByTagName(tags[i]);
+            for(var j = 0; j < found.length; j++)
+            {
+                var change = found[j].getAttribute(CONTENT_CHANGE_ATTRIBUTE);
+                if(change !== null && (id === undefined || id === null || change == String(id)))
+                    elements.push(found[j]);
+            }
+        }
+        return elements;
+    };
+    
+    // Ids of the changes marked by showChanges() that are still to be accepted or rejected
+    this.getPendingChanges = function()
+    {
+        var ids = [];
+        var elements = this.getChangeElements();
+        for(var i = 0; i < elements.length; i++)
+        {
+            var id = parseInt(elements[i].getAttribute(CONTENT_CHANGE_ATTRIBUTE), 10);
+            if(!inList(ids, id))
+                ids.push(id);
+        }
+        return ids.sort(function(a, b) { return a - b; });
+    };
+    
+    // Id of the change the selection is in, or null
+    this.getChangeAtSelection = function()
+    {
+        var bookmark = this.getBookmark();
+        if(!bookmark)
+            return null;
+        
+        var nodes = this.getTextNodesTouching(bookmark.start, Math.max(bookmark.end, bookmark.start + 1));
+        var node = nodes.length ? nodes[0] : this.findTextPosition(bookmark.start).node;
+        var change = this.findAncestor(node, isContentChange);
+        return change ? parseInt(change.getAttribute(CONTENT_CHANGE_ATTRIBUTE), 10) : null;
+    };
+    
+    // Settle change id, or every change if id is null. Accepting keeps inserted text and drops deleted text,
+    // rejecting does the opposite. Returns false if there was no such change
+    this.settleChange = function(id, accept)
+    {
+        var elements = this.getChangeElements(id);
+        if(!elements.length)
+            return false;
+        
+        var bookmark = this.getBookmark();
+        return this.editContent(accept ? 'acceptchange' : 'rejectchange', id, function()
+        {
+            for(var i = 0; i < elements.length; i++)
+            {
+                var keep = (contentTagName(elements[i]) == 'ins') == accept;
+                if(keep)
+                    unwrapNode(elements[i]);
+                else
+                    elements[i].parentNode.removeChild(elements[i]);
+            }
+            mergeAdjacentElements(this.node);
+            if(bookmark)
+                this.restoreBookmark(bookmark);
+            return true;
+        });
+    };
+    
+    this.acceptChange = function(id)
+    {
+        if(id === null || id === undefined)
+            return false;
+        return this.settleChange(id, true);
+    };
+    
+    this.rejectChange = function(id)
+    {
+        if(id === null || id === undefined)
+            return false;
+        return this.settleChange(id, false);
+    };
+    
+    this.acceptAllChanges = function()
+    {
+        return this.settleChange(null, true);
+    };
+    
+    this.rejectAllChanges = function()
+    {
+        return this.settleChange(null, false);
+    };
+    
+    // Search the text for query and highlight every match, returns how many there are. Options are:
+    //   caseSensitive : match upper and lower case exactly
+    //   wholeWord     : only match where there is no letter or digit either side
+    //   regex         : query is a regular expression, replacements can then use $1 and $&
+    // Matches never run from one block into another. Highlights are drawn over the content without changing it,
+    // and follow the content as it is edited until clearFind()
+    this.find = function(query, options)
+    {
+        this.clearFind();
+        if(!this.node || !query)
+            return 0;
+        
+        options = options || {};
+        var source = options.regex ? query : query.replace(/[\\^$.*+?()\[\]{}|\/]/g, "\\$&");
+        var pattern;
+        try
+        {
+            pattern = new RegExp(source, options.caseSensitive ? "g" : "gi");
+        }
+        catch(e)
+        {
+            debug("find() : Invalid regular expression " + query);
+            return 0;
+        }
+        
+        this.findState = {query: query, options: options, pattern: pattern, matches: [], index: -1};
+        this.updateFind();
+        this.bindEvent(this.getWindow(), 'scroll', this.drawFindHighlights);
+        this.bindEvent(this.getWindow(), 'resize', this.drawFindHighlights);
+        return this.findState.matches.length;
+    };
+    
+    // Matches of the last find(), [{start, end, text, groups}] with character offsets into the edited node
+    this.getFindMatches = function()
+    {
+        return this.findState ? this.findState.matches : [];
+    };
+    
+    // Search the text again, such as after it was edited, keeping to the match that was current
+    this.updateFind = function()
+    {
+        var state = this.findState;
+        if(!state || !this.node)
+            return;
+        
+        // Offsets where text goes from one block into the next
+        var nodes = this.getTextNodes();
+        var text = "";
+        var breaks = {};
+        var lastBlock = null;
+        for(var i = 0; i < nodes.length; i++)
+        {
+            var block = this.findBlock(nodes[i]);
+            if(i && block != lastBlock)
+                breaks[text.length] = true;
+            lastBlock = block;
+            text += nodes[i].nodeValue;
+        }
+        
+        var wordCharacter = /[^\s!-\/:-@\[-`{-~]/;
+        var isBoundary = function(offset)
+        {
+            return offset <= 0 || offset >= text.length || breaks[offset] ||
+                !wordCharacter.test(text.charAt(offset - 1)) || !wordCharacter.test(text.charAt(offset));
+        };
+        
+        var current = state.matches[state.index];
+        var matches = [];
+        var pattern = state.pattern;
+        pattern.lastIndex = 0;
+        var match;
+        while((match = pattern.exec(text)))
+        {
+            var start = match.index;
+            var end = start + match[0].length;
+            pattern.lastIndex = start + 1;
+            if(start == end)
+                continue;
+            
+            var crossesBlocks = false;
+            for(var offset = start + 1; offset < end && !crossesBlocks; offset++)
+                crossesBlocks = breaks[offset] ? true : false;
+            if(crossesBlocks || (state.options.wholeWord && (!isBoundary(start) || !isBoundary(end))))
+                continue;
+            
+            matches.push({start: start, end: end, text: match[0], groups: Array.prototype.slice.call(match, 1)});
+            pattern.lastIndex = end;
+        }
+        
+        state.matches = matches;
+        state.index = -1;
+        for(var j = 0; current && j < matches.length && state.index < 0; j++)
+        {
+            if(matches[j].end > current.start)
+                state.index = j;
+        }
+        this.drawFindHighlights();
+    };
+    
+    // Select the next match after the selection, going round to the first after the last
+    this.findNext = function()
+    {
+        return this.selectFindMatch(true);
+    };
+    
+    // Select the match before the selection, going round to the last before the first
+    this.findPrevious = function()
+    {
+        return this.selectFindMatch(false);
+    };
+    
+    // Select the match after or before the selection, returns it or null if there are no matches
+    this.selectFindMatch = function(forward)
+    {
+        var state = this.findState;
+        if(!state || !state.matches.length)
+            return null;
+        
+        var matches = state.matches;
+        var selection = this.getSelectionOffsets() || this.cachedBookmark;
+        var current = matches[state.index];
+        var index;
+        if(current && selection && current.start == selection.start && current.end == selection.end)
+            index = state.index + (forward ? 1 : -1);
+        else if(forward)
+        {
+            for(index = 0; selection && index < matches.length && matches[index].start < selection.end; index++);
+        }
+        else
+        {
+            for(index = matches.length - 1; selection && index >= 0 && matches[index].end > selection.start; index--);
+        }
+        
+        state.index = (index + matches.length) % matches.length;
+        var match = matches[state.index];
+        this.restoreBookmark(match);
+        
+        var position = this.findTextPosition(match.start);
+        var element = (position.node.nodeType == TEXT_NODE) ? position.node.parentNode : position.node;
+        if(element && element.scrollIntoView)
+            element.scrollIntoView(false);
+        
+        this.drawFindHighlights();
+        return match;
+    };
+    
+    // Replace the current match with replacement and select the next one, selecting the next match first if no
+    // match is selected. Formatting at the start of the match carries on over the replacement. Can be undone
+    this.replace = function(replacement)
+    {
+        var state = this.findState;
+        if(!state)
+            return false;
+        
+        var match = state.matches[state.index];
+        var selection = this.getSelectionOffsets() || this.cachedBookmark;
+        if(!match || !selection || match.start != selection.start || match.end != selection.end)
+        {
+            this.findNext();
+            return false;
+        }
+        
+        var text = this.expandReplacement(match, replacement);
+        var result = this.editContent('replace', text, function()
+        {
+            this.replaceText(match.start, match.end, text);
+            this.setSelectionOffsets({start: match.start, end: match.start + text.length});
+            return true;
+        });
+        if(result)
+            this.findNext();
+        return result;
+    };
+    
+    // Replace every match with replacement, returns how many were replaced. Can be undone as one step
+    this.replaceAll = function(replacement)
+    {
+        var state = this.findState;
+        if(!state || !state.matches.length)
+            return 0;
+        
+        var matches = state.matches.slice(0);
+        return this.editContent('replaceall', replacement, function()
+        {
+            // From the end, so the offsets of the matches still to do stay the same
+            for(var i = matches.length - 1; i >= 0; i--)
+                this.replaceText(matches[i].start, matches[i].end, this.expandReplacement(matches[i], replacement));
+            return matches.length;
+        }) || 0;
+    };
+    
+    // Text a match is replaced with, with $& and $1 to $99 filled in for a regular expression search
+    this.expandReplacement = function(match, replacement)
+    {
+        replacement = String(replacement);
+        if(!this.findState || !this.findState.options.regex)
+            return replacement;
+        
+        return replacement.replace(/\$(\$|&|\d\d?)/g, function(all, name)
+        {
+            if(name == "$")
+                return "$";
+            if(name == "&")
+                return match.text;
+            var group = match.groups[parseInt(name, 10) - 1];
+            return (typeof group == "string") ? group : "";
+        });
+    };
+    
+    // Replace the text between character offsets start and end with text, in the text node the start is in so it
+    // keeps that node's formatting. Formatting elements left empty go
+    this.replaceText = function(start, end, text)
+    {
+        var nodes = this.splitTextNodes(start, end);
+        if(!nodes.length)
+            return false;
+        
+        nodes[0].nodeValue = text;
+        for(var i = text ? 1 : 0; i < nodes.length; i++)
+        {
+            var parent = nodes[i].parentNode;
+            parent.removeChild(nodes[i]);
+            while(parent != this.node && !parent.firstChild && !isBlockNode(parent))
+            {
+                var empty = parent;
+                parent = parent.parentNode;
+                parent.removeChild(empty);
+            }
+        }
+        return true;
+    };
+    
+    // Draw the highlights over the matches of the last find(). They go in the document outside the edited node
+    // where there is one, as image resize handles do
+    this.drawFindHighlights = function()
+    {
+        var state = this.findState;
+        if(!state)
+            return;
+        
+        if(state.overlay && state.overlay.parentNode)
+            state.overlay.parentNode.removeChild(state.overlay);
+        state.overlay = null;
+        if(!this.node || !this.doc.body || !this.doc.createRange)
+            return;
+        
+        addStyleSheet(this.doc, "editable-find-style",
+            ".editable-find-match { position: absolute; background: #fd0; opacity: 0.4; pointer-events: none; }\n" +
+            ".editable-find-current { background: #f80; }");
+        
+        var overlay = this.doc.createElement('div');
+        overlay.setAttribute(EDITOR_UI_ATTRIBUTE, "find");
+        overlay.setAttribute('contenteditable', "false");
+        
+        var win = this.getWindow();
+        var root = this.doc.documentElement;
+        var scrollX = win.pageXOffset || root.scrollLeft || 0;
+        var scrollY = win.pageYOffset || root.scrollTop || 0;
+        for(var i = 0; i < state.matches.length; i++)
+        {
+            var start = this.findTextPosition(state.matches[i].start);
+            var end = this.findTextPosition(state.matches[i].end);
+            var range = this.doc.createRange();
+            range.setStart(start.node, start.offset);
+            range.setEnd(end.node, end.offset);
+            
+            var rects = range.getClientRects ? range.getClientRects() : [];
+            for(var j = 0; j < rects.length; j++)
+            {
+                var box = overlay.appendChild(this.doc.createElement('div'));
+                box.className = "editable-find-match" + (i == state.index ? " editable-find-current" : "");
+                box.style.left = (rects[j].left + scrollX) + "px";
+                box.style.top = (rects[j].top + scrollY) + "px";
+                box.style.width = (rects[j].right - rects[j].left) + "px";
+                box.style.height = (rects[j].bottom - rects[j].top) + "px";
+            }
+        }
+        
+        this.doc.body.appendChild(overlay);
+        state.overlay = overlay;
+    };
+    
+    // Remove the highlights and forget the last find()
+    this.clearFind = function()
+    {
+        var state = this.findState;
+        if(!state)
+            return;
+        
+        this.findState = null;
+        if(state.overlay && state.overlay.parentNode)
+            state.overlay.parentNode.removeChild(state.overlay);
+        this.unbindEvent(this.getWindow(), 'scroll', this.drawFindHighlights);
+        this.unbindEvent(this.getWindow(), 'resize', this.drawFindHighlights);
+    };
+    
+    // Switch between editing, 'edit', looking without being able to change anything, 'readonly', and editing the
+    // HTML source, 'source'. Editing stays on throughout, so content, history, selection and scroll position
+    // carry over. Source is cleaned and put into canonical form on the way back, and that can be undone
+    this.setMode = function(mode)
+    {
+        if(!this.node || (mode != 'edit' && mode != 'readonly' && mode != 'source'))
+            return false;
+        
+        var previous = this.mode;
+        if(mode == previous)
+            return true;
+        
+        var scroll = this.getScrollPosition();
+        if(previous == 'source')
+        {
+            var html = this.getSourceContent();
+            this.hideSource();
+            this.mode = mode;
+            this.setContent(html);
+        }
+        this.mode = mode;
+        
+        this.setNodeEditable(mode == 'edit');
+        if(mode == 'readonly')
+            this.node.setAttribute('aria-readonly', "true");
+        else
+            this.node.removeAttribute('aria-readonly');
+        
+        if(mode == 'source')
+        {
+            this.recordHistory();
+            this.hideImageHandles();
+            this.clearFind();
+            this.showSource();
+        }
+        this.setScrollPosition(scroll);
+        
+        this.fire('modechange', {mode: mode, previous: previous});
+        this.checkCommandState();
+        return true;
+    };
+    
+    // Overridden where something other than the node's contentEditable turns editing on and off
+    this.setNodeEditable = function(editable)
+    {
+        this.node.contentEditable = editable ? true : false;
+    };
+    
+    // Element the editor shows on the page, overridden where it isn't the edited node
+    this.getEditorElement = function()
+    {
+        return this.node;
+    };
+    
+    // How far the page and the editor or source view are scrolled, with how far they could be
+    this.getScrollPosition = function()
+    {
+        var element = (this.mode == 'source') ? this.sourceView.textarea : this.getEditorElement();
+        var root = document.documentElement;
+        return {
+            pageX  : window.pageXOffset || root.scrollLeft || 0,
+            pageY  : window.pageYOffset || root.scrollTop || 0,
+            top    : element.scrollTop,
+            left   : element.scrollLeft,
+            height : Math.max(1, element.scrollHeight - element.clientHeight)
+        };
+    };
+    
+    // Scroll back to a getScrollPosition(), the same way through the editor or source view whichever is showing
+    this.setScrollPosition = function(scroll)
+    {
+        var element = (this.mode == 'source') ? this.sourceView.textarea : this.getEditorElement();
+        var height = Math.max(1, element.scrollHeight - element.clientHeight);
+        element.scrollTop = Math.round(scroll.top * height / scroll.height);
+        element.scrollLeft = scroll.left;
+        if(window.scrollTo)
+            window.scrollTo(scroll.pageX, scroll.pageY);
+    };
+    
+    // Show the content as HTML source in place of the editor
+    this.showSource = function()
+    {
+        var element = this.getEditorElement();
+        var doc = element.ownerDocument;
+        addStyleSheet(doc, "editable-source-style",
+            ".editable-source { position: relative; overflow: hidden; }\n" +
+            ".editable-source pre, .editable-source textarea { box-sizing: border-box; width: 100%; height: 100%; " +
+                "margin: 0; padding: 4px; border: 1px solid #ccc; font: 12px/1.4 monospace; white-space: pre-wrap; " +
+                "word-wrap: break-word; overflow: auto; }\n" +
+            ".editable-source pre { position: absolute; left: 0; top: 0; color: #333; background: #fff; }\n" +
+            ".editable-source textarea { position: relative; color: transparent; background: transparent; " +
+                "caret-color: #000; resize: none; }\n" +
+            ".editable-source-tag { color: #881280; }\n" +
+            ".editable-source-attribute { color: #994500; }\n" +
+            ".editable-source-value { color: #1a1aa6; }\n" +
+            ".editable-source-entity { color: #c80000; }\n" +
+            ".editable-source-comment { color: #236e25; }");
+        
+        // The textarea lies over a copy of its text in colour, which shows through
+        var container = doc.createElement('div');
+        container.className = "editable-source";
+        container.setAttribute(EDITOR_UI_ATTRIBUTE, "source");
+        container.style.width = element.offsetWidth ? element.offsetWidth + "px" : "100%";
+        container.style.height = Math.max(element.offsetHeight, 150) + "px";
+        
+        var highlight = container.appendChild(doc.createElement('pre'));
+        highlight.setAttribute('aria-hidden', "true");
+        var textarea = container.appendChild(doc.createElement('textarea'));
+        textarea.setAttribute('spellcheck', "false");
+        textarea.setAttribute('aria-label', "HTML source");
+        textarea.value = formatContentSource(serializeContent(this.node), this.doc);
+        
+        element.parentNode.insertBefore(container, element);
+        this.sourceView = {container: container, highlight: highlight, textarea: textarea,
+            display: element.style.display};
+        element.style.display = "none";
+        
+        this.bindEvent(textarea, 'input', this.updateSourceHighlight);
+        this.bindEvent(textarea, 'keyup', this.updateSourceHighlight);
+        this.bindEvent(textarea, 'scroll', this.updateSourceHighlight);
+        this.updateSourceHighlight();
+        textarea.focus();
+    };
+    
+    // Colour the source as it is edited, and keep the colours lined up with the text as it scrolls
+    this.updateSourceHighlight = function()
+    {
+        var view = this.sourceView;
+        if(!view)
+            return;
+        
+        var source = view.textarea.value;
+        if(source !== view.highlighted)
+        {
+            // A final line break needs something after it to take up a line
+            view.highlight.innerHTML = highlightContentSource(source) + "\n ";
+            view.highlighted = source;
+        }
+        view.highlight.scrollTop = view.textarea.scrollTop;
+        view.highlight.scrollLeft = view.textarea.scrollLeft;
+    };
+    
+    // Remove the source view and show the editor again
+    this.hideSource = function()
+    {
+        var view = this.sourceView;
+        if(!view)
+            return;
+        
+        this.sourceView = null;
+        this.unbindEvent(view.textarea, 'input', this.updateSourceHighlight);
+        this.unbindEvent(view.textarea, 'keyup', this.updateSourceHighlight);
+        this.unbindEvent(view.textarea, 'scroll', this.updateSourceHighlight);
+        if(view.container.parentNode)
+            view.container.parentNode.removeChild(view.container);
+        this.getEditorElement().style.display = view.display;
+    };
+    
+    // Apply options, as passed to createEditable()
+    //   keymap          : key chord bindings added to or overriding DEFAULT_KEYMAP, false or null disables a chord
+    //   historySize     : most undo steps kept
+    //   pasteSchema     : schema pasted content is sanitized with
+    //   placeholder     : hint text shown while the editor is empty
+    //   uploadHandler   : function uploading dropped and pasted image files, see uploadHandler above
+    //   keepAspectRatio : whether resizing an image keeps its aspect ratio, true by default
+    //   autosave        : true or EditableAutosave options to keep a draft of the content, false to stop
+    //   collaboration   : EditableCollaboration options to edit together with others, false to stop
+    //   schema          : content schema the content is kept to, see Content schema
+    //   mentions        : EditableMentions triggers to suggest mentions for, false to stop
+    this.setOptions = function(options)
+    {
+        options = options || {};
+        
+        if(options.keymap)
+            this.setKeymap(options.keymap);
+        if(options.historySize)
+            this.setHistorySize(options.historySize);
+        if(options.pasteSchema)
+            this.setPasteSchema(options.pasteSchema);
+        if("placeholder" in options)
+            this.setPlaceholder(options.placeholder);
+        if("uploadHandler" in options)
+            this.uploadHandler = options.uploadHandler;
+        if("keepAspectRatio" in options)
+            this.keepAspectRatio = options.keepAspectRatio ? true : false;
+        if("autosave" in options)
+            this.setAutosave(options.autosave);
+        if("collaboration" in options)
+            this.setCollaboration(options.collaboration);
+        if("schema" in options)
+            this.setSchema(options.schema);
+        if("mentions" in options)
+            this.setMentions(options.mentions);
+    };
+    
+    // Keep a draft of the content with an EditableAutosave made with options, true for the default options.
+    // false or null stops, keeping any draft saved so far
+    this.setAutosave = function(options)
+    {
+        if(this.autosave)
+            this.autosave.detach();
+        this.autosave = options ? new EditableAutosave(this, (options === true) ? {} : options) : null;
+        return this.autosave;
+    };
+    
+    // Remove the autosaved draft, such as once the content has been saved for real
+    this.discardDraft = function()
+    {
+        return this.autosave ? this.autosave.discardDraft() : false;
+    };
+    
+    // Suggest mentions as the triggers of an EditableMentions are typed, false or null stops
+    this.setMentions = function(triggers)
+    {
+        if(this.mentions)
+            this.mentions.detach();
+        this.mentions = triggers ? new EditableMentions(this, triggers) : null;
+        return this.mentions;
+    };
+    
+    // Edit together with others through an EditableCollaboration made with options, which need a transport.
+    // false or null stops, leaving the content as it is
+    this.setCollaboration = function(options)
+    {
+        if(this.collaboration)
+            this.collaboration.detach();
+        this.collaboration = options ? new EditableCollaboration(this, options) : null;
+        return this.collaboration;
+    };
+    
+    // Check that it is the correct node type for editing
+    this.checkNodeType = function(node)
+    {
+        // Make sure it is a element node
+        if(node && node.nodeType && ELEMENT_NODE == node.nodeType)
+            return true;
+        debug("checkNodeType() : Incorrect element type");
+        return false;
+    };
+    
+    // Normalise a color given as a number, rgb() or hex into #rrggbb form, or null if it is not a color
+    this.checkColorValue = function(value)
+    {
+        var color = convertColor(value);
+        if(!color)
+            return null;
+        
+        // Expand short #rgb form
+        if(/^#[0-9a-f]{3}$/i.test(color))
+            color = color.replace(/^#(.)(.)(.)$/, "#$1$1$2$2$3$3");
+        
+        return /^#[0-9a-f]{6}$/i.test(color) ? color.toLowerCase() : null;
+    };
+    
+    // Check the value passed for command, returns the value to exec with or null if it is not acceptable
+    this.checkCommandValue = function(command, value)
+    {
+        var check = this.commandValues[command.toLowerCase()];
+        
+        // Commands without a value check pass their value straight through, false if none was given
+        if(!check)
+            return (typeof value == "undefined" || value === null) ? false : value;
+        
+        if(typeof value == "undefined" || value === null || value === "")
+            return null;
+        
+        return check.call(this, value);
+    };
+    
+    // Exec a command, value is required for commands such as fontname, forecolor or createlink
+    this.execCommand = function(command, value)
+    {
+        if(!this.doc)
+            return false;
+        if(this.mode != 'edit')
+        {
+            debug("execCommand() : Not editable in mode=" + this.mode);
+            return false;
+        }
+        
+        // Refuse values that do not pass the check for this command
+        value = this.checkCommandValue(command, value);
+        if(value === null)
+        {
+            debug("execCommand() : Refused value for command=" + command);
+            return false;
+        }
+        
+        if(!this.fire('beforecommand', {command: command, value: value}))
+            return false;
+            
+        // Call any function pre-exec functionality, such as re-selecting a range
+        this.preExecCommand();
+        
+        // Snapshot any typing since the last snapshot so it is undone separately from the command
+        this.recordHistory();
+        
+        // Exec a command using defined document object
+        var ret = this.runCommand(command, value);
+        
+        // Call any function pre-exec functionality, such as updating a selection range
+        this.postExecCommand();
+        this.contentChanged();
+        
+        this.recordHistory();
+        this.checkSelection();
+        
+        this.fire('aftercommand', {command: command, value: value, result: ret});
+        
+        // Check if command state has changed
+        this.checkCommandState();
+        
+        return ret;
+    };
+    
+    // Carry out a command once its value is checked, overridden by classes that don't use the browser's commands
+    this.runCommand = function(command, value)
+    {
+        return this.doc.execCommand(command, false, value);
+    };
+    
+    // Whether a command such as bold is on for the selection, overridden along with runCommand()
+    this.queryCommandState = function(command)
+    {
+        return this.doc.queryCommandState(command);
+    };
+    
+    // Value of a command such as fontname for the selection, overridden along with runCommand()
+    this.queryCommandValue = function(command)
+    {
+        return this.doc.queryCommandValue(command);
+    };
+    
+    // Whether a command is on for some of the selection but not all of it, such as bold over partly bold text
+    this.queryCommandMixed = function(command)
+    {
+        try
+        {
+            return this.doc.queryCommandIndeterm ? this.doc.queryCommandIndeterm(command) : false;
+        }
+        catch(e)
+        {
+            return false;
+        }
+    };
+    
+    // Overridden define any browser specific pre-exec command functionality, such as re-selecting range
+    this.preExecCommand = function(){};
+    
+    // Overridden to define any browser specific post-exec command functionality, such as updating a selection range
+    this.postExecCommand = function(){};
+        
+    // Set callback function for command state change callback
+    this.setStateChangeCallBack = function(callBack)
+    {
+        this.stateChangeCallback = callBack;
+    };
+    
+    // Add a command to check when checking context, or replace the type of one already registered
+    // type is 'state', 'value' or a function called as a method of this object returning the command's value
+    this.registerCommand = function(command, type)
+    {
+        this.unregisterCommand(command);
+        this.commands.push([command, type]);
+    };
+    
+    // Stop checking a command when checking context
+    this.unregisterCommand = function(command)
+    {
+        for(var i = this.commands.length - 1; i >= 0; i--)
+        {
+            if(this.commands[i][0] == command)
+                this.commands.splice(i, 1);
+        }
+        if(this.cachedCommandArray)
+            delete this.cachedCommandArray[command];
+    };
+    
+    // Get the current command state array of selection or cursor using the defined associative array
+    this.getCommandState = function()
+    {
+        if(!this.doc || !this.node)
+            return false;
+                    
+        var commandArray = {};
+            
+        for(var i = 0; i < this.commands.length; i++)
+        {
+            var command = this.commands[i][0];
+            var type    = this.commands[i][1];
+                
+            // Get value or state depending on command, browsers throw on commands they do not support
+            try
+            {
+                if(typeof type == 'function')
+                    commandArray[command] = type.call(this, command);
+                else if(type == 'state')
+                    commandArray[command] = this.queryCommandState(command);
+                else if(type == 'value')
+                    commandArray[command] = this.queryCommandValue(command);
+                else
+                    commandArray[command] = false;
+            }
+            catch(e)
+            {
+                commandArray[command] = false;
+            }
+                
+            // Convert color to a nice Hex Representation, IE gives a number, Mozilla gives rgb(etc...  
+            if(command && command.search(/color/) >= 0 && commandArray[command])
+                commandArray[command] = convertColor(commandArray[command]);
+    
+            debug('getCommandState() command=' + command + " state/value=" + commandArray[command], 'info');
+        }
+        return commandArray;
+    };
+    
+    // Check command state once rapid events have settled, so a burst of keyup/mouseup only signals once
+    this.requestCommandStateCheck = function()
+    {
+        if(this.stateCheckTimer)
+            return;
+        
+        var self = this;
+        this.stateCheckTimer = window.setTimeout(function()
+        {
+            self.stateCheckTimer = null;
+            self.checkCommandState();
+        }, this.stateCheckDelay);
+    };
+    
+    // Drop any pending command state check
+    this.cancelCommandStateCheck = function()
+    {
+        if(this.stateCheckTimer)
+            window.clearTimeout(this.stateCheckTimer);
+        this.stateCheckTimer = null;
+    };
+    
+    // Fetch current command state compare against cached one, if diffrent send signal and cache new one
+    // The callback gets the full state and the changed commands as {command: {oldValue: x, newValue: y}}
+    this.checkCommandState = function()
+    {
+        debug('checkCommandState()');
+        
+        this.cancelCommandStateCheck();
+
+        var commandArray = this.getCommandState();
+        if(!commandArray)
+            return null;
+        
+        var cached = this.cachedCommandArray || {};
+        var changes = {};
+        var changed = false;
+    
+        // Compare against the previous command states, with nothing cached everything counts as changed
+        for(var command in commandArray)
+        {
+            if(!this.cachedCommandArray || !(command in cached) || cached[command] != commandArray[command])
+            {
+                debug('checkCommandState() - Command Change command=' + command);
+                changes[command] = {oldValue: cached[command], newValue: commandArray[command]};
+                changed = true;
+            }
+        }
+        
+        this.cachedCommandArray = commandArray;
+    
+        // Signal if there is a change
+        if(changed && this.stateChangeCallback)
+            this.stateChangeCallback(this.cachedCommandArray, changes);
+        if(changed)
+            this.fire('statechange', {state: this.cachedCommandArray, changes: changes});
+        
+        return changed ? changes : null;
+    };
+    
+    // Where the selection is in a table, so toolbars can enable and disable table actions
+    var tableCommands = ['table', 'tablerow', 'tablecolumn', 'tablerows', 'tablecolumns'];
+    for(var i = 0; i < tableCommands.length; i++)
+        this.registerCommand(tableCommands[i], this.getTableCommandState);
+    
+    // Start out with the default key bindings
+    this.setKeymap(DEFAULT_KEYMAP);
+};
+/**
+* End Class EditableBase
+**/
+
+
+/**
+* Class EditableGecko extends EditableBase
+*
+* Class to convert node to a rich text editing area for Gecko Layout engine based browsers, 
+* such as FireFox, Camino, and Mozilla
+**/
+var EditableGecko = function()
+{
+    // Give this instance its own copy of the base class state
+    EditableBase.call(this);
+    
+    // designMode iframe editor reference
+    this.iframe = null;
+    
+    // Layout engine name
+    this.engine = "gecko";
+    
+    // Constructor
+    this.EditableGecko = function(){};
+    
+    // Snapshot of original node before editing, in case we need to look something up
+    this.originalNode = null;
+    
+    // Overridden from base class, turn on editing for node
+    this.editableOn = function(node)
+    {
+        if(!this.checkNodeType(node))
+            return false;
+        
+        // Build Iframe
+        this.iframe = document.createElement("iframe");
+        
+        // Line up some properties      
+        this.iframe.style.width = (node.style.width) ? node.style.width : "100%";
+        this.iframe.style.height = (node.style.height) ? node.style.height : node.offsetHeight + "px";
+        this.iframe.style.top = (node.style.top) ? node.style.top : this.iframe.style.top;
+        this.iframe.style.left = (node.style.left) ? node.style.left : this.iframe.style.left;
+        if(node.style.position)
+        {
+            this.iframe.style.position = node.style.position;
+            // Setting a position to static automatically ignores top and left attributes, so we don't change them
+            node.style.position = "static";
+        }
+        this.iframe.style.border        = "none";
+        this.iframe.style.lineHeight    = "0"; // squash line height
+        this.iframe.style.verticalAlign = "bottom";
+        this.iframe.scrolling           = "no";
+                
+        // Switch node with iframe
+        var clone = node.cloneNode(true);
+        this.originalNode = node.cloneNode(true);
+        node.parentNode.replaceChild(this.iframe, node);
+    
+        // Add stub document to iframe write it in manually for speed, a server GET request for a stub would take long
+        this.iframe.contentWindow.document.open('text/html; charset="UTF-8"');
+        // Copy over styles defined in docuemnt
+        var styleText = "";
+        if(document.getElementsByTagName('style').length)
+            styleText = "\n\n" + document.getElementsByTagName('style')[0].innerHTML + "\n\n";
+        var html =  "<html>" +
+                "<head>" +
+                "<style type='text/css'>\n" +
+                "body,html {\n" +
+                "   background:transparent;\n" +
+                "   padding:0;\n" +
+                "   margin:0;\n" +
+                "}\n" +
+                "body {\n" +
+                "   top:0;\n" +
+                "   left:0;\n" +
+                "   right:0;\n" +
+                "   position:fixed;\n" +
+                "}\n" +
+                "body,div,dl,dt,dd,ul,ol,li,h1,h2,h3,h4,h5,h6,pre,form,fieldset,input,textarea,p,blockquote,th,td {\n" +
+                "   margin:0;\n" +
+                "   padding:0;\n" +
+                "}\n" +
+                "table {\n" +
+                "   border-collapse:collapse;\n" +
+                "   border-spacing:0;\n" +
+                "}\n" +
+                "fieldset,img {\n" +
+                "   border:0;\n" +
+                "}\n" +
+                "address,caption,cite,code,dfn,em,strong,th,var {\n" +
+                "   font-style:normal;\n" +
+                "   font-weight:normal;\n" +
+                "}\n" +
+                "ol,ul {\n" +
+                "   list-style:none;\n" +
+                "}\n" +
+                "caption,th {\n" +
+                "   text-align:left;\n" +
+                "}\n" +
+                "h1,h2,h3,h4,h5,h6 {\n" +
+                "   font-size:100%;\n" +
+                "   font-weight:normal;\n" +
+                "}\n" +
+                "q:before,q:after {\n" +
+                "   content:'';\n" +
+                "}\n" +
+                "abbr,acronym {\n" +
+                "   border:0;\n" +
+                "}\n" +
+                // Write in style text
+                styleText +
+                "</style>" +
+                "</head>" +
+                // <div> is important, otherwise a <br/> is inserted then removed when typed in causing a jerky movement
+                "<body><div></div></body>" +
+                "</html>";
+        this.iframe.contentWindow.document.write(html);
+        this.iframe.contentWindow.document.close();
+        
+        // Append cloned node to new document in iframe
+        this.node = this.iframe.contentWindow.document.body.appendChild(clone);
+        
+        // Add style sheets to retain look
+        for (var i = document.styleSheets.length - 1; i>=0; i-- )
+        {
+            var newLink = this.iframe.contentDocument.createElement("link");
+            newLink.rel  = "stylesheet";
+            newLink.type = "text/css";
+            newLink.href = document.styleSheets[i].href;
+            var iframeHead = this.iframe.contentDocument.getElementsByTagName('head')[0];
+            if(iframeHead)
+                iframeHead.appendChild(newLink);
+        }
+        
+        // Switch on design mode
+        this.iframe.contentWindow.document.designMode = "on";
+        
+        // Set reference to iframe document object
+        this.doc = this.iframe.contentWindow.document;
+        
+        // Tables and images are edited with insertTableRow(), the editor's image handles and the rest, turn off
+        // Firefox's own handles for them
+        try
+        {
+            this.doc.execCommand('enableInlineTableEditing', false, false);
+            this.doc.execCommand('enableObjectResizing', false, false);
+        }
+        catch(e)
+        {
+        }
+                
+        // Add height correction events, handlers live in this window so they keep their reference to this editor
+        this.bindEvent(this.doc, 'keyup', this.update);
+        this.bindEvent(this.doc, 'mouseup', this.update);
+        this.bindEvent(this.iframe.contentWindow, 'resize', this.update);
+        
+        this.setupEditing(node, this.doc);
+        
+        // Call update to smooth out any ssmll inconsistencies
+        this.update();
+    };
+    
+    // Overridden from base class, turn off editing for node
+    this.editableOff = function()
+    {
+        if(this.iframe)
+        {
+            this.teardownEditing();
+            
+            // Remove event listeners
+            this.unbindEvents();
+            this.cancelCommandStateCheck();
+            
+            // Switch off design mode
+            this.iframe.contentWindow.document.designMode = "off";
+            
+            // Straighten out properties
+            this.node.style.width = (this.originalNode.style.width) ?
+                this.iframe.style.width : this.originalNode.style.width;
+            this.node.style.height = (this.originalNode.style.height) ?
+                this.iframe.style.height : this.originalNode.style.height;
+            this.node.style.position = this.iframe.style.position;
+            this.node.style.top  = this.iframe.style.top;
+            this.node.style.left = this.iframe.style.left;
+            
+            // Swap out nodes
+            this.iframe.parentNode.replaceChild(this.node, this.iframe);
+            
+            // Clean up references
+            this.iframe = null;
+            this.node   = null;
+            this.doc    = null;
+        }
+    };
+    
+    // Called when a change is made, make iframe height corrections and recheck command state
+    this.update = function()
+    {
+        this.requestCommandStateCheck();
+        this.iframe.style.height = this.doc.body.offsetHeight + "px";
+    };
+    
+    // Overridden from base class, the iframe's window takes focus rather than the node
+    this.focus = function()
+    {
+        if(this.iframe)
+            this.iframe.contentWindow.focus();
+    };
+    
+    // Overridden from base class, the iframe's document is edited in design mode rather than through the node
+    this.setNodeEditable = function(editable)
+    {
+        this.doc.designMode = editable ? "on" : "off";
+    };
+    
+    // Overridden from base class, the iframe is what shows on the page
+    this.getEditorElement = function()
+    {
+        return this.iframe;
+    };
+    
+    // Overridden from base class, focus() is necessary for reselection in Mozilla
+    this.preExecCommand = function()
+    {
+        this.focus();
+    };
+    
+    // Overridden from base class, call update to catch any changes
+    this.postExecCommand = function()
+    {
+        this.update();
+    };
+};
+EditableGecko.prototype = new EditableBase();
+/**
+* End Class EditableGecko
+**/
+
+
+/**
+* Class EditableWebkit extends EditableBase
+*
+* Class to convert node to a rich text editing area for Webkit browsers
+**/
+var EditableWebkit = function()
+{
+    // Give this instance its own copy of the base class state
+    EditableBase.call(this);
+    
+    // Layout engine name
+    this.engine = "webkit";
+    
+    // Constructor
+    this.EditableWebkit = function(){};
+    
+    // Overridden from base class, turn on edtiting for node
+    this.editableOn = function(node)
+    {
+        if(!this.checkNodeType(node))
+            return false;
+        
+        // Set node reference
+        this.node = node;
+        
+        // Turn on content editable for node
+        this.node.contentEditable = true;
+        
+        // Attach listeners, keyup rather than keypress so the cached selection includes the key typed
+        this.bindEvent(this.node, "keyup", this.update);
+        this.bindEvent(this.node, "mouseup", this.update);
+        
+        // Set Document reference
+        this.doc = document;
+        
+        this.setupEditing(node, this.node);
+    };
+    
+    // Overridden from base class, turn off edting for node
+    this.editableOff = function()
+    {
+        if(!this.node)
+            return false;
+        
+        this.teardownEditing();
+        
+        // Detach listerners
+        this.unbindEvents();
+        this.cancelCommandStateCheck();
+    
+        // Turn off content editable for node
+        this.node.contentEditable = false;
+
+        // Clean up references
+        this.node = null;
+        this.doc = null;
+    };
+    
+    // Called when change is made, re-cache selection as range proably changed and check command state
+    this.update = function()
+    {
+        this.cacheSelection();
+        this.requestCommandStateCheck();
+    };
+    
+    // Overridden from base class, re-highlight selection as it is lost when the user clicks outside of selection
+    this.preExecCommand = function()
+    {
+        this.highlightSelection();
+    };
+    
+    // Overridden from base class, call update to catch any changes
+    this.postExecCommand = function()
+    {
+        this.update();
+    };
+};
+EditableWebkit.prototype = new EditableBase();
+/**
+* End Class EditableWebkit
+**/
+
+
+/**
+* Class EditableIE extends EditableBase
+*
+* Class to convert a node to a rich text editing area in Internet Explorer
+**/
+var EditableIE = function()
+{
+    // Give this instance its own copy of the base class state
+    EditableBase.call(this);
+    
+    // Layout engine name
+    this.engine = "ie";
+    
+    // Constructor
+    this.EditableIE = function(){};
+    
+    // Overridden from base class, turn on editing for node
+    this.editableOn = function(node)
+    {
+        if(!this.checkNodeType(node))
+            return false;
+        
+        // Set node reference
+        this.node = node;
+        
+        // Turn on content eidtable for node
+        this.node.contentEditable = true;
+        
+        // Attach listeners, keyup rather than keypress so the cached selection includes the key typed
+        this.bindEvent(this.node, "keyup", this.update);
+        this.bindEvent(this.node, "mouseup", this.update);
+        
+        // IE puts its own resize handles on images, the editor's own handles take their place
+        this.bindEvent(this.node, "controlselect", cancelEvent);
+        
+        // Set document reference
+        this.doc = document;
+        
+        this.setupEditing(node, this.node);
+    };
+    
+    // Overridden from base class, turn off editing for node
+    this.editableOff = function()
+    {
+        if(!this.node)
+            return false;
+        
+        this.teardownEditing();
+        
+        // Detach listeners
+        this.unbindEvents();
+        this.cancelCommandStateCheck();
+    
+        // Turn off content editable for node
+        this.node.contentEditable = false;
+        
+        // Clean up references
+        this.node = null;
+        this.doc = null;
+    };
+    
+    // Called when change is made, re-cache selection as range proably changed and check command state
+    this.update = function()
+    {
+        this.cacheSelection();
+        this.requestCommandStateCheck();
+    };
+    
+    // Overridden from base class, re-highlight selection as it is lost when the user clicks outside of selection
+    this.preExecCommand = function()
+    {
+        this.highlightSelection();
+    };
+    
+    // Overridden from base class, call update to catch any changes
+    this.postExecCommand = function()
+    {
+        this.update();
+    };
+};
+EditableIE.prototype = new EditableBase();
+/**
+* End Class EditableIE
+**/
+
+/**
+* Class EditableModern extends EditableBase
+*
+* Class to edit a node without document.execCommand, formatting is done on the DOM directly with the W3C
+* Selection and Range APIs so it behaves the same in every browser and runs headless under jsdom
+**/
+var EditableModern = function()
+{
+    // Give this instance its own copy of the base class state
+    EditableBase.call(this);
+    
+    // Layout engine name
+    this.engine = "modern";
+    
+    // Inline formatting commands and the element each wraps text in
+    this.markCommands = {
+        bold          : 'strong',
+        italic        : 'em',
+        underline     : 'u',
+        strikethrough : 's',
+        subscript     : 'sub',
+        superscript   : 'sup'
+    };
+    
+    // Value commands and the style property each sets
+    this.styleCommands = {
+        fontname  : 'font-family',
+        fontsize  : 'font-size',
+        forecolor : 'color',
+        backcolor : 'background-color'
+    };
+    
+    // Alignment commands and the text-align each sets
+    this.justifyCommands = {
+        justifyleft   : 'left',
+        justifycenter : 'center',
+        justifyright  : 'right',
+        justifyfull   : 'justify'
+    };
+    
+    // Constructor
+    this.EditableModern = function(){};
+    
+    // Overridden from base class, turn on editing for node
+    this.editableOn = function(node)
+    {
+        if(!this.checkNodeType(node))
+            return false;
+        
+        // Set node and document references
+        this.node = node;
+        this.doc = node.ownerDocument;
+        
+        // Turn on content editable for node
+        this.node.contentEditable = true;
+        
+        // Attach listeners
+        this.bindEvent(this.node, "keyup", this.update);
+        this.bindEvent(this.node, "mouseup", this.update);
+        
+        this.setupEditing(node, this.node);
+    };
+    
+    // Overridden from base class, turn off editing for node
+    this.editableOff = function()
+    {
+        if(!this.node)
+            return false;
+        
+        this.teardownEditing();
+        
+        // Detach listeners
+        this.unbindEvents();
+        this.cancelCommandStateCheck();
+        
+        // Turn off content editable for node
+        this.node.contentEditable = false;
+        
+        // Clean up references
+        this.node = null;
+        this.doc = null;
+    };
+    
+    // Called when change is made, re-cache selection as range proably changed and check command state
+    this.update = function()
+    {
+        this.cacheSelection();
+        this.requestCommandStateCheck();
+    };
+    
+    // Overridden from base class, put the cached selection back if clicking outside the node lost it
+    this.preExecCommand = function()
+    {
+        if(!this.getSelectionOffsets())
+            this.highlightSelection();
+    };
+    
+    // Overridden from base class, call update to catch any changes
+    this.postExecCommand = function()
+    {
+        this.update();
+    };
+    
+    // Overridden from base class, carry out a command on the DOM
+    this.runCommand = function(command, value)
+    {
+        var selection = this.getBookmark();
+        if(!selection)
+            return false;
+        
+        command = command.toLowerCase();
+        var done = false;
+        
+        if(this.markCommands[command])
+            done = this.toggleMark(this.markCommands[command], selection);
+        else if(this.styleCommands[command])
+        {
+            if(command == 'fontsize')
+                value = CONTENT_FONT_SIZES[parseInt(value, 10) - 1];
+            done = this.applyStyle(this.styleCommands[command], value, selection);
+        }
+        else if(this.justifyCommands[command])
+            done = this.alignBlocks(this.justifyCommands[command], selection);
+        else
+        {
+            switch(command)
+            {
+                case 'createlink':
+                    done = this.applyLink({href: value}, selection);
+                    break;
+                case 'unlink':
+                    done = this.removeLinks(selection);
+                    break;
+                case 'insertorderedlist':
+                    done = this.toggleList('ol', selection);
+                    break;
+                case 'insertunorderedlist':
+                    done = this.toggleList('ul', selection);
+                    break;
+                case 'formatblock':
+                    done = this.setBlockFormat(value.replace(/[<>]/g, ""), selection);
+                    break;
+                case 'indent':
+                    done = this.indentListItems(selection, true);
+                    break;
+                case 'outdent':
+                    done = this.indentListItems(selection, false);
+                    break;
+                case 'removeformat':
+                    done = this.removeFormat(selection);
+                    break;
+                case 'insertimage':
+                    done = this.insertHTML('<img src="' + escapeContent(value, true) + '">');
+                    break;
+                case 'inserthtml':
+                    done = this.insertHTML(value);
+                    break;
+                default:
+                    debug("runCommand() : Unsupported command=" + command);
+                    return false;
+            }
+        }
+        
+        // Offsets into the text don't move when elements are added or removed around it
+        if(done)
+            this.setSelectionOffsets(selection);
+        return done;
+    };
+    
+    // Overridden from base class, whether a command is on at the start of the selection
+    this.queryCommandState = function(command)
+    {
+        var node = this.getSelectionNode();
+        if(!node)
+            return false;
+        
+        command = command.toLowerCase();
+        if(this.markCommands[command])
+        {
+            // On only if every bit of selected text has it
+            var selection = this.getBookmark();
+            var nodes = (selection.start < selection.end) ?
+                this.getTextNodesTouching(selection.start, selection.end) : [node];
+            for(var i = 0; i < nodes.length; i++)
+            {
+                if(!this.findMark(nodes[i], this.markCommands[command]))
+                    return false;
+            }
+            return nodes.length > 0;
+        }
+        
+        if(this.justifyCommands[command])
+            return this.queryCommandValue('justify') == this.justifyCommands[command];
+        
+        if(command == 'insertorderedlist' || command == 'insertunorderedlist')
+        {
+            var item = this.findAncestor(node, function(element) { return contentTagName(element) == 'li'; });
+            return item ? contentTagName(item.parentNode) == (command == 'insertorderedlist' ? 'ol' : 'ul') : false;
+        }
+        
+        return false;
+    };
+    
+    // Overridden from base class, value of a command at the start of the selection
+    this.queryCommandValue = function(command)
+    {
+        var node = this.getSelectionNode();
+        if(!node)
+            return false;
+        
+        command = command.toLowerCase();
+        if(this.styleCommands[command])
+        {
+            var value = this.findStyle(node, this.styleCommands[command]);
+            if(command == 'fontsize')
+            {
+                for(var i = 0; i < CONTENT_FONT_SIZES.length; i++)
+                {
+                    if(CONTENT_FONT_SIZES[i] == value)
+                        return String(i + 1);
+                }
+            }
+            return value;
+        }
+        
+        var block = this.findBlock(node);
+        if(command == 'formatblock')
+            return block ? contentTagName(block) : '';
+        if(command == 'justify')
+            return (block && block.style.textAlign) ? block.style.textAlign : 'left';
+        
+        return false;
+    };
+    
+    // Overridden from base class, whether the selected text differs in a command's formatting
+    this.queryCommandMixed = function(command)
+    {
+        var selection = this.getBookmark();
+        if(!this.node || !selection || selection.start == selection.end)
+            return false;
+        
+        command = command.toLowerCase();
+        var mark = this.markCommands[command];
+        var property = this.styleCommands[command];
+        var nodes = this.getTextNodesTouching(selection.start, selection.end);
+        for(var i = 1; i < nodes.length; i++)
+        {
+            if(mark && !this.findMark(nodes[i], mark) != !this.findMark(nodes[0], mark))
+                return true;
+            if(property && this.findStyle(nodes[i], property) != this.findStyle(nodes[0], property))
+                return true;
+        }
+        return false;
+    };
+    
+    // Node at the start of the selection, or null if the selection is not in the edited node
+    this.getSelectionNode = function()
+    {
+        var selection = this.getBookmark();
+        if(!this.node || !selection)
+            return null;
+        
+        // Text just after the start, unless the selection is collapsed at the end of a text node
+        var nodes = this.getTextNodesTouching(selection.start, selection.start + 1);
+        if(selection.start == selection.end || !nodes.length)
+            return this.findTextPosition(selection.start).node;
+        return nodes[0];
+    };
+    
+    // Value of a style property set on node or the nearest element around it that sets it
+    this.findStyle = function(node, property)
+    {
+        var element = this.findAncestor(node, function(element)
+        {
+            return element.style && parseContentStyle(element.style.cssText)[property];
+        });
+        return element ? parseContentStyle(element.style.cssText)[property] : '';
+    };
+    
+    // Character offsets to format, a collapsed selection formats the word it is in
+    this.formatRange = function(selection)
+    {
+        if(selection.start < selection.end)
+            return selection;
+        return this.findWordAround(selection.start);
+    };
+    
+    // Turn inline formatting tag on for the selection, or off if all of it already has it
+    this.toggleMark = function(tag, selection)
+    {
+        var range = this.formatRange(selection);
+        if(!range)
+            return false;
+        
+        var active = this.getTextNodesTouching(range.start, range.end).length > 0;
+        var nodes = this.splitTextNodes(range.start, range.end);
+        for(var i = 0; i < nodes.length && active; i++)
+            active = this.findMark(nodes[i], tag) !== null;
+        
+        for(var j = 0; j < nodes.length; j++)
+        {
+            var mark = this.findMark(nodes[j], tag);
+            if(active)
+                unwrapNode(isolateNode(nodes[j], mark));
+            else if(!mark)
+                wrapNode(nodes[j], this.doc.createElement(tag));
+        }
+        
+        mergeAdjacentElements(this.node);
+        return nodes.length > 0;
+    };
+    
+    // Set a style property on the selected text
+    this.applyStyle = function(property, value, selection)
+    {
+        var range = this.formatRange(selection);
+        if(!range || !value)
+            return false;
+        
+        var nodes = this.splitTextNodes(range.start, range.end);
+        for(var i = 0; i < nodes.length; i++)
+        {
+            // Reuse a span that only holds this text rather than nesting another
+            var parent = nodes[i].parentNode;
+            var span = (parent != this.node && contentTagName(parent) == 'span' && parent.childNodes.length == 1) ?
+                parent : wrapNode(nodes[i], this.doc.createElement('span'));
+            
+            var style = parseContentStyle(span.style.cssText);
+            style[property] = value;
+            span.style.cssText = formatContentStyle(style);
+        }
+        
+        mergeAdjacentElements(this.node);
+        return nodes.length > 0;
+    };
+    
+    // Remove all inline formatting from the selected text
+    this.removeFormat = function(selection)
+    {
+        var range = this.formatRange(selection);
+        if(!range)
+            return false;
+        
+        var self = this;
+        var nodes = this.splitTextNodes(range.start, range.end);
+        for(var i = 0; i < nodes.length; i++)
+        {
+            var mark;
+            while((mark = this.findAncestor(nodes[i], function(element)
+                {
+                    return element != self.node && !CONTENT_BLOCK_TAGS[contentTagName(element)] &&
+                        contentTagName(element) != 'a';
+                })))
+                unwrapNode(isolateNode(nodes[i], mark));
+        }
+        
+        mergeAdjacentElements(this.node);
+        return nodes.length > 0;
+    };
+    
+    // Block level elements the selection covers, text not in a block is first wrapped in a paragraph
+    this.getSelectedBlocks = function(selection)
+    {
+        var nodes = this.getTextNodesTouching(selection.start, Math.max(selection.end, selection.start + 1));
+        if(selection.start == selection.end || !nodes.length)
+            nodes = [this.findTextPosition(selection.start).node];
+        
+        var blocks = [];
+        for(var i = 0; i < nodes.length; i++)
+        {
+            var block = (nodes[i] == this.node) ? null : this.findBlock(nodes[i]);
+            if(!block)
+                block = this.wrapInlineRun(nodes[i]);
+            
+            var listed = false;
+            for(var j = 0; j < blocks.length; j++)
+                listed = listed || blocks[j] == block;
+            if(!listed)
+                blocks.push(block);
+        }
+        return blocks;
+    };
+    
+    // Wrap the inline content around node that sits straight in the edited node or a container in a paragraph
+    this.wrapInlineRun = function(node)
+    {
+        var paragraph = this.doc.createElement('p');
+        if(node == this.node)
+        {
+            this.node.appendChild(paragraph);
+            return paragraph;
+        }
+        
+        // Climb to the child of the nearest container
+        var container = this.findBlock(node) || this.node;
+        while(node.parentNode != container)
+            node = node.parentNode;
+        
+        var first = node;
+        while(first.previousSibling && !isBlockNode(first.previousSibling))
+            first = first.previousSibling;
+        var last = node;
+        while(last.nextSibling && !isBlockNode(last.nextSibling))
+            last = last.nextSibling;
+        
+        container.insertBefore(paragraph, first);
+        var stop = last.nextSibling;
+        while(paragraph.nextSibling != stop)
+            paragraph.appendChild(paragraph.nextSibling);
+        return paragraph;
+    };
+    
+    // Change the selected blocks to tag, such as h1 or p
+    this.setBlockFormat = function(tag, selection)
+    {
+        var blocks = this.getSelectedBlocks(selection);
+        for(var i = 0; i < blocks.length; i++)
+        {
+            // Items and cells keep their place, their content gets the new block
+            var name = contentTagName(blocks[i]);
+            if(name == 'li' || name == 'td' || name == 'th')
+            {
+                var inner = this.doc.createElement(tag);
+                while(blocks[i].firstChild)
+                    inner.appendChild(blocks[i].firstChild);
+                blocks[i].appendChild(inner);
+            }
+            else
+                renameElement(blocks[i], tag);
+        }
+        return blocks.length > 0;
+    };
+    
+    // Set text-align on the selected blocks
+    this.alignBlocks = function(align, selection)
+    {
+        var blocks = this.getSelectedBlocks(selection);
+        for(var i = 0; i < blocks.length; i++)
+            blocks[i].style.textAlign = (align == 'left') ? '' : align;
+        return blocks.length > 0;
+    };
+    
+    // Turn the selected blocks into a list of type tag, or back into paragraphs if they already are one
+    this.toggleList = function(tag, selection)
+    {
+        var blocks = this.getSelectedBlocks(selection);
+        if(!blocks.length)
+            return false;
+        
+        var inList = true;
+        for(var i = 0; i < blocks.length; i++)
+            inList = inList && contentTagName(blocks[i]) == 'li' && contentTagName(blocks[i].parentNode) == tag;
+        
+        var j;
+        if(inList)
+        {
+            // Each item leaves its list, splitting it if items stay either side
+            for(j = 0; j < blocks.length; j++)
+            {
+                var list = isolateNode(blocks[j], blocks[j].parentNode);
+                var paragraph = renameElement(blocks[j], 'p');
+                list.parentNode.replaceChild(paragraph, list);
+            }
+            return true;
+        }
+        
+        var target = null;
+        for(j = 0; j < blocks.length; j++)
+        {
+            var name = contentTagName(blocks[j]);
+            if(name == 'li')
+            {
+                // Items of the other list type switch the whole list over
+                if(contentTagName(blocks[j].parentNode) != tag)
+                    renameElement(blocks[j].parentNode, tag);
+                continue;
+            }
+            
+            if(!target || target.nextSibling != blocks[j])
+            {
+                target = this.doc.createElement(tag);
+                blocks[j].parentNode.insertBefore(target, blocks[j]);
+            }
+            target.appendChild(renameElement(blocks[j], 'li'));
+        }
+        return true;
+    };
+    
+    // Indent list items into a list under the item before them, or outdent them a level
+    this.indentListItems = function(selection, indent)
+    {
+        var blocks = this.getSelectedBlocks(selection);
+        var moved = false;
+        for(var i = 0; i < blocks.length; i++)
+        {
+            var item = blocks[i];
+            if(contentTagName(item) != 'li')
+                continue;
+            var list = item.parentNode;
+            
+            if(indent)
+            {
+                var previous = item.previousSibling;
+                while(previous && previous.nodeType != ELEMENT_NODE)
+                    previous = previous.previousSibling;
+                if(!previous)
+                    continue;
+                
+                var sublist = previous.lastChild;
+                if(!sublist || sublist.nodeType != ELEMENT_NODE || contentTagName(sublist) != contentTagName(list))
+                    sublist = previous.appendChild(this.doc.createElement(contentTagName(list)));
+                sublist.appendChild(item);
+                moved = true;
+            }
+            else
+            {
+                var parentItem = list.parentNode;
+                list = isolateNode(item, list);
+                if(parentItem != this.node && contentTagName(parentItem) == 'li')
+                {
+                    // Becomes an item after the one it was nested in
+                    parentItem.parentNode.insertBefore(item, parentItem.nextSibling);
+                    if(list.parentNode)
+                        list.parentNode.removeChild(list);
+                }
+                else
+                    list.parentNode.replaceChild(renameElement(item, 'p'), list);
+                moved = true;
+            }
+        }
+        return moved;
+    };
+};
+EditableModern.prototype = new EditableBase();
+/**
+* End Class EditableModern
+**/
+
+
+
+
+/**
+* Draft stores
+*
+* Storage adapters for EditableAutosave. A store has load(key) returning the draft saved under key or null,
+* save(key, draft) and remove(key). Drafts are plain objects that survive being stored as JSON
+**/
+
+// The window's localStorage, or null where there is none or it is blocked, such as in some private modes
+function getLocalStorage()
+{
+    try
+    {
+        return window.localStorage || null;
+    }
+    catch(e)
+    {
+        return null;
+    }
+}
+
+// Keeps drafts in localStorage so they outlive the page, or in the given Storage object such as sessionStorage
+var LocalStorageDraftStore = function(storage)
+{
+    this.storage = storage || getLocalStorage();
+    
+    // Constructor
+    this.LocalStorageDraftStore = function(){};
+    
+    this.load = function(key)
+    {
+        try
+        {
+            var json = this.storage ? this.storage.getItem(key) : null;
+            return json ? JSON.parse(json) : null;
+        }
+        catch(e)
+        {
+            debug("LocalStorageDraftStore.load() : " + e, 1);
+            return null;
+        }
+    };
+    
+    // Returns false if the draft could not be stored, such as when storage is full
+    this.save = function(key, draft)
+    {
+        try
+        {
+            this.storage.setItem(key, JSON.stringify(draft));
+            return true;
+        }
+        catch(e)
+        {
+            debug("LocalStorageDraftStore.save() : " + e, 1);
+            return false;
+        }
+    };
+    
+    this.remove = function(key)
+    {
+        try
+        {
+            if(this.storage)
+                this.storage.removeItem(key);
+        }
+        catch(e)
+        {
+        }
+    };
+};
+
+// Keeps drafts in memory for as long as the page lives, for tests and where nothing should be written to disk
+var MemoryDraftStore = function()
+{
+    // Drafts as JSON by key, so a saved draft can't be changed through the object it was saved from
+    this.drafts = {};
+    
+    // Constructor
+    this.MemoryDraftStore = function(){};
+    
+    this.load = function(key)
+    {
+        return this.drafts.hasOwnProperty(key) ? JSON.parse(this.drafts[key]) : null;
+    };
+    
+    this.save = function(key, draft)
+    {
+        this.drafts[key] = JSON.stringify(draft);
+        return true;
+    };
+    
+    this.remove = function(key)
+    {
+        delete this.drafts[key];
+    };
+};
+/**
+* End Draft stores
+**/
+
+/**
+* Class EditableAutosave
+*
+* Saves a draft of an editor's content and selection as it is edited, so edits survive the page being closed or
+* crashing. When editing starts with a draft newer than the content being edited, it offers to restore it
+**/
+var EditableAutosave = function(editor, options)
+{
+    options = options || {};
+    
+    // Editor whose content is saved
+    this.editor = editor;
+    
+    // Where drafts are kept, see Draft stores. localStorage where the browser has it
+    this.storage = options.storage || (getLocalStorage() ? new LocalStorageDraftStore() : new MemoryDraftStore());
+    
+    // Key the draft is stored under, by default made from the page and the edited node's id, or where the node is on
+    // the page if it has none
+    this.key = options.key || null;
+    
+    // Key worked out when editing started, kept so drafts saved or discarded once the node is no longer being
+    // edited still go under it
+    this.nodeKey = null;
+    
+    // Content that needs no draft, what was being edited when editing started or when the draft was last discarded
+    this.originalContent = null;
+    
+    // Fewest milliseconds between saves, and the pending save
+    this.interval = options.interval || 1000;
+    this.saveTimer = null;
+    this.lastSaveTime = 0;
+    
+    // When the content being edited was last saved elsewhere, in milliseconds since 1970. Drafts older than that
+    // are not offered. Without it, only drafts made from the same content as is being edited are offered
+    this.originalTime = options.originalTime || 0;
+    
+    // Called as a method of the editor with a draft worth restoring and a function restoring it, in place of
+    // asking with window.confirm()
+    this.onDraft = options.onDraft || null;
+    
+    // Constructor
+    this.EditableAutosave = function(){};
+    
+    // Start saving as the editor is edited, offering a draft straight away if it is already being edited
+    this.attach = function()
+    {
+        var self = this;
+        this.handlers = {
+            input   : function() { self.scheduleSave(); },
+            enable  : function() { self.start(); },
+            disable : function() { self.save(); }
+        };
+        for(var type in this.handlers)
+            this.editor.on(type, this.handlers[type]);
+        
+        // Closing the page can't wait for the next save
+        this.unloadListener = function() { self.save(); };
+        if(window.addEventListener)
+            window.addEventListener('beforeunload', this.unloadListener, false);
+        else if(window.attachEvent)
+            window.attachEvent('onbeforeunload', this.unloadListener);
+        
+        if(this.editor.node)
+            this.start();
+    };
+    
+    // Take the key and original content of the node just made editable, and offer any draft saved for it
+    this.start = function()
+    {
+        this.nodeKey = this.findKey();
+        this.originalContent = this.editor.originalContent;
+        this.checkDraft();
+    };
+    
+    // Stop saving, any draft already saved is kept
+    this.detach = function()
+    {
+        this.cancelSave();
+        for(var type in this.handlers)
+            this.editor.off(type, this.handlers[type]);
+        this.handlers = {};
+        
+        if(window.removeEventListener)
+            window.removeEventListener('beforeunload', this.unloadListener, false);
+        else if(window.detachEvent)
+            window.detachEvent('onbeforeunload', this.unloadListener);
+    };
+    
+    // Key the draft is stored under
+    this.getKey = function()
+    {
+        return this.key || this.nodeKey || this.findKey();
+    };
+    
+    // Work out a key from the page and the node being edited
+    this.findKey = function()
+    {
+        var node = this.editor.node;
+        var page = window.location ? window.location.pathname : "";
+        if(node && node.id)
+            return "editable-draft:" + page + "#" + node.id;
+        
+        // Editors on one page without ids are told apart by where they are among elements of their kind
+        var element = node ? this.editor.getEditorElement() : null;
+        if(element)
+        {
+            var name = element.nodeName.toLowerCase();
+            var elements = element.ownerDocument.getElementsByTagName(name);
+            for(var i = 0; i < elements.length; i++)
+            {
+                if(elements[i] == element)
+                    return "editable-draft:" + page + ":" + name + "[" + i + "]";
+            }
+        }
+        return "editable-draft:" + page;
+    };
+    
+    // Save once interval has passed since the last save, content changing again until then is saved with it
+    this.scheduleSave = function()
+    {
+        if(this.saveTimer)
+            return;
+        
+        var self = this;
+        var wait = Math.max(0, this.lastSaveTime + this.interval - new Date().getTime());
+        this.saveTimer = window.setTimeout(function()
+        {
+            self.saveTimer = null;
+            self.save();
+        }, wait);
+    };
+    
+    this.cancelSave = function()
+    {
+        if(this.saveTimer)
+            window.clearTimeout(this.saveTimer);
+        this.saveTimer = null;
+    };
+    
+    // Save the editor's content and selection now. Content the same as when editing started needs no draft, so
+    // any draft is removed instead
+    this.save = function()
+    {
+        this.cancelSave();
+        if(!this.editor.node)
+            return false;
+        
+        this.lastSaveTime = new Date().getTime();
+        var content = this.editor.getContent();
+        if(content == this.originalContent)
+        {
+            this.storage.remove(this.getKey());
+            return true;
+        }
+        
+        return this.storage.save(this.getKey(), {
+            content  : content,
+            bookmark : this.editor.getBookmark(),
+            time     : this.lastSaveTime,
+            original : this.originalContent
+        });
+    };
+    
+    // The saved draft, {content, bookmark, time, original}, or null if there is none
+    this.getDraft = function()
+    {
+        var draft = this.storage.load(this.getKey());
+        return (draft && typeof draft.content == "string") ? draft : null;
+    };
+    
+    // Offer to restore a saved draft that differs from the content being edited and is newer than originalTime,
+    // or without originalTime was made from the content being edited. A draft turned down is discarded. Returns
+    // whether one was offered
+    this.checkDraft = function()
+    {
+        var draft = this.getDraft();
+        if(!draft || draft.content == this.originalContent)
+            return false;
+        if(this.originalTime ? (draft.time || 0) <= this.originalTime : draft.original != this.originalContent)
+            return false;
+        
+        var self = this;
+        var restore = function()
+        {
+            return self.restoreDraft(draft);
+        };
+        
+        if(this.onDraft)
+            this.onDraft.call(this.editor, draft, restore);
+        else if(window.confirm("Restore the unsaved changes from " + new Date(draft.time).toLocaleString() + "?"))
+            restore();
+        else
+            this.discardDraft();
+        return true;
+    };
+    
+    // Put a draft's content and selection into the editor, the saved draft if none is given. Can be undone
+    this.restoreDraft = function(draft)
+    {
+        draft = draft || this.getDraft();
+        if(!draft || !this.editor.node)
+            return false;
+        
+        this.editor.setContent(draft.content);
+        if(draft.bookmark)
+            this.editor.restoreBookmark(draft.bookmark);
+        return true;
+    };
+    
+    // Remove the saved draft, such as once the content has been saved for real. The content as it is now needs no
+    // draft from then on, so the save as editing stops doesn't bring it back
+    this.discardDraft = function()
+    {
+        this.cancelSave();
+        if(this.editor.node)
+            this.originalContent = this.editor.getContent();
+        this.storage.remove(this.getKey());
+        return true;
+    };
+    
+    this.attach();
+};
+/**
+* End Class EditableAutosave
+**/
+
+
+
+/**
+* Class EditableCollaboration
+*
+* Lets several people edit the same content at once. Local edits are sent as operations over the editor's
+* tokens, see Operations, and remote operations are applied without moving the local selection. Where the other
+* editors' selections are is drawn over the content.
+*
+* Operations go through a transport, which connects to whatever orders them, such as a server:
+*   connect(client)                : start, then call client.receiveDocument(tokens, revision) with the tokens
+*                                    and the number of operations they are made from
+*   sendOperation(revision, op)    : op was made on top of the first revision operations, acknowledge it with
+*                                    client.receiveAck() once it has been ordered after whatever else was
+*   sendSelection(selection)       : tell the others where this editor's selection is, as passed to
+*                                    client.receiveSelection(site, selection) with an id for this editor
+*   disconnect()                   : stop
+* Operations from the others are passed to client.receiveOperation(op) in the order they were ordered in, once
+* transformed against any that came first. EditableLoopbackHub does this between editors on one page.
+* Undo works on snapshots, so undoing can also take back remote edits made since
+**/
+var EditableCollaboration = function(editor, options)
+{
+    options = options || {};
+    
+    // Editor being edited together, and the transport operations go through
+    this.editor = editor;
+    this.transport = options.transport;
+    
+    // Shown next to this editor's caret in the other editors
+    this.name = options.name || "";
+    this.color = options.color || "#36c";
+    
+    // Tokens as of the last operation, null until the transport sends the document, and how many operations
+    // they are made from
+    this.tokens = null;
+    this.revision = 0;
+    
+    // Local operation sent and not yet acknowledged, and local operations made since waiting to be sent
+    this.outstanding = null;
+    this.buffer = null;
+    
+    // The other editors' selections by site, {name, color, start, end} with start and end token indexes
+    this.remoteSelections = {};
+    
+    // Element the other editors' selections are drawn in
+    this.overlay = null;
+    
+    // Constructor
+    this.EditableCollaboration = function(){};
+    
+    // Start sending and receiving operations
+    this.attach = function()
+    {
+        var self = this;
+        this.handlers = {
+            input           : function() { self.captureLocalChanges(); },
+            selectionchange : function() { self.sendSelection(); },
+            enable          : function() { self.renderTokens(); },
+            disable         : function() { self.hideSelections(); }
+        };
+        for(var type in this.handlers)
+            this.editor.on(type, this.handlers[type]);
+        
+        this.transport.connect(this);
+    };
+    
+    // Stop, the content stays as it is
+    this.detach = function()
+    {
+        this.captureLocalChanges();
+        for(var type in this.handlers)
+            this.editor.off(type, this.handlers[type]);
+        this.handlers = {};
+        
+        this.transport.disconnect();
+        this.remoteSelections = {};
+        this.hideSelections();
+    };
+    
+    // Tokens of the content being edited
+    this.getContentTokens = function()
+    {
+        return contentOperationTokens(parseContent(this.editor.getContent(), this.editor.doc));
+    };
+    
+    // Start from tokens made from the first revision operations, as sent by the transport. Whatever was being
+    // edited is replaced
+    this.receiveDocument = function(tokens, revision)
+    {
+        this.tokens = tokens;
+        this.revision = revision;
+        this.outstanding = null;
+        this.buffer = null;
+        this.renderTokens();
+        this.sendSelection();
+    };
+    
+    // Show the tokens in the editor, keeping the selection where it was in the text
+    this.renderTokens = function()
+    {
+        var editor = this.editor;
+        if(!editor.node || !this.tokens)
+            return;
+        
+        var selection = editor.getSelectionOffsets();
+        editor.node.innerHTML = renderOperationTokens(this.tokens);
+        editor.postExecCommand();
+        if(selection)
+            editor.setSelectionOffsets(selection);
+        editor.contentChanged();
+        this.drawSelections();
+    };
+    
+    // Turn edits made since the last check into an operation and send it
+    this.captureLocalChanges = function()
+    {
+        if(!this.tokens || !this.editor.node)
+            return;
+        
+        var tokens = this.getContentTokens();
+        var operation = diffOperationTokens(this.tokens, tokens);
+        if(!operation)
+            return;
+        
+        this.tokens = tokens;
+        for(var site in this.remoteSelections)
+            this.transformSelection(this.remoteSelections[site], operation);
+        
+        if(this.buffer)
+            this.buffer = composeOperations(this.buffer, operation);
+        else if(this.outstanding)
+            this.buffer = operation;
+        else
+        {
+            this.outstanding = operation;
+            this.transport.sendOperation(this.revision, operation);
+        }
+        this.drawSelections();
+    };
+    
+    // The last operation sent has been ordered, send what was made since
+    this.receiveAck = function()
+    {
+        this.revision++;
+        this.outstanding = this.buffer;
+        this.buffer = null;
+        if(this.outstanding)
+            this.transport.sendOperation(this.revision, this.outstanding);
+    };
+    
+    // Apply an operation from another editor, made on top of everything up to the current revision that isn't
+    // from this editor
+    this.receiveOperation = function(operation)
+    {
+        // Edits not yet captured would otherwise be lost when the content is replaced
+        this.captureLocalChanges();
+        
+        this.revision++;
+        var pair;
+        if(this.outstanding)
+        {
+            pair = transformOperations(this.outstanding, operation);
+            this.outstanding = pair[0];
+            operation = pair[1];
+        }
+        if(this.buffer)
+        {
+            pair = transformOperations(this.buffer, operation);
+            this.buffer = pair[0];
+            operation = pair[1];
+        }
+        this.applyRemote(operation);
+    };
+    
+    // Change the content by a remote operation, moving the local selection along with the text it is in
+    this.applyRemote = function(operation)
+    {
+        var editor = this.editor;
+        var before = this.tokens;
+        this.tokens = applyOperation(before, operation);
+        for(var site in this.remoteSelections)
+            this.transformSelection(this.remoteSelections[site], operation);
+        if(!editor.node)
+            return;
+        
+        var self = this;
+        var transformOffsets = function(offsets)
+        {
+            if(!offsets)
+                return null;
+            var selection = {
+                start : operationTokenIndex(before, offsets.start),
+                end   : operationTokenIndex(before, offsets.end)
+            };
+            self.transformSelection(selection, operation);
+            return {start: operationTokenOffset(self.tokens, selection.start),
+                end: operationTokenOffset(self.tokens, selection.end)};
+        };
+        var selection = transformOffsets(editor.getSelectionOffsets());
+        var cached = transformOffsets(editor.cachedBookmark);
+        
+        // Only a selection that was in the editor is put back, so an editor without focus doesn't take it
+        editor.node.innerHTML = renderOperationTokens(this.tokens);
+        editor.postExecCommand();
+        if(selection)
+            editor.setSelectionOffsets(selection);
+        editor.cachedBookmark = cached;
+        
+        editor.contentChanged();
+        editor.checkCommandState();
+        this.drawSelections();
+    };
+    
+    // Move a selection of token indexes to where operation puts the tokens around it
+    this.transformSelection = function(selection, operation)
+    {
+        selection.start = transformOperationIndex(selection.start, operation);
+        selection.end = Math.max(selection.start, transformOperationIndex(selection.end, operation));
+    };
+    
+    // Tell the others where the local selection is, null when it isn't in the editor
+    this.sendSelection = function()
+    {
+        if(!this.tokens)
+            return;
+        
+        var offsets = this.editor.node ? this.editor.getSelectionOffsets() : null;
+        this.transport.sendSelection(offsets ? {
+            name  : this.name,
+            color : this.color,
+            start : operationTokenIndex(this.tokens, offsets.start),
+            end   : operationTokenIndex(this.tokens, offsets.end)
+        } : null);
+    };
+    
+    // Another editor's selection moved, null when it left
+    this.receiveSelection = function(site, selection)
+    {
+        if(selection)
+            this.remoteSelections[site] = selection;
+        else
+            delete this.remoteSelections[site];
+        this.drawSelections();
+    };
+    
+    // Draw the other editors' carets, names and selections over the content. They go in the document outside
+    // the edited node where there is one, as image resize handles do
+    this.drawSelections = function()
+    {
+        var editor = this.editor;
+        var doc = editor.doc;
+        this.hideSelections();
+        if(!editor.node || !doc || !doc.body || !doc.createRange)
+            return;
+        
+        addStyleSheet(doc, "editable-collaboration-style",
+            ".editable-remote-selections { position: absolute; left: 0; top: 0; pointer-events: none; }\n" +
+            ".editable-remote-caret { position: absolute; width: 2px; }\n" +
+            ".editable-remote-name { position: absolute; padding: 0 3px; font: 11px sans-serif; color: #fff; " +
+                "white-space: nowrap; }\n" +
+            ".editable-remote-selection { position: absolute; opacity: 0.25; }");
+        
+        var overlay = doc.createElement('div');
+        overlay.className = "editable-remote-selections";
+        overlay.setAttribute(EDITOR_UI_ATTRIBUTE, "selections");
+        overlay.setAttribute('contenteditable', "false");
+        
+        var win = editor.getWindow();
+        var root = doc.documentElement;
+        var scrollX = win.pageXOffset || root.scrollLeft || 0;
+        var scrollY = win.pageYOffset || root.scrollTop || 0;
+        var addBox = function(className, rect, color, width)
+        {
+            var box = overlay.appendChild(doc.createElement('div'));
+            box.className = className;
+            box.style.left = (rect.left + scrollX) + "px";
+            box.style.top = (rect.top + scrollY) + "px";
+            box.style.width = (width || rect.right - rect.left) + "px";
+            box.style.height = (rect.bottom - rect.top) + "px";
+            box.style.backgroundColor = color;
+            return box;
+        };
+        
+        for(var site in this.remoteSelections)
+        {
+            var selection = this.remoteSelections[site];
+            var start = editor.findTextPosition(operationTokenOffset(this.tokens, selection.start));
+            var end = editor.findTextPosition(operationTokenOffset(this.tokens, selection.end));
+            var range = doc.createRange();
+            range.setStart(start.node, start.offset);
+            range.setEnd(end.node, end.offset);
+            if(!range.getClientRects)
+                continue;
+            
+            var rects = range.getClientRects();
+            for(var i = 0; i < rects.length && !range.collapsed; i++)
+                addBox("editable-remote-selection", rects[i], selection.color);
+            
+            // A collapsed range has no box of its own in some engines, the start of the line it is on does
+            range.collapse(false);
+            var caret = range.getClientRects()[0] || range.startContainer.parentNode.getBoundingClientRect();
+            addBox("editable-remote-caret", caret, selection.color, 2);
+            if(selection.name)
+            {
+                var label = addBox("editable-remote-name", caret, selection.color, 0);
+                label.style.width = "";
+                label.style.height = "";
+                label.style.top = (caret.top + scrollY - 14) + "px";
+                label.appendChild(doc.createTextNode(selection.name));
+            }
+        }
+        
+        doc.body.appendChild(overlay);
+        this.overlay = overlay;
+    };
+    
+    // Remove the other editors' selections
+    this.hideSelections = function()
+    {
+        if(this.overlay && this.overlay.parentNode)
+            this.overlay.parentNode.removeChild(this.overlay);
+        this.overlay = null;
+    };
+    
+    this.attach();
+};
+/**
+* End Class EditableCollaboration
+**/
+
+/**
+* Class EditableLoopbackHub
+*
+* Orders operations between editors on the same page the way a collaboration server would, for trying out and
+* testing collaborative editing. Each editor gets its own transport from createTransport(), and messages take
+* delay milliseconds to arrive so edits really do cross
+**/
+var EditableLoopbackHub = function(html, delay)
+{
+    // Tokens of the shared content and every operation ordered so far
+    this.tokens = contentOperationTokens(parseCanonicalContent(html || ""));
+    this.operations = [];
+    
+    // Connected transports by site id, and the next site id
+    this.sites = {};
+    this.nextSite = 1;
+    
+    // Milliseconds messages take to arrive, and messages on their way in the order they were sent
+    this.delay = delay || 0;
+    this.queue = [];
+    this.queueTimer = null;
+    
     // Constructor
-    this.EditableBase = function(){};
+    this.EditableLoopbackHub = function(){};
     
-    // Overridden in sub class to define browser specific functionality for turning on editing of node
-    this.editableOn = function(node)
+    // Transport for one editor, see EditableCollaboration
+    this.createTransport = function()
     {
-        if(!this.checkNodeType(node))
-            return false;
-        debug("editableOn() : Node was not made editable, no browser specific method overridden");
-        return false;
+        return new EditableLoopbackTransport(this);
     };
     
-    // Overridden in sub class to define browser specific functionality for turning off editing of node
-    this.editableOff = function()
+    // Call fn once delay has passed and every message sent before it has arrived. Messages are copied, so nothing
+    // is shared between editors that a real transport could not send
+    this.send = function(fn, message)
     {
-        debug("editableOff() : Node was not made uneditable, no browser specific method overridden");
-        return false;
+        var copy = JSON.parse(JSON.stringify(message));
+        this.queue.push(function() { fn(copy); });
+        if(this.queueTimer)
+            return;
+        
+        var self = this;
+        this.queueTimer = window.setTimeout(function()
+        {
+            self.deliver();
+        }, this.delay);
     };
     
-    // Check that it is the correct node type for editing
-    this.checkNodeType = function(node)
+    // Deliver the messages waiting, those sent while delivering wait their turn
+    this.deliver = function()
     {
-        // Make sure it is a element node
-        if(node && node.nodeType && ELEMENT_NODE == node.nodeType)
-            return true;
-        debug("checkNodeType() : Incorrect element type");
-        return false;
+        var messages = this.queue;
+        this.queue = [];
+        this.queueTimer = null;
+        for(var i = 0; i < messages.length; i++)
+            messages[i]();
+        
+        if(this.queue.length && !this.queueTimer)
+        {
+            var self = this;
+            this.queueTimer = window.setTimeout(function()
+            {
+                self.deliver();
+            }, this.delay);
+        }
     };
     
-    // Exec a command
-    this.execCommand = function(command)
+    this.connect = function(transport)
     {
-        if(!this.doc)
-            return false;
-            
-        // Call any function pre-exec functionality, such as re-selecting a range
-        this.preExecCommand();
-        
-        // Exec a command using defined document object
-        var ret = this.doc.execCommand(command, false, false);
-        
-        // Call any function pre-exec functionality, such as updating a selection range
-        this.postExecCommand();
-        
-        // Check if command state has changed
-        this.checkCommandState();
-        
-        return ret;
+        transport.site = this.nextSite++;
+        this.sites[transport.site] = transport;
+        this.send(function(message)
+        {
+            transport.client.receiveDocument(message.tokens, message.revision);
+        }, {tokens: this.tokens, revision: this.operations.length});
     };
     
-    // Overridden define any browser specific pre-exec command functionality, such as re-selecting range
-    this.preExecCommand = function(){};
+    this.disconnect = function(transport)
+    {
+        delete this.sites[transport.site];
+        this.receiveSelection(transport, null);
+    };
     
-    // Overridden to define any browser specific post-exec command functionality, such as updating a selection range
-    this.postExecCommand = function(){};
-        
-    // Set callback function for command state change callback
-    this.setStateChangeCallBack = function(callBack)
+    // Order an operation made on top of the first revision operations after every operation ordered since
+    this.receiveOperation = function(transport, revision, operation)
     {
-        this.stateChangeCallback = callBack;
+        if(!this.sites[transport.site])
+            return;
+        
+        for(var i = revision; i < this.operations.length; i++)
+            operation = transformOperations(operation, this.operations[i])[0];
+        this.tokens = applyOperation(this.tokens, operation);
+        this.operations.push(operation);
+        
+        for(var site in this.sites)
+            this.send(this.deliverOperation(this.sites[site], this.sites[site] == transport), operation);
     };
     
-    // Get the current command state array of selection or cursor using the defined associative array
-    this.getCommandState = function()
+    // Function passing an operation to transport's editor, as an acknowledgement if it came from there
+    this.deliverOperation = function(transport, own)
     {
-        if(!this.doc || !this.node)
-            return false;
-                    
-        var commandArray = [];
-            
-        for(var i in this.commands)
+        return function(operation)
         {
-            var command = this.commands[i][0];
-            var type    = this.commands[i][1];
-                
-            // Get value or state depending on command
-            if(type == 'state')
-                commandArray[command] = this.doc.queryCommandState(command);
-            else if(type == 'value')
-                commandArray[command] = this.doc.queryCommandValue(command);
+            if(!transport.client)
+                return;
+            if(own)
+                transport.client.receiveAck();
             else
-                commandArray[command] = false;
-                
-            // Convert color to a nice Hex Representation, IE gives a number, Mozilla gives rgb(etc...  
-            if(command && command.search(/color/) >= 0 && commandArray[command])
-                commandArray[command] = convertColor(commandArray[command]);
+                transport.client.receiveOperation(operation);
+        };
+    };
     
-            debug('getCommandState() command=' + command + " state/value=" + commandArray[command], 'info');
+    this.receiveSelection = function(transport, selection)
+    {
+        for(var site in this.sites)
+        {
+            if(this.sites[site] != transport)
+                this.send(this.deliverSelection(this.sites[site], transport.site), {selection: selection});
         }
-        return commandArray;
     };
     
-    // Fetch current command state compare against cached one, if diffrent send signal and cache new one
-    this.checkCommandState = function()
+    // Function passing a selection from site to transport's editor
+    this.deliverSelection = function(transport, site)
     {
-        debug('checkCommandState()');
+        return function(message)
+        {
+            if(transport.client)
+                transport.client.receiveSelection(site, message.selection);
+        };
+    };
+};
 
-        var commandArray = this.getCommandState();
-        var makeCallback = false;
+// Transport connecting one editor to an EditableLoopbackHub
+var EditableLoopbackTransport = function(hub)
+{
+    this.hub = hub;
+    this.client = null;
+    this.site = null;
     
-        // If you have an array of previous command states cached check against it
-        if(this.cachedCommandArray)
+    // Constructor
+    this.EditableLoopbackTransport = function(){};
+    
+    this.connect = function(client)
+    {
+        this.client = client;
+        this.hub.connect(this);
+    };
+    
+    this.sendOperation = function(revision, operation)
+    {
+        var self = this;
+        this.hub.send(function(message)
         {
-            for(var i in this.cachedCommandArray)
-            {
-                if(this.cachedCommandArray[i] != this.commandArray[i])
-                {
-                    debug('checkCommandState() - Command Change');
-                    makeCallback = true;
-                }
-            }
-        }
-        else
-            makeCallback = true;
+            self.hub.receiveOperation(self, message.revision, message.operation);
+        }, {revision: revision, operation: operation});
+    };
     
-        // Signal if there is a change
-        if(makeCallback && this.stateChangeCallback)
+    this.sendSelection = function(selection)
+    {
+        var self = this;
+        this.hub.send(function(message)
         {
-            this.cachedCommandArray = commandArray;
-            this.stateChangeCallback(this.cachedCommandArray);
-        }
-        
-        return true;
+            self.hub.receiveSelection(self, message.selection);
+        }, {selection: selection});
+    };
+    
+    this.disconnect = function()
+    {
+        this.hub.disconnect(this);
+        this.client = null;
     };
 };
 /**
-* End Class EditableBase
+* End Class EditableLoopbackHub
 **/
 
 
+
 /**
-* Class EditableGecko extends EditableBase
+* Class EditableToolbar
 *
-* Class to convert node to a rich text editing area for Gecko Layout engine based browsers, 
-* such as FireFox, Camino, and Mozilla
+* Toolbar built from a list of items, running commands on an editor and showing their state as the selection
+* moves. Items are objects of:
+*   type    : 'button' (the default), 'select', 'color' or 'separator'
+*   command : command passed to execCommand(), and whose state the item shows
+*   value   : value passed with a button's command
+*   action  : function called as a method of the editor with the value in place of execCommand(), for actions
+*             such as links and tables that are not commands
+*   state   : command state to show when it isn't the item's command, such as 'link'
+*   toggle  : true for a button showing whether its command is on
+*   enabled : function given the command state, returning whether the item can be used. Items can always be used
+*             while the editor is editable otherwise
+*   label   : text shown on buttons and read out for every item, and title the tooltip if it should differ
+*   options : for selects, the choices as [{value, label}]
+*   colors  : for color pickers, the colors to choose from
+* Clicking never takes the selection out of the editor. The toolbar can be used from the keyboard, with the arrow
+* keys moving between items and Escape closing a color picker
 **/
-var EditableGecko = function()
+
+// Items of a toolbar with the common commands
+var DEFAULT_TOOLBAR = [
+    {command: 'bold', label: "Bold", toggle: true},
+    {command: 'italic', label: "Italic", toggle: true},
+    {command: 'underline', label: "Underline", toggle: true},
+    {type: 'separator'},
+    {type: 'select', command: 'fontname', label: "Font", options: [
+        {value: "Arial, sans-serif", label: "Arial"},
+        {value: "Georgia, serif", label: "Georgia"},
+        {value: "'Courier New', monospace", label: "Courier New"},
+        {value: "Verdana, sans-serif", label: "Verdana"}
+    ]},
+    {type: 'select', command: 'fontsize', label: "Size", options: [
+        {value: "1", label: "Tiny"}, {value: "2", label: "Small"}, {value: "3", label: "Normal"},
+        {value: "4", label: "Large"}, {value: "5", label: "Larger"}, {value: "6", label: "Huge"},
+        {value: "7", label: "Largest"}
+    ]},
+    {type: 'color', command: 'forecolor', label: "Text color", colors: [
+        "#000000", "#666666", "#cc0000", "#e69138", "#f1c232", "#6aa84f", "#3d85c6", "#674ea7"
+    ]},
+    {type: 'separator'},
+    {label: "Link", state: 'link', toggle: true, action: function() { this.promptLink(); }},
+    {label: "Unlink", state: 'link', action: function() { this.unlink(); },
+        enabled: function(state) { return state.link ? true : false; }},
+    {label: "Image", action: function()
+    {
+        var url = window.prompt("Image URL", "http://");
+        if(url)
+            this.insertImage(url);
+    }},
+    {label: "Table", action: function() { this.insertTable(2, 3); }},
+    {type: 'separator'},
+    {label: "Undo", action: function() { this.undo(); }},
+    {label: "Redo", action: function() { this.redo(); }}
+];
+
+var EditableToolbar = function(editor, container, items)
 {
-    // designMode iframe editor reference
-    this.iframe = null;
+    // Editor commands run on, and the element the toolbar is built in
+    this.editor = editor;
+    this.container = container;
+    this.doc = container.ownerDocument;
+    
+    // Items as given, see above, and {item, element, swatch, menu} for each built
+    this.items = items || DEFAULT_TOOLBAR;
+    this.controls = [];
+    
+    // Color picker showing its colors, if one is
+    this.openPicker = null;
+    
+    // DOM event listeners added, kept so destroy() can take them off again
+    this.listeners = [];
     
     // Constructor
-    this.EditableGecko = function(){};
+    this.EditableToolbar = function(){};
     
-    // Snapshot of original node before editing, in case we need to look something up
-    this.originalNode = null;
+    // Listen for a DOM event on target, with handler called as a method of this object
+    this.listen = function(target, type, handler)
+    {
+        var self = this;
+        var listener = function(e)
+        {
+            return handler.call(self, e || window.event);
+        };
+        if(target.addEventListener)
+            target.addEventListener(type, listener, false);
+        else if(target.attachEvent)
+            target.attachEvent("on" + type, listener);
+        this.listeners.push({target: target, type: type, listener: listener});
+    };
     
-    // Overridden from base class, turn on editing for node
-    this.editableOn = function(node)
+    // Build the toolbar and start following the editor
+    this.build = function()
     {
-        if(!this.checkNodeType(node))
-            return false;
-        
-        // Build Iframe
-        this.iframe = document.createElement("iframe");
+        addStyleSheet(this.doc, "editable-toolbar-style",
+            ".editable-toolbar-separator { display: inline-block; width: 1px; height: 1.2em; margin: 0 4px; " +
+                "background: #ccc; vertical-align: middle; }\n" +
+            ".editable-toolbar-active { background: #cde; }\n" +
+            ".editable-toolbar-mixed { background: #e8eef4; }\n" +
+            ".editable-toolbar-disabled { opacity: 0.4; }\n" +
+            ".editable-toolbar-color { position: relative; display: inline-block; }\n" +
+            ".editable-toolbar-swatch { display: inline-block; width: 1em; height: 0.3em; margin-left: 3px; " +
+                "vertical-align: middle; border: 1px solid #999; }\n" +
+            ".editable-toolbar-colors { position: absolute; left: 0; top: 100%; z-index: 1000; width: 8em; " +
+                "padding: 2px; background: #fff; border: 1px solid #999; }\n" +
+            ".editable-toolbar-colors button { width: 1.5em; height: 1.5em; margin: 1px; border: 1px solid #999; }");
         
-        // Line up some properties      
-        this.iframe.style.width = (node.style.width) ? node.style.width : "100%";
-        this.iframe.style.height = (node.style.height) ? node.style.height : node.offsetHeight + "px";
-        this.iframe.style.top = (node.style.top) ? node.style.top : this.iframe.style.top;
-        this.iframe.style.left = (node.style.left) ? node.style.left : this.iframe.style.left;
-        if(node.style.position)
+        this.container.setAttribute('role', "toolbar");
+        addClass(this.container, "editable-toolbar");
+        for(var i = 0; i < this.items.length; i++)
         {
-            this.iframe.style.position = node.style.position;
-            // Setting a position to static automatically ignores top and left attributes, so we don't change them
-            node.style.position = "static";
+            var control = this.buildItem(this.items[i]);
+            if(control)
+                this.controls.push(control);
         }
-        this.iframe.style.border        = "none";
-        this.iframe.style.lineHeight    = "0"; // squash line height
-        this.iframe.style.verticalAlign = "bottom";
-        this.iframe.scrolling           = "no";
-                
-        // Switch node with iframe
-        clone = node.cloneNode(true);
-        this.originalNode = node.cloneNode(true);
-        node.parentNode.replaceChild(this.iframe, node);
-    
-        // Add stub document to iframe write it in manually for speed, a server GET request for a stub would take long
-        this.iframe.contentWindow.document.open('text/html; charset="UTF-8"');
-        // Copy over styles defined in docuemnt
-        var styleText = "";
-        if(document.getElementsByTagName('style'))
-            styleText = "\n\n" + document.getElementsByTagName('style')[0].innerHTML + "\n\n";
-        html =  "<html>" +
-                "<head>" +
-                "<style type='text/css'>\n" +
-                "body,html {\n" +
-                "   background:transparent;\n" +
-                "   padding:0;\n" +
-                "   margin:0;\n" +
-                "}\n" +
-                "body {\n" +
-                "   top:0;\n" +
-                "   left:0;\n" +
-                "   right:0;\n" +
-                "   position:fixed;\n" +
-                "}\n" +
-                "body,div,dl,dt,dd,ul,ol,li,h1,h2,h3,h4,h5,h6,pre,form,fieldset,input,textarea,p,blockquote,th,td {\n" +
-                "   margin:0;\n" +
-                "   padding:0;\n" +
-                "}\n" +
-                "table {\n" +
-                "   border-collapse:collapse;\n" +
-                "   border-spacing:0;\n" +
-                "}\n" +
-                "fieldset,img {\n" +
-                "   border:0;\n" +
-                "}\n" +
-                "address,caption,cite,code,dfn,em,strong,th,var {\n" +
-                "   font-style:normal;\n" +
-                "   font-weight:normal;\n" +
-                "}\n" +
-                "ol,ul {\n" +
-                "   list-style:none;\n" +
-                "}\n" +
-                "caption,th {\n" +
-                "   text-align:left;\n" +
-                "}\n" +
-                "h1,h2,h3,h4,h5,h6 {\n" +
-                "   font-size:100%;\n" +
-                "   font-weight:normal;\n" +
-                "}\n" +
-                "q:before,q:after {\n" +
-                "   content:'';\n" +
-                "}\n" +
-                "abbr,acronym {\n" +
-                "   border:0;\n" +
-                "}\n" +
-                // Write in style text
-                styleText +
-                "</style>" +
-                "</head>" +
-                // <div> is important, otherwise a <br/> is inserted then removed when typed in causing a jerky movement
-                "<body><div></div></body>" +
-                "</html>";
-        this.iframe.contentWindow.document.write(html);
-        this.iframe.contentWindow.document.close();
         
-        // Append cloned node to new document in iframe
-        this.node = this.iframe.contentWindow.document.body.appendChild(clone);
+        this.listen(this.container, 'mousedown', this.handleMouseDown);
+        this.listen(this.container, 'click', this.handleClick);
+        this.listen(this.container, 'change', this.handleChange);
+        this.listen(this.container, 'keydown', this.handleKeyDown);
+        this.listen(this.doc, 'mousedown', this.handleDocumentMouseDown);
         
-        // Add style sheets to retain look
-        for ( i = document.styleSheets.length - 1; i>=0; i-- )
+        var self = this;
+        this.editorHandlers = {
+            statechange     : function() { self.update(); },
+            selectionchange : function() { self.update(); },
+            enable          : function() { self.update(); },
+            disable         : function() { self.update(true); },
+            modechange      : function() { self.update(); }
+        };
+        for(var type in this.editorHandlers)
+            this.editor.on(type, this.editorHandlers[type]);
+        
+        this.setFocusable(this.controls[0]);
+        this.update();
+    };
+    
+    // Element for item, returns the control made for it or null for a separator
+    this.buildItem = function(item)
+    {
+        var doc = this.doc;
+        var type = item.type || 'button';
+        if(type == 'separator')
         {
-            var newLink = this.iframe.contentDocument.createElement("link");
-            newLink.rel  = "stylesheet";
-            newLink.type = "text/css";
-            newLink.href = document.styleSheets[i].href;
-            var iframeHead = this.iframe.contentDocument.getElementsByTagName('head')[0];
-            if(iframeHead)
-                iframeHead.appendChild(newLink);
+            var separator = this.container.appendChild(doc.createElement('span'));
+            separator.className = "editable-toolbar-separator";
+            separator.setAttribute('role', "separator");
+            return null;
         }
         
-        // Switch on design mode
-        this.iframe.contentWindow.document.designMode = "on";
-        
-        // Set reference to iframe document object
-        this.doc = this.iframe.contentWindow.document;
+        var control = {item: item, type: type};
+        if(type == 'select')
+        {
+            var select = doc.createElement('select');
+            var blank = select.appendChild(doc.createElement('option'));
+            blank.value = "";
+            blank.appendChild(doc.createTextNode(item.label || ""));
+            for(var i = 0; i < item.options.length; i++)
+            {
+                var option = select.appendChild(doc.createElement('option'));
+                option.value = item.options[i].value;
+                option.appendChild(doc.createTextNode(item.options[i].label || item.options[i].value));
+            }
+            control.element = select;
+        }
+        else
+        {
+            var button = doc.createElement('button');
+            button.setAttribute('type', "button");
+            button.appendChild(doc.createTextNode(item.label || item.command));
+            control.element = button;
+            
+            if(type == 'color')
+            {
+                control.swatch = button.appendChild(doc.createElement('span'));
+                control.swatch.className = "editable-toolbar-swatch";
+                button.setAttribute('aria-haspopup', "true");
+                button.setAttribute('aria-expanded', "false");
                 
-        // Add height correction events     
-        EditableGeckoRef = this; // Object reference for resize correction callback
-        this.iframe.contentWindow.document.addEventListener('keyup', mozSignalIframeChange, true);
-        this.iframe.contentWindow.document.addEventListener('mouseup', mozSignalIframeChange, true);
-        this.iframe.contentWindow.addEventListener('resize', mozSignalIframeChange, true);
+                // The colors go in the wrapper, next to the button
+                var wrapper = doc.createElement('span');
+                wrapper.className = "editable-toolbar-color";
+                wrapper.appendChild(button);
+                wrapper.toolbarControl = control;
+                control.wrapper = wrapper;
+            }
+        }
         
-        // Call update to smooth out any ssmll inconsistencies
-        this.update();
+        var element = control.element;
+        element.className = "editable-toolbar-item";
+        element.setAttribute('tabindex', "-1");
+        element.setAttribute('aria-label', item.label || item.command);
+        element.setAttribute('title', item.title || item.label || item.command);
+        
+        // Old IE moves the selection to anything clicked that isn't unselectable
+        element.setAttribute('unselectable', "on");
+        element.toolbarControl = control;
+        
+        this.container.appendChild(control.wrapper || element);
+        return control;
     };
     
-    // Overridden from base class, turn off editing for node
-    this.editableOff = function()
+    // The control element is in, or null
+    this.findControl = function(element)
     {
-        if(this.iframe)
+        for(; element && element != this.container; element = element.parentNode)
         {
-            // Remove event listeners
-            this.iframe.contentWindow.document.removeEventListener('keyup', mozSignalIframeChange, true);
-            this.iframe.contentWindow.document.removeEventListener('mouseup', mozSignalIframeChange, true);
-            this.iframe.contentWindow.removeEventListener('resize', mozSignalIframeChange, true);
-            
-            // Switch off design mode
-            this.iframe.contentWindow.document.designMode = "off";
-            
-            // Straighten out properties
-            this.node.style.width = (this.originalNode.style.width) ?
-                this.iframe.style.width : this.originalNode.style.width;
-            this.node.style.height = (this.originalNode.style.height) ?
-                this.iframe.style.height : this.originalNode.style.height;
-            this.node.style.position = this.iframe.style.position;
-            this.node.style.top  = this.iframe.style.top;
-            this.node.style.left = this.iframe.style.left;
+            if(element.toolbarControl)
+                return element.toolbarControl;
+        }
+        return null;
+    };
+    
+    // Show each item's state, from the editor's last command state. Everything is disabled while the editor isn't
+    // editable, is just about to stop being, or is read-only or showing source
+    this.update = function(disabling)
+    {
+        var editor = this.editor;
+        var editing = (editor.node && editor.mode == 'edit' && !disabling) ? true : false;
+        var state = (editing && editor.cachedCommandArray) || {};
+        for(var i = 0; i < this.controls.length; i++)
+        {
+            var control = this.controls[i];
+            var item = control.item;
+            var name = item.state || item.command;
+            var value = name ? state[name] : false;
+            var enabled = editing && (!item.enabled || item.enabled.call(editor, state) ? true : false);
+            var mixed = enabled && name ? editor.queryCommandMixed(name) : false;
+            var element = control.element;
             
-            // Swap out nodes
-            this.iframe.parentNode.replaceChild(this.node, this.iframe);
+            element.setAttribute('aria-disabled', enabled ? "false" : "true");
+            this.setClass(element, "editable-toolbar-disabled", !enabled);
+            this.setClass(element, "editable-toolbar-mixed", mixed);
             
-            // Clean up references
-            this.iframe = null;
-            this.node   = null;
-            this.doc    = null;
+            if(control.type == 'select')
+            {
+                element.disabled = !enabled;
+                element.value = mixed ? "" : this.findOption(item, value);
+            }
+            else if(control.type == 'color')
+                control.swatch.style.backgroundColor = (!mixed && value) ? value : "transparent";
+            else if(item.toggle)
+            {
+                element.setAttribute('aria-pressed', mixed ? "mixed" : (value ? "true" : "false"));
+                this.setClass(element, "editable-toolbar-active", value && !mixed);
+            }
         }
     };
     
-    // Called when a change is made, make iframe height corrections and recheck command state
-    this.update = function()
+    // Add or remove a class name
+    this.setClass = function(element, name, on)
     {
-        this.checkCommandState();
-        this.iframe.style.height = this.doc.body.offsetHeight + "px";
+        if(on)
+            addClass(element, name);
+        else
+            removeClass(element, name);
     };
     
-    // Overridden from base class, focus() is necessary for reselection in Mozilla
-    this.preExecCommand = function()
+    // Value of the option in a select item matching a command value, "" if none does. Font lists are compared
+    // without quotes or spaces, as engines give them back differently
+    this.findOption = function(item, value)
     {
-        if(this.iframe)
-            this.iframe.contentWindow.focus();
+        var normalize = function(text)
+        {
+            return String(text).toLowerCase().replace(/["'\s]/g, "");
+        };
+        for(var i = 0; value && i < item.options.length; i++)
+        {
+            if(normalize(item.options[i].value) == normalize(value))
+                return item.options[i].value;
+        }
+        return "";
     };
     
-    // Overridden from base class, call update to catch any changes
-    this.postExecCommand = function()
+    // Run an item's command or action, with the editor's selection put back first if it moved out of the editor
+    this.run = function(control, value)
     {
+        var item = control.item;
+        var editor = this.editor;
+        if(!editor.node || control.element.getAttribute('aria-disabled') == "true")
+            return false;
+        
+        if(!editor.getSelectionOffsets() && editor.cachedBookmark)
+            editor.restoreBookmark(editor.cachedBookmark);
+        
+        var result;
+        if(item.action)
+            result = item.action.call(editor, value, item);
+        else
+            result = editor.execCommand(item.command, value);
         this.update();
+        return result;
     };
-};
-EditableGecko.prototype = new EditableBase();
-// For Resize Correction, only way to pull it off.  Can't seem to pass object reference using 'this' into iframe.
-// Keep function here becuase it is only used by class, if we put in class then we can't reference it from iframe
-var EditableGeckoRef = null;
-
-// This function is passed to iframe for call back on change
-function mozSignalIframeChange()
-{
-    window.parent.geckoReceiveIframeChange();
-}
-
-// Correct the resize
-function geckoReceiveIframeChange()
-{
-    if(EditableGeckoRef)
-        EditableGeckoRef.update();
-}
-/**
-* End Class EditableGecko
-**/
-
-
-/**
-* Class EditableWebkit extends EditableBase
-*
-* Class to convert node to a rich text editing area for Webkit browsers
-**/
-var EditableWebkit = function()
-{
-    // Vars for holding webkit equivalent to range, http://lists.apple.com/archives/Webcore-dev/2005/May/msg00007.html
-    this.baseNode = null;
-    this.baseOffset = null;
-    this.extentNode = null;
-    this.extentOffset = null;
     
-    // Constructor
-    this.EditableWebkit = function(){};
+    // Keep the editor's selection when the toolbar is clicked, except on selects which have to take focus to open
+    this.handleMouseDown = function(e)
+    {
+        var target = e.target || e.srcElement;
+        if(contentTagName(target) != "select" && contentTagName(target) != "option")
+            return cancelEvent(e);
+        return true;
+    };
     
-    // Overridden from base class, turn on edtiting for node
-    this.editableOn = function(node)
+    this.handleClick = function(e)
     {
-        if(!this.checkNodeType(node))
+        var target = e.target || e.srcElement;
+        var control = this.findControl(target);
+        if(!control || control.type == 'select')
+            return true;
+        
+        cancelEvent(e);
+        this.setFocusable(control);
+        if(control.type == 'color')
+        {
+            var color = target.getAttribute('data-color');
+            if(color)
+            {
+                this.closePicker(false);
+                this.run(control, color);
+            }
+            else if(this.openPicker == control)
+                this.closePicker(false);
+            else
+                this.showPicker(control, false);
             return false;
+        }
         
-        // Set node reference
-        this.node = node;
+        this.run(control, control.item.value);
+        return false;
+    };
+    
+    this.handleChange = function(e)
+    {
+        var control = this.findControl(e.target || e.srcElement);
+        if(!control || control.type != 'select' || !control.element.value)
+            return true;
         
-        // Turn on content editable for node
-        this.node.contentEditable = true;
+        this.run(control, control.element.value);
+        return true;
+    };
+    
+    // Arrow keys move between items, or between colors in an open color picker
+    this.handleKeyDown = function(e)
+    {
+        var key = e.key || KEY_NAMES[e.keyCode] || "";
+        var target = e.target || e.srcElement;
+        var control = this.findControl(target);
+        if(!control)
+            return true;
         
-        // Attach listeners
-        this.node.addEventListener("keypress", webkitCacheSelection, true);
-        this.node.addEventListener("mouseup", webkitCacheSelection, true);
+        if(this.openPicker == control && target != control.element)
+            return this.handlePickerKeyDown(e, key, target);
         
-        // Set Document reference
-        this.doc = document;
+        if(control.type == 'color' && (key == "ArrowDown" || key == "Down"))
+        {
+            this.showPicker(control, true);
+            return cancelEvent(e);
+        }
+        
+        var index = -1;
+        for(var i = 0; i < this.controls.length; i++)
+        {
+            if(this.controls[i] == control)
+                index = i;
+        }
+        
+        var next = null;
+        if(key == "ArrowRight" || key == "Right")
+            next = this.controls[(index + 1) % this.controls.length];
+        else if(key == "ArrowLeft" || key == "Left")
+            next = this.controls[(index + this.controls.length - 1) % this.controls.length];
+        else if(key == "Home")
+            next = this.controls[0];
+        else if(key == "End")
+            next = this.controls[this.controls.length - 1];
+        else
+            return true;
         
-        // Store reference for callback
-        editableWebkitRef = this;
+        this.closePicker(false);
+        this.setFocusable(next);
+        next.element.focus();
+        return cancelEvent(e);
     };
     
-    // Overridden from base class, turn off edting for node
-    this.editableOff = function()
+    // Arrow keys move between colors, Escape closes the picker
+    this.handlePickerKeyDown = function(e, key, target)
     {
-        // Detach listerners
-        this.node.removeEventListener("keypress", webkitCacheSelection, true);
-        this.node.removeEventListener("mouseup", webkitCacheSelection, true);
-    
-        // Turn off content editable for node
-        this.node.contentEditable = false;
-
-        // Clean up references
-        this.node = null;
-        this.doc = null;
+        var swatches = this.openPicker.menu.getElementsByTagName('button');
+        var index = 0;
+        for(var i = 0; i < swatches.length; i++)
+        {
+            if(swatches[i] == target)
+                index = i;
+        }
+        
+        if(key == "Escape" || key == "Esc")
+            this.closePicker(true);
+        else if(key == "ArrowRight" || key == "Right" || key == "ArrowDown" || key == "Down")
+            swatches[(index + 1) % swatches.length].focus();
+        else if(key == "ArrowLeft" || key == "Left" || key == "ArrowUp" || key == "Up")
+            swatches[(index + swatches.length - 1) % swatches.length].focus();
+        else
+            return true;
+        return cancelEvent(e);
     };
     
-    // Cache highlighted selection
-    this.cacheSelection = function()
+    // Make control the one item reached with Tab, the others are reached with the arrow keys
+    this.setFocusable = function(control)
     {
-        // Get Selection object, http://lists.apple.com/archives/Webcore-dev/2005/May/msg00007.html
-        var selection = window.getSelection();
-        this.baseNode     = selection.baseNode;
-        this.baseOffset   = selection.baseOffset;
-        this.extentNode   = selection.extentNode;
-        this.extentOffset = selection.extentOffset;
+        for(var i = 0; i < this.controls.length; i++)
+            this.controls[i].element.setAttribute('tabindex', this.controls[i] == control ? "0" : "-1");
     };
     
-    // Re-highlight previous cached selection
-    this.highlightSelection = function()
+    // Show a color picker's colors, with focus on the first if it was opened from the keyboard
+    this.showPicker = function(control, focus)
     {
-        // Essentially generate new selection, then move it, Webkit sucks, this is the only way I can find to do it
-        // http://lists.apple.com/archives/Webcore-dev/2005/May/msg00007.html
-        var selection = window.getSelection();
-        selection.setBaseAndExtent(this.baseNode, this.baseOffset, this.extentNode, this.extentOffset);
+        this.closePicker(false);
+        if(control.element.getAttribute('aria-disabled') == "true")
+            return false;
+        
+        var doc = this.doc;
+        var menu = doc.createElement('div');
+        menu.className = "editable-toolbar-colors";
+        menu.setAttribute('role', "menu");
+        menu.setAttribute('aria-label', control.item.label || control.item.command);
+        
+        var colors = control.item.colors || [];
+        for(var i = 0; i < colors.length; i++)
+        {
+            var swatch = menu.appendChild(doc.createElement('button'));
+            swatch.setAttribute('type', "button");
+            swatch.setAttribute('role', "menuitem");
+            swatch.setAttribute('tabindex', "-1");
+            swatch.setAttribute('unselectable', "on");
+            swatch.setAttribute('aria-label', colors[i]);
+            swatch.setAttribute('title', colors[i]);
+            swatch.setAttribute('data-color', colors[i]);
+            swatch.style.backgroundColor = colors[i];
+        }
+        
+        control.wrapper.appendChild(menu);
+        control.menu = menu;
+        control.element.setAttribute('aria-expanded', "true");
+        this.openPicker = control;
+        
+        if(focus && menu.firstChild)
+            menu.firstChild.focus();
+        return true;
     };
     
-    // Called when change is made, re-cache selection as range proably changed and check command state
-    this.update = function()
+    // Hide the open color picker, giving focus back to its button if asked
+    this.closePicker = function(focus)
     {
-        this.cacheSelection();
-        this.checkCommandState();
+        var control = this.openPicker;
+        if(!control)
+            return;
+        
+        this.openPicker = null;
+        if(control.menu && control.menu.parentNode)
+            control.menu.parentNode.removeChild(control.menu);
+        control.menu = null;
+        control.element.setAttribute('aria-expanded', "false");
+        if(focus)
+            control.element.focus();
     };
     
-    // Overridden from base class, re-highlight selection as it is lost when the user clicks outside of selection
-    this.preExecCommand = function()
+    // Clicking anywhere outside an open color picker closes it
+    this.handleDocumentMouseDown = function(e)
     {
-        this.highlightSelection();
+        if(this.openPicker && this.findControl(e.target || e.srcElement) != this.openPicker)
+            this.closePicker(false);
+        return true;
     };
     
-    // Overridden from base class, call update to catch any changes
-    this.postExecCommand = function()
+    // Remove the toolbar and stop following the editor
+    this.destroy = function()
     {
-        this.update();
+        this.closePicker(false);
+        for(var type in this.editorHandlers)
+            this.editor.off(type, this.editorHandlers[type]);
+        this.editorHandlers = {};
+        
+        while(this.listeners.length)
+        {
+            var listener = this.listeners.pop();
+            if(listener.target.removeEventListener)
+                listener.target.removeEventListener(listener.type, listener.listener, false);
+            else if(listener.target.detachEvent)
+                listener.target.detachEvent("on" + listener.type, listener.listener);
+        }
+        
+        while(this.container.firstChild)
+            this.container.removeChild(this.container.firstChild);
+        this.container.removeAttribute('role');
+        removeClass(this.container, "editable-toolbar");
+        this.controls = [];
     };
+    
+    this.build();
 };
-EditableWebkit.prototype = new EditableBase();
-
-// You cannot pass object methods by reference, this will act as reference to current object
-var editableWebkitRef = null;
-
-// Call cache selection method
-function webkitCacheSelection()
-{
-    if(editableWebkitRef)
-        editableWebkitRef.update();
-}
 /**
-* End Class EditableWebkit
+* End Class EditableToolbar
 **/
 
 
+
 /**
-* Class EditableIE extends EditableBase
+* Class EditableMentions
 *
-* Class to convert a node to a rich text editing area in Internet Explorer
+* Suggestions while typing after a trigger such as @ or #, picking one inserts it as a token that can't be edited
+* and is deleted whole. Triggers are objects of:
+*   trigger   : the text starting a mention, such as "@"
+*   source    : function called as a method of the editor with the text typed since the trigger, giving the
+*               suggestions to a callback passed after it or returning a promise of them. Suggestions are strings
+*               or {id, label}
+*   maxLength : longest text after the trigger that is still looked up, 30 if not given
+* Tokens are <span class="editable-mention" contenteditable="false" data-mention="@" data-id="id">@label</span>
 **/
-var EditableIE = function()
+var EditableMentions = function(editor, triggers)
 {
-    // Cached Range
-    this.cachedRange = null;
+    // Editor typed in, and the triggers listened for
+    this.editor = editor;
+    this.triggers = triggers || [];
+    
+    // Trigger being typed after as {trigger, query, start, end} with character offsets, null if there is none
+    this.match = null;
+    
+    // Match whose suggestions were turned down with Escape, not suggested for again until the caret leaves it
+    this.dismissed = null;
     
-    // Cached Inner Text of element for comparison 
-    this.cachedInnerText = null;
+    // Suggestion list shown, its suggestions and the one picked with Enter
+    this.popup = null;
+    this.suggestions = [];
+    this.activeIndex = 0;
+    
+    // Number of the last lookup, so a slow answer to an old one is ignored
+    this.lookupCount = 0;
     
     // Constructor
-    this.EditableIE = function(){};
+    this.EditableMentions = function(){};
     
-    // Overridden from base class, turn on editing for node
-    this.editableOn = function(node)
+    // Start listening for triggers
+    this.attach = function()
     {
-        if(!this.checkNodeType(node))
-            return false;
+        var self = this;
+        this.handlers = {
+            input           : function() { self.checkTrigger(); },
+            selectionchange : function() { self.checkTrigger(); },
+            blur            : function() { self.close(); },
+            disable         : function() { self.close(); }
+        };
+        for(var type in this.handlers)
+            this.editor.on(type, this.handlers[type]);
+    };
+    
+    // Stop listening, tokens already inserted stay
+    this.detach = function()
+    {
+        this.close();
+        for(var type in this.handlers)
+            this.editor.off(type, this.handlers[type]);
+        this.handlers = {};
+    };
+    
+    // Look up suggestions if the text just before a collapsed selection is a trigger and what was typed after it
+    this.checkTrigger = function()
+    {
+        var editor = this.editor;
+        var selection = editor.node ? editor.getSelectionOffsets() : null;
+        var match = null;
+        if(selection && selection.start == selection.end)
+        {
+            var position = editor.findTextPosition(selection.start);
+            var text = (position.node.nodeType == TEXT_NODE) ? position.node.nodeValue.substr(0, position.offset) : "";
+            for(var i = 0; i < this.triggers.length && !match; i++)
+                match = this.matchTrigger(this.triggers[i], text, selection.start);
+        }
         
-        // Set node reference
-        this.node = node;
+        if(!match || !this.dismissed || match.trigger != this.dismissed.trigger || match.start != this.dismissed.start)
+            this.dismissed = null;
+        if(!match || this.dismissed)
+            return this.close();
+        if(this.match && this.match.trigger == match.trigger && this.match.query == match.query)
+            return;
         
-        // Turn on content eidtable for node
-        this.node.contentEditable = true;
+        this.match = match;
+        this.lookup(match);
+    };
+    
+    // {trigger, query, start, end} if text, ending at character offset end, ends with trigger and a query after it.
+    // The trigger has to start the text or follow a space, and the query can't have spaces
+    this.matchTrigger = function(trigger, text, end)
+    {
+        var maxLength = trigger.maxLength || 30;
+        var index = text.lastIndexOf(trigger.trigger);
+        if(index < 0 || (index > 0 && !/[\s\u00a0]/.test(text.charAt(index - 1))))
+            return null;
         
-        // Attach listeners
-        this.node.attachEvent("onkeypress", iECacheSelection);
-        this.node.attachEvent("onmouseup", iECacheSelection);
+        var query = text.substr(index + trigger.trigger.length);
+        if(/[\s\u00a0]/.test(query) || query.length > maxLength)
+            return null;
+        return {trigger: trigger, query: query, start: end - query.length - trigger.trigger.length, end: end};
+    };
+    
+    // Ask the trigger's source for suggestions for match
+    this.lookup = function(match)
+    {
+        var self = this;
+        var count = ++this.lookupCount;
+        var receive = function(suggestions)
+        {
+            if(count == self.lookupCount && self.match == match)
+                self.show(suggestions || []);
+        };
         
-        // Set document reference
-        this.doc = document;
+        var result = match.trigger.source.call(this.editor, match.query, receive);
+        if(result && typeof result.then == "function")
+            result.then(receive, function(error) { debug("EditableMentions.lookup() : " + error, 1); });
+    };
+    
+    // Show a list of suggestions at the caret, none closes it
+    this.show = function(suggestions)
+    {
+        this.hidePopup();
+        this.suggestions = suggestions;
+        this.activeIndex = 0;
+        var caret = this.editor.getCaretRect();
+        if(!suggestions.length || !caret)
+            return;
+        
+        var doc = caret.document;
+        addStyleSheet(doc, "editable-mentions-style",
+            ".editable-mentions { position: absolute; z-index: 1000; margin: 0; padding: 2px 0; list-style: none; " +
+                "background: #fff; border: 1px solid #999; font: 13px sans-serif; }\n" +
+            ".editable-mentions li { padding: 2px 8px; cursor: pointer; }\n" +
+            ".editable-mentions li[aria-selected=true] { background: #36c; color: #fff; }");
+        
+        var popup = doc.createElement('ul');
+        popup.className = "editable-mentions";
+        popup.setAttribute('role', "listbox");
+        popup.setAttribute(EDITOR_UI_ATTRIBUTE, "mentions");
+        for(var i = 0; i < suggestions.length; i++)
+        {
+            var option = popup.appendChild(doc.createElement('li'));
+            option.setAttribute('role', "option");
+            option.setAttribute('data-index', i);
+            option.appendChild(doc.createTextNode(this.getLabel(suggestions[i])));
+        }
+        popup.style.left = caret.left + "px";
+        popup.style.top = caret.bottom + "px";
+        
+        // Clicking a suggestion leaves the selection in the editor
+        var self = this;
+        popup.onmousedown = function(e)
+        {
+            e = e || window.event;
+            var target = e.target || e.srcElement;
+            for(; target && target != popup; target = target.parentNode)
+            {
+                if(target.getAttribute('data-index') !== null)
+                    self.pick(parseInt(target.getAttribute('data-index'), 10));
+            }
+            return cancelEvent(e);
+        };
         
-        // Store reference for callback
-        editableIERef = this;
+        doc.body.appendChild(popup);
+        this.popup = popup;
+        this.setActive(0);
     };
     
-    // Overridden from base class, turn off editing for node
-    this.editableOff = function()
+    // Highlight the suggestion at index, the one Enter picks
+    this.setActive = function(index)
     {
-        // Detach listeners
-        this.node.detachEvent("onkeypress", iECacheSelection);
-        this.node.detachEvent("onmouseup", iECacheSelection);
+        var options = this.popup.childNodes;
+        this.activeIndex = (index + options.length) % options.length;
+        for(var i = 0; i < options.length; i++)
+            options[i].setAttribute('aria-selected', i == this.activeIndex ? "true" : "false");
+    };
     
-        // Turn off content editable for node
-        this.node.contentEditable = false;
+    // Keys moving through and picking suggestions while they are shown, returns true for keys it took
+    this.handleKeyDown = function(e)
+    {
+        if(!this.popup)
+            return false;
         
-        // Clean up references
-        this.node = null;
-        this.doc = null;
+        var key = e.key || KEY_NAMES[e.keyCode] || "";
+        if(key == "ArrowDown" || key == "Down")
+            this.setActive(this.activeIndex + 1);
+        else if(key == "ArrowUp" || key == "Up")
+            this.setActive(this.activeIndex - 1);
+        else if(key == "Enter" || key == "Tab")
+            this.pick(this.activeIndex);
+        else if(key == "Escape" || key == "Esc")
+            this.dismiss();
+        else
+            return false;
+        return true;
     };
     
-    // Cache highlighted selection
-    this.cacheSelection = function()
+    // Close the suggestions and keep them closed while the caret stays in the mention being typed
+    this.dismiss = function()
     {
-        if(document.selection)
-        {
-            this.cachedRange = this.doc.selection.createRange();
-            this.cachedInnerText = this.node.innerText;
-        }
+        this.dismissed = this.match;
+        this.close();
     };
     
-    // Re-highlight previously cached selection
-    this.highlightSelection = function()
+    // Text shown for a suggestion
+    this.getLabel = function(suggestion)
     {
-        // We cached a range earlier to maintain hightlighting after selecting text, what happens in IE is if you
-        // start typing at the end of a paragraph and then change the focus by pressing on a button elsewhere
-        // in the app the selection is cached automatically adjusts to include your new text.  
-        // So the best way is to cache the selection text(cachedInnerText) the first time to see if anything has
-        // has changed, if so move the cursor to the end using the the only way possible with the exposed methods
-        // take the length of the text range and move there.  Thus you give the appearance that the whole
-        // text range bug thing didn't happen without messing up existing highlight functionality.
-        if(this.cachedInnerText != this.node.innerText && this.cachedRange && this.cachedRange.text.length >= 0)
-            this.cachedRange.moveStart("character", this.cachedRange.text.length);
-
-        // Re-select Range
-        if(this.cachedRange)
-            this.cachedRange.select();
+        return (typeof suggestion == "string") ? suggestion : String(suggestion.label);
     };
     
-    // Called when change is made, re-cache selection as range proably changed and check command state
-    this.update = function()
+    // Replace the trigger and what was typed after it with the token for a suggestion. Can be undone
+    this.pick = function(index)
     {
-        this.cacheSelection();
-        this.checkCommandState();
+        var self = this;
+        var match = this.match;
+        var suggestion = this.suggestions[index];
+        this.close();
+        if(!match || !suggestion)
+            return false;
+        
+        return this.editor.editContent('insertmention', suggestion, function()
+        {
+            addStyleSheet(this.doc, "editable-mention-style",
+                ".editable-mention { padding: 0 2px; background: #e8eef4; border-radius: 3px; }");
+            
+            var token = this.doc.createElement('span');
+            token.className = "editable-mention";
+            token.setAttribute('contenteditable', "false");
+            token.setAttribute('data-mention', match.trigger.trigger);
+            if(typeof suggestion != "string" && suggestion.id !== undefined)
+                token.setAttribute('data-id', suggestion.id);
+            token.appendChild(this.doc.createTextNode(match.trigger.trigger + self.getLabel(suggestion)));
+            this.insertNodeAt({start: match.start, end: match.end}, token);
+            
+            // Typing carries on after a space, a non-breaking one as a normal one at the end of a line wouldn't show
+            var space = token.parentNode.insertBefore(this.doc.createTextNode("\u00a0"), token.nextSibling);
+            this.setCursorAfter(space);
+            return true;
+        });
     };
     
-    // Overridden from base class, re-highlight selection as it is lost when the user clicks outside of selection
-    this.preExecCommand = function()
+    // Remove the suggestion list, leaving what was typed
+    this.hidePopup = function()
     {
-        this.highlightSelection();
+        if(this.popup && this.popup.parentNode)
+            this.popup.parentNode.removeChild(this.popup);
+        this.popup = null;
     };
     
-    // Overridden from base class, call update to catch any changes
-    this.postExecCommand = function()
+    // Stop suggesting until a trigger is typed again
+    this.close = function()
     {
-        this.update();
+        this.hidePopup();
+        this.match = null;
+        this.suggestions = [];
+        this.lookupCount++;
     };
+    
+    this.attach();
 };
-EditableIE.prototype = new EditableBase();
+/**
+* End Class EditableMentions
+**/
+
+
+
+/**
+* Editable factory
+*
+* Picks the rich text editing class for the current browser by feature detection rather than user agent sniffing
+**/
+
+// Engine name to class lookup, used by createEditable() and for overriding detection
+var EDITABLE_ENGINES = {
+    gecko  : EditableGecko,
+    webkit : EditableWebkit,
+    ie     : EditableIE,
+    modern : EditableModern
+};
+
+// Work out which engine class can edit nodes in the given document, returns an EDITABLE_ENGINES key or null
+function detectEditableEngine(doc)
+{
+    doc = doc || document;
+    var win = doc.defaultView || doc.parentWindow || window;
+    var body = doc.body || doc.documentElement;
+
+    // No editing commands at all, such as jsdom, leaves formatting to us
+    if(typeof doc.execCommand == "undefined" && win.getSelection && doc.createRange)
+        return "modern";
+
+    // IE only has the proprietary event model and TextRange selections
+    if(body && body.attachEvent && !body.addEventListener && doc.selection)
+        return "ie";
 
-// You cannot pass object methods by reference, this will act as reference to current object
-var editableIERef= null;
+    // Gecko edits through a designMode iframe. Firefox has contentEditable and setBaseAndExtent as well these days,
+    // so it is told apart by what only Gecko has, before the Webkit check would take it
+    var gecko = typeof win.mozInnerScreenX != "undefined" ||
+        (doc.documentElement && doc.documentElement.style && "MozAppearance" in doc.documentElement.style);
+    if(gecko && typeof doc.designMode != "undefined" && body && body.addEventListener)
+        return "gecko";
 
-// Call cache selection method
-function iECacheSelection()
+    // Webkit can have its selection moved with setBaseAndExtent, needed to restore it before a command
+    var contentEditable = body && typeof body.contentEditable != "undefined";
+    if(contentEditable && win.getSelection && win.getSelection() && win.getSelection().setBaseAndExtent)
+        return "webkit";
+
+    // Anything else with designMode can still edit the way Gecko does
+    if(typeof doc.designMode != "undefined" && body && body.addEventListener)
+        return "gecko";
+
+    return null;
+}
+
+// Create an editable object for node using the detected engine or options.engine, and turn editing on
+// Options:
+//   engine   : force one of the EDITABLE_ENGINES keys instead of detecting
+//   editable : set to false to create the object without turning editing on for node yet
+// Any other options are passed to the object's setOptions()
+function createEditable(node, options)
 {
-    if(editableIERef)
-        editableIERef.update();
+    options = options || {};
+
+    var doc = (node && node.ownerDocument) ? node.ownerDocument : document;
+    var engine = options.engine || detectEditableEngine(doc);
+
+    if(!engine || !EDITABLE_ENGINES[engine])
+    {
+        debug("createEditable() : No editable engine available for engine=" + engine);
+        return null;
+    }
+
+    debug("createEditable() : Using engine=" + engine, 'info');
+
+    var editable = new EDITABLE_ENGINES[engine]();
+    editable.setOptions(options);
+
+    if(options.editable !== false)
+        editable.editableOn(node);
+
+    return editable;
 }
 /**
-* End Class EditableIE
-**/
+* End Editable factory
+**/
\ No newline at end of file
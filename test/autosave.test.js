@@ -0,0 +1,46 @@
+var test = require('node:test');
+var assert = require('node:assert');
+var harness = require('./helpers/harness');
+
+test.describe("EditableAutosave", function()
+{
+    var win, node, store, editable;
+    test.beforeEach(function()
+    {
+        // Neither editor has an id, so drafts are kept by where the node is on the page
+        win = harness.createWindow('<div>Other</div><div id="wrap"><div><p>Original</p></div></div>');
+        node = win.document.getElementById('wrap').firstChild;
+        store = new win.MemoryDraftStore();
+        editable = win.createEditable(node, {engine: 'modern', autosave: {storage: store}});
+    });
+    test.afterEach(function()
+    {
+        editable.editableOff();
+        win.close();
+    });
+
+    test.it("keeps the key it took when editing started once editing stops", function()
+    {
+        var key = editable.autosave.getKey();
+        assert.strictEqual(key, "editable-draft:" + win.location.pathname + ":div[2]");
+
+        editable.setContent('<p>Edited</p>');
+        editable.editableOff();
+        assert.strictEqual(editable.autosave.getKey(), key);
+        assert.strictEqual(store.load(key).content, '<p>Edited</p>');
+        assert.deepStrictEqual(Object.keys(store.drafts), [key]);
+
+        assert.strictEqual(editable.discardDraft(), true);
+        assert.deepStrictEqual(Object.keys(store.drafts), []);
+    });
+
+    test.it("saves no draft as editing stops once the draft has been discarded", function()
+    {
+        editable.setContent('<p>Edited</p>');
+        editable.autosave.save();
+        assert.strictEqual(editable.discardDraft(), true);
+
+        editable.editableOff();
+        assert.deepStrictEqual(Object.keys(store.drafts), []);
+    });
+});
@@ -0,0 +1,205 @@
+var test = require('node:test');
+var assert = require('node:assert');
+var harness = require('./helpers/harness');
+
+test.describe("getCommandState", function()
+{
+    var win, state, editable;
+    test.beforeEach(function()
+    {
+        win = harness.createWindow('<div id="node">Some <b>bold</b> text</div>');
+        state = {};
+        harness.fakeWebkit(win, state);
+        editable = new win.EditableWebkit();
+        editable.editableOn(win.document.getElementById('node'));
+    });
+    test.afterEach(function()
+    {
+        editable.editableOff();
+        win.close();
+    });
+
+    test.it("returns false while editing is off", function()
+    {
+        editable.editableOff();
+        assert.strictEqual(editable.getCommandState(), false);
+    });
+
+    test.it("holds the state or value of every registered command", function()
+    {
+        state.bold = true;
+        state.fontname = "Georgia";
+        var commands = editable.getCommandState();
+        assert.strictEqual(commands.bold, true);
+        assert.strictEqual(commands.italic, false);
+        assert.strictEqual(commands.underline, false);
+        assert.strictEqual(commands.fontname, "Georgia");
+        assert.strictEqual(commands.link, false);
+        assert.strictEqual(commands.table, false);
+        assert.strictEqual(commands.tablerow, -1);
+    });
+
+    test.it("converts colors to hex whichever form the browser gives them in", function()
+    {
+        state.forecolor = "rgb(204, 0, 0)";
+        assert.strictEqual(editable.getCommandState().forecolor, "#cc0000");
+        state.forecolor = 0xff8000;
+        assert.strictEqual(editable.getCommandState().forecolor, "#0080ff");
+    });
+
+    test.it("gives false for commands the browser throws on", function()
+    {
+        win.document.queryCommandValue = function()
+        {
+            throw new Error("Unsupported command");
+        };
+        var commands = editable.getCommandState();
+        assert.strictEqual(commands.fontname, false);
+        assert.strictEqual(commands.forecolor, false);
+        assert.strictEqual(commands.bold, false);
+    });
+
+    test.it("calls registered functions as methods of the editor", function()
+    {
+        var self = null;
+        editable.registerCommand('wordcount', function(command)
+        {
+            self = this;
+            return command + ":" + this.getContent().split(/\s+/).length;
+        });
+        assert.strictEqual(editable.getCommandState().wordcount, "wordcount:3");
+        assert.strictEqual(self, editable);
+
+        editable.unregisterCommand('wordcount');
+        assert.ok(!('wordcount' in editable.getCommandState()));
+    });
+});
+
+test.describe("checkCommandState", function()
+{
+    var win, state, editable, events, callbacks;
+    test.beforeEach(function()
+    {
+        win = harness.createWindow('<div id="node">Some <b>bold</b> text</div>');
+        state = {};
+        harness.fakeWebkit(win, state);
+        editable = new win.EditableWebkit();
+        events = [];
+        callbacks = [];
+        editable.on('statechange', function(event)
+        {
+            events.push(event);
+        });
+        editable.setStateChangeCallBack(function(commands, changes)
+        {
+            callbacks.push({commands: commands, changes: changes});
+        });
+    });
+    test.afterEach(function()
+    {
+        editable.editableOff();
+        win.close();
+    });
+
+    test.it("returns null while editing is off", function()
+    {
+        assert.strictEqual(editable.checkCommandState(), null);
+        assert.strictEqual(events.length, 0);
+    });
+
+    test.it("counts every command as changed the first time", function()
+    {
+        editable.editableOn(win.document.getElementById('node'));
+        editable.cachedCommandArray = null;
+        events.length = 0;
+        callbacks.length = 0;
+
+        var changes = editable.checkCommandState();
+        var commands = editable.getCommandState();
+        assert.deepStrictEqual(Object.keys(changes).sort(), Object.keys(commands).sort());
+        assert.deepStrictEqual(harness.copy(changes.bold), {oldValue: undefined, newValue: false});
+        assert.strictEqual(events.length, 1);
+        assert.strictEqual(callbacks.length, 1);
+    });
+
+    test.it("signals nothing when nothing changed", function()
+    {
+        editable.editableOn(win.document.getElementById('node'));
+        editable.checkCommandState();
+        events.length = 0;
+        callbacks.length = 0;
+
+        assert.strictEqual(editable.checkCommandState(), null);
+        assert.strictEqual(events.length, 0);
+        assert.strictEqual(callbacks.length, 0);
+    });
+
+    test.it("reports only the commands that changed, with their old and new values", function()
+    {
+        editable.editableOn(win.document.getElementById('node'));
+        editable.checkCommandState();
+        events.length = 0;
+        callbacks.length = 0;
+
+        state.bold = true;
+        state.fontsize = "5";
+        var changes = editable.checkCommandState();
+        assert.deepStrictEqual(harness.copy(changes), {
+            bold     : {oldValue: false, newValue: true},
+            fontsize : {oldValue: "", newValue: "5"}
+        });
+        assert.strictEqual(editable.cachedCommandArray.bold, true);
+
+        assert.strictEqual(events.length, 1);
+        assert.strictEqual(events[0].changes, changes);
+        assert.strictEqual(events[0].state, editable.cachedCommandArray);
+        assert.strictEqual(events[0].editor, editable);
+        assert.strictEqual(callbacks[0].changes, changes);
+        assert.strictEqual(callbacks[0].commands, editable.cachedCommandArray);
+
+        state.bold = false;
+        assert.deepStrictEqual(harness.copy(editable.checkCommandState()), {bold: {oldValue: true, newValue: false}});
+    });
+
+    test.it("counts a newly registered command as changed", function()
+    {
+        editable.editableOn(win.document.getElementById('node'));
+        editable.checkCommandState();
+
+        editable.registerCommand('strikethrough', 'state');
+        assert.deepStrictEqual(harness.copy(editable.checkCommandState()), {
+            strikethrough : {oldValue: undefined, newValue: false}
+        });
+    });
+
+    test.it("follows commands run through execCommand()", function()
+    {
+        editable.editableOn(win.document.getElementById('node'));
+        editable.checkCommandState();
+        events.length = 0;
+
+        assert.strictEqual(editable.execCommand('italic'), true);
+        assert.strictEqual(events.length, 1);
+        assert.deepStrictEqual(harness.copy(events[0].changes), {italic: {oldValue: false, newValue: true}});
+    });
+
+    test.it("checks once rapid requests settle", async function()
+    {
+        editable.editableOn(win.document.getElementById('node'));
+        editable.checkCommandState();
+        events.length = 0;
+
+        state.underline = true;
+        editable.requestCommandStateCheck();
+        editable.requestCommandStateCheck();
+        editable.requestCommandStateCheck();
+        assert.strictEqual(events.length, 0);
+
+        await new Promise(function(resolve)
+        {
+            setTimeout(resolve, editable.stateCheckDelay + 50);
+        });
+        assert.strictEqual(events.length, 1);
+        assert.deepStrictEqual(harness.copy(events[0].changes), {underline: {oldValue: false, newValue: true}});
+    });
+});
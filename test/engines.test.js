@@ -0,0 +1,284 @@
+var test = require('node:test');
+var assert = require('node:assert');
+var harness = require('./helpers/harness');
+
+var CONTENT = '<p id="before">Before</p><div id="node" style="width: 300px">Some <b>bold</b> text</div>';
+
+// Count the editor's enable and disable events
+function countEvents(editable)
+{
+    var counts = {enable: 0, disable: 0};
+    editable.on('enable', function() { counts.enable++; });
+    editable.on('disable', function() { counts.disable++; });
+    return counts;
+}
+
+test.describe("EditableWebkit", function()
+{
+    var win, doc, state, commands, node;
+    test.beforeEach(function()
+    {
+        win = harness.createWindow(CONTENT);
+        doc = win.document;
+        state = {};
+        commands = harness.fakeWebkit(win, state);
+        node = doc.getElementById('node');
+    });
+    test.afterEach(function()
+    {
+        win.close();
+    });
+
+    test.it("is the engine detected with contentEditable and setBaseAndExtent", function()
+    {
+        assert.strictEqual(win.detectEditableEngine(doc), "webkit");
+        var editable = win.createEditable(node);
+        assert.strictEqual(editable.engine, "webkit");
+        assert.ok(editable instanceof win.EditableWebkit);
+        editable.editableOff();
+    });
+
+    test.it("turns contentEditable on and off", function()
+    {
+        var editable = new win.EditableWebkit();
+        var counts = countEvents(editable);
+
+        editable.editableOn(node);
+        assert.strictEqual(node.contentEditable, "true");
+        assert.strictEqual(editable.node, node);
+        assert.strictEqual(editable.doc, doc);
+        assert.ok(editable.eventBindings.length > 0);
+        assert.deepStrictEqual(harness.copy(counts), {enable: 1, disable: 0});
+
+        editable.editableOff();
+        assert.strictEqual(node.contentEditable, "false");
+        assert.strictEqual(editable.node, null);
+        assert.strictEqual(editable.doc, null);
+        assert.strictEqual(editable.eventBindings.length, 0);
+        assert.deepStrictEqual(harness.copy(counts), {enable: 1, disable: 1});
+        assert.strictEqual(editable.editableOff(), false);
+        assert.strictEqual(counts.disable, 1);
+    });
+
+    test.it("caches the selection on keyup and puts it back before a command", function()
+    {
+        var editable = new win.EditableWebkit();
+        editable.editableOn(node);
+
+        var range = doc.createRange();
+        range.setStart(node.firstChild, 1);
+        range.setEnd(node.firstChild, 4);
+        win.getSelection().removeAllRanges();
+        win.getSelection().addRange(range);
+        harness.fireEvent(node, 'keyup');
+        assert.deepStrictEqual(harness.copy(editable.cachedBookmark), {start: 1, end: 4});
+
+        // Clicking a toolbar button takes the selection out of the editor
+        win.getSelection().selectAllChildren(doc.getElementById('before'));
+        assert.strictEqual(editable.execCommand('bold'), true);
+        assert.deepStrictEqual(harness.copy(commands), [{command: 'bold', value: false}]);
+        assert.deepStrictEqual(harness.copy(editable.getSelectionOffsets()), {start: 1, end: 4});
+
+        editable.editableOff();
+    });
+
+    test.it("leaves nothing bound once off, and can be turned on again", function()
+    {
+        var editable = new win.EditableWebkit();
+        editable.editableOn(node);
+        editable.editableOff();
+
+        harness.fireEvent(node, 'keyup');
+        harness.fireEvent(node, 'mouseup');
+        assert.strictEqual(editable.cachedBookmark, null);
+        assert.strictEqual(editable.stateCheckTimer, null);
+
+        editable.editableOn(node);
+        assert.strictEqual(node.contentEditable, "true");
+        assert.ok(editable.execCommand('italic'));
+        editable.editableOff();
+        assert.strictEqual(node.contentEditable, "false");
+    });
+});
+
+test.describe("EditableGecko", function()
+{
+    var win, doc, state, commands, node;
+    test.beforeEach(function()
+    {
+        win = harness.createWindow(CONTENT);
+        doc = win.document;
+        state = {};
+        commands = harness.fakeGecko(win, state);
+        node = doc.getElementById('node');
+    });
+    test.afterEach(function()
+    {
+        win.close();
+    });
+
+    test.it("is the engine detected in Firefox, which has contentEditable and setBaseAndExtent too", function()
+    {
+        assert.strictEqual(typeof doc.body.contentEditable, "string");
+        assert.strictEqual(typeof win.getSelection().setBaseAndExtent, "function");
+        assert.strictEqual(win.detectEditableEngine(doc), "gecko");
+        var editable = win.createEditable(node);
+        assert.strictEqual(editable.engine, "gecko");
+        assert.ok(editable instanceof win.EditableGecko);
+        editable.editableOff();
+    });
+
+    test.it("swaps the node for a designMode iframe and back", function()
+    {
+        var editable = new win.EditableGecko();
+        var counts = countEvents(editable);
+
+        editable.editableOn(node);
+        var iframe = editable.iframe;
+        assert.ok(iframe);
+        assert.strictEqual(iframe.parentNode, doc.body);
+        assert.strictEqual(node.parentNode, null);
+        assert.strictEqual(iframe.style.width, "300px");
+        assert.strictEqual(editable.doc, iframe.contentWindow.document);
+        assert.strictEqual(editable.doc.designMode, "on");
+        assert.strictEqual(editable.node.ownerDocument, editable.doc);
+        assert.strictEqual(editable.node.innerHTML, node.innerHTML);
+        assert.strictEqual(editable.getContent(), "Some <strong>bold</strong> text");
+        assert.deepStrictEqual(harness.copy(counts), {enable: 1, disable: 0});
+
+        var frameDoc = editable.doc;
+        var edited = editable.node;
+        editable.editableOff();
+        assert.strictEqual(frameDoc.designMode, "off");
+        assert.strictEqual(iframe.parentNode, null);
+        assert.strictEqual(edited.parentNode, doc.body);
+        assert.strictEqual(edited.previousSibling, doc.getElementById('before'));
+        assert.strictEqual(editable.iframe, null);
+        assert.strictEqual(editable.node, null);
+        assert.strictEqual(editable.doc, null);
+        assert.strictEqual(editable.eventBindings.length, 0);
+        assert.deepStrictEqual(harness.copy(counts), {enable: 1, disable: 1});
+    });
+
+    test.it("runs commands in the iframe's document, with Firefox's own table and image handles off", function()
+    {
+        var editable = new win.EditableGecko();
+        editable.editableOn(node);
+        assert.deepStrictEqual(harness.copy(commands), [
+            {command: 'enableInlineTableEditing', value: false},
+            {command: 'enableObjectResizing', value: false}
+        ]);
+
+        commands.length = 0;
+        assert.strictEqual(editable.execCommand('underline'), true);
+        assert.deepStrictEqual(harness.copy(commands), [{command: 'underline', value: false}]);
+        assert.strictEqual(editable.getCommandState().underline, true);
+
+        editable.editableOff();
+    });
+
+    test.it("turns designMode off and on again for read-only", function()
+    {
+        var editable = new win.EditableGecko();
+        editable.editableOn(node);
+
+        editable.setMode('readonly');
+        assert.strictEqual(editable.doc.designMode, "off");
+        assert.strictEqual(editable.execCommand('bold'), false);
+        editable.setMode('edit');
+        assert.strictEqual(editable.doc.designMode, "on");
+
+        editable.editableOff();
+    });
+});
+
+test.describe("EditableIE", function()
+{
+    var win, doc, state, fakes, node;
+    test.beforeEach(function()
+    {
+        win = harness.createWindow(CONTENT);
+        doc = win.document;
+        state = {};
+        fakes = harness.fakeIE(win, state);
+        node = doc.getElementById('node');
+    });
+    test.afterEach(function()
+    {
+        win.close();
+    });
+
+    test.it("is the engine detected with attachEvent and document.selection", function()
+    {
+        assert.strictEqual(win.detectEditableEngine(doc), "ie");
+        var editable = win.createEditable(node);
+        assert.strictEqual(editable.engine, "ie");
+        assert.ok(editable instanceof win.EditableIE);
+        editable.editableOff();
+    });
+
+    test.it("attaches listeners with attachEvent and detaches every one", function()
+    {
+        var editable = new win.EditableIE();
+        var counts = countEvents(editable);
+
+        editable.editableOn(node);
+        assert.strictEqual(node.contentEditable, "true");
+        var types = fakes.attached.map(function(binding) { return binding.type; });
+        assert.ok(types.indexOf('onkeyup') >= 0);
+        assert.ok(types.indexOf('onmouseup') >= 0);
+        assert.ok(types.indexOf('oncontrolselect') >= 0);
+        assert.strictEqual(fakes.attached.length, editable.eventBindings.length);
+        assert.deepStrictEqual(harness.copy(counts), {enable: 1, disable: 0});
+
+        editable.editableOff();
+        assert.strictEqual(node.contentEditable, "false");
+        assert.strictEqual(fakes.attached.length, 0);
+        assert.strictEqual(editable.node, null);
+        assert.deepStrictEqual(harness.copy(counts), {enable: 1, disable: 1});
+        assert.strictEqual(editable.editableOff(), false);
+    });
+
+    test.it("cancels IE's own image handles", function()
+    {
+        var editable = new win.EditableIE();
+        editable.editableOn(node);
+
+        var event = new win.Event('controlselect', {bubbles: true, cancelable: true});
+        node.dispatchEvent(event);
+        assert.strictEqual(event.defaultPrevented, true);
+
+        editable.editableOff();
+    });
+
+    test.it("measures the selection with TextRanges and puts it back before a command", function()
+    {
+        var editable = new win.EditableIE();
+        editable.editableOn(node);
+
+        // "Before" comes ahead of the node's text in the body
+        doc.selection.select(6 + 5, 6 + 9);
+        assert.deepStrictEqual(harness.copy(editable.getSelectionOffsets()), {start: 5, end: 9});
+        harness.fireEvent(node, 'keyup');
+        assert.deepStrictEqual(harness.copy(editable.cachedBookmark), {start: 5, end: 9});
+
+        doc.selection.select(0, 3);
+        assert.strictEqual(editable.getSelectionOffsets(), null);
+        assert.strictEqual(editable.execCommand('bold'), true);
+        assert.deepStrictEqual(harness.copy(fakes.commands), [{command: 'bold', value: false}]);
+        assert.strictEqual(doc.selection.range().text, "bold");
+
+        editable.editableOff();
+    });
+
+    test.it("gives IE's numeric colors back as hex", function()
+    {
+        var editable = new win.EditableIE();
+        editable.editableOn(node);
+
+        state.forecolor = 0x0000cc;
+        assert.strictEqual(editable.getCommandState().forecolor, "#cc0000");
+
+        editable.editableOff();
+    });
+});
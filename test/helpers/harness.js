@@ -0,0 +1,301 @@
+/**
+* Test harness
+*
+* Loads richtext.js into a jsdom window, and fakes the browser APIs each engine class relies on so the classes can
+* be exercised without the browser they were written for. jsdom has no execCommand, contentEditable or designMode,
+* and none of IE's event model or TextRange selections, so each of those is replaced by a small fake here.
+**/
+
+var fs = require('fs');
+var path = require('path');
+var jsdom = require('jsdom');
+
+var SOURCE = fs.readFileSync(path.join(__dirname, '..', '..', 'richtext.js'), 'utf8');
+
+// A window with richtext.js loaded into it, its classes and functions are properties of the window. Call
+// win.close() when done so timers left by the editor don't keep Node running
+function createWindow(body)
+{
+    // Layout and scrolling aren't implemented by jsdom, the errors it reports for them are left out
+    // jsdom 27 renamed sendTo() to forwardTo()
+    var virtualConsole = new jsdom.VirtualConsole();
+    if(virtualConsole.forwardTo)
+        virtualConsole.forwardTo(console, {jsdomErrors: "none"});
+    else
+        virtualConsole.sendTo(console, {omitJSDOMErrors: true});
+
+    var dom = new jsdom.JSDOM('<!DOCTYPE html><html><head></head><body>' + (body || "") + '</body></html>', {
+        runScripts        : 'outside-only',
+        pretendToBeVisual : true,
+        virtualConsole    : virtualConsole
+    });
+    var win = dom.window;
+    win.eval(SOURCE);
+
+    // debug() logs every command state check, keep test output to the results
+    win.debug = function(){};
+    return win;
+}
+
+// Fake execCommand and the command queries on a document. Commands toggle or set values in state, which tests
+// can also change directly to stand for the selection moving. Returns the list of commands run as
+// {command, value}, calls if one is given to add to
+function fakeCommands(doc, state, calls)
+{
+    calls = calls || [];
+    doc.execCommand = function(command, ui, value)
+    {
+        calls.push({command: command, value: value});
+        state[command] = (typeof value == "undefined" || value === false) ? !state[command] : value;
+        return true;
+    };
+    doc.queryCommandState = function(command)
+    {
+        return state[command] === true;
+    };
+    doc.queryCommandValue = function(command)
+    {
+        return (command in state) ? state[command] : "";
+    };
+    doc.queryCommandIndeterm = function()
+    {
+        return false;
+    };
+    return calls;
+}
+
+// contentEditable on every element, as the string browsers give back
+function fakeContentEditable(win)
+{
+    Object.defineProperty(win.HTMLElement.prototype, 'contentEditable', {
+        configurable : true,
+        get : function()
+        {
+            return this.getAttribute('contenteditable') || "inherit";
+        },
+        set : function(value)
+        {
+            this.setAttribute('contenteditable', String(value));
+        }
+    });
+}
+
+// Webkit: contentEditable and the browser's commands
+function fakeWebkit(win, state)
+{
+    fakeContentEditable(win);
+    return fakeCommands(win.document, state);
+}
+
+// Gecko: a current Firefox, with contentEditable and setBaseAndExtent like Webkit but also mozInnerScreenX, and
+// designMode on the documents of iframes, which is where Gecko edits, and the browser's commands in them. Returns
+// the commands run in any iframe
+function fakeGecko(win, state)
+{
+    var calls = [];
+    fakeContentEditable(win);
+    win.mozInnerScreenX = 0;
+    var descriptor = Object.getOwnPropertyDescriptor(win.HTMLIFrameElement.prototype, 'contentWindow');
+    Object.defineProperty(win.HTMLIFrameElement.prototype, 'contentWindow', {
+        configurable : true,
+        get : function()
+        {
+            var frame = descriptor.get.call(this);
+            if(frame && !frame.fakedGecko)
+            {
+                frame.fakedGecko = true;
+                fakeDesignMode(frame.Document.prototype);
+                fakeCommands(frame.Document.prototype, state, calls);
+            }
+            return frame;
+        }
+    });
+    fakeDesignMode(win.Document.prototype);
+    return fakeCommands(win.Document.prototype, state, calls);
+}
+
+// designMode as a property holding "on" or "off"
+function fakeDesignMode(proto)
+{
+    Object.defineProperty(proto, 'designMode', {
+        configurable : true,
+        get : function()
+        {
+            return this.fakeDesignMode || "off";
+        },
+        set : function(value)
+        {
+            this.fakeDesignMode = (String(value).toLowerCase() == "on") ? "on" : "off";
+        }
+    });
+}
+
+// IE: attachEvent and detachEvent in place of the W3C event model, document.selection and TextRanges in place of
+// W3C selections, and the browser's commands. Returns {attached, commands}, attached listing the listeners
+// currently attached as {target, type, listener}
+function fakeIE(win, state)
+{
+    var attached = [];
+    var proto = win.EventTarget.prototype;
+    var addEventListener = proto.addEventListener;
+    var removeEventListener = proto.removeEventListener;
+
+    proto.attachEvent = function(type, listener)
+    {
+        attached.push({target: this, type: type, listener: listener});
+        addEventListener.call(this, type.replace(/^on/, ""), listener);
+        return true;
+    };
+    proto.detachEvent = function(type, listener)
+    {
+        for(var i = attached.length - 1; i >= 0; i--)
+        {
+            if(attached[i].target == this && attached[i].type == type && attached[i].listener == listener)
+                attached.splice(i, 1);
+        }
+        removeEventListener.call(this, type.replace(/^on/, ""), listener);
+    };
+
+    // The W3C methods go, the window has its own copies rather than the prototype's
+    proto.addEventListener = undefined;
+    proto.removeEventListener = undefined;
+    win.addEventListener = undefined;
+    win.removeEventListener = undefined;
+    win.getSelection = undefined;
+
+    fakeContentEditable(win);
+
+    var doc = win.document;
+    var selection = new FakeTextRange(doc, 0, 0);
+    doc.selection = {
+        createRange : function()
+        {
+            return new FakeTextRange(doc, selection.start, selection.end);
+        },
+        // Tests select text as IE users would, by character offsets into the body
+        select : function(start, end)
+        {
+            selection = new FakeTextRange(doc, start, end);
+        },
+        range : function()
+        {
+            return selection;
+        }
+    };
+    win.HTMLBodyElement.prototype.createTextRange = function()
+    {
+        return new FakeTextRange(doc, 0, this.textContent.length);
+    };
+
+    var commands = fakeCommands(doc, state);
+    return {attached: attached, commands: commands};
+}
+
+// IE TextRange over the text of a document body, start and end are character offsets into it
+function FakeTextRange(doc, start, end)
+{
+    this.doc = doc;
+    this.start = start;
+    this.end = end;
+
+    // Text the range covers
+    Object.defineProperty(this, 'text', {
+        get : function()
+        {
+            return this.doc.body.textContent.substring(this.start, this.end);
+        }
+    });
+}
+
+// Character offset into the body of where element's text starts
+FakeTextRange.prototype.offsetOf = function(element)
+{
+    var range = this.doc.createRange();
+    range.selectNodeContents(this.doc.body);
+    range.setEndBefore(element);
+    return range.toString().length;
+};
+
+FakeTextRange.prototype.moveToElementText = function(element)
+{
+    this.start = this.offsetOf(element);
+    this.end = this.start + element.textContent.length;
+};
+
+FakeTextRange.prototype.collapse = function(toStart)
+{
+    if(toStart)
+        this.end = this.start;
+    else
+        this.start = this.end;
+};
+
+FakeTextRange.prototype.moveStart = function(unit, count)
+{
+    this.start = Math.max(0, Math.min(this.end, this.start + count));
+    return count;
+};
+
+FakeTextRange.prototype.moveEnd = function(unit, count)
+{
+    this.end = Math.max(this.start, Math.min(this.doc.body.textContent.length, this.end + count));
+    return count;
+};
+
+FakeTextRange.prototype.setEndPoint = function(how, other)
+{
+    var point = /ToStart$/.test(how) ? other.start : other.end;
+    if(/^Start/.test(how))
+        this.start = point;
+    else
+        this.end = point;
+};
+
+// The element holding the start of the range
+FakeTextRange.prototype.parentElement = function()
+{
+    var walker = this.doc.createTreeWalker(this.doc.body, 4);
+    var offset = this.start;
+    for(var text = walker.nextNode(); text; text = walker.nextNode())
+    {
+        if(offset < text.nodeValue.length || (offset == text.nodeValue.length && this.start == this.end))
+            return text.parentNode;
+        offset -= text.nodeValue.length;
+    }
+    return this.doc.body;
+};
+
+FakeTextRange.prototype.select = function()
+{
+    this.doc.selection.select(this.start, this.end);
+};
+
+// Copy of a value made in a window, in Node's own objects, so deepStrictEqual() doesn't fail it for coming from
+// another realm
+function copy(value)
+{
+    if(!value || typeof value != "object")
+        return value;
+
+    var result = (typeof value.length == "number") ? [] : {};
+    for(var key in value)
+        result[key] = copy(value[key]);
+    return result;
+}
+
+// Fire a DOM event at target, such as the keyup that makes an editor check its selection
+function fireEvent(target, type)
+{
+    var win = (target.ownerDocument || target).defaultView;
+    target.dispatchEvent(new win.Event(type, {bubbles: true}));
+}
+
+module.exports = {
+    createWindow : createWindow,
+    fakeCommands : fakeCommands,
+    fakeWebkit   : fakeWebkit,
+    fakeGecko    : fakeGecko,
+    fakeIE       : fakeIE,
+    copy         : copy,
+    fireEvent    : fireEvent
+};
@@ -0,0 +1,66 @@
+var test = require('node:test');
+var assert = require('node:assert');
+var harness = require('./helpers/harness');
+
+var CONTENT = '<p>An <a href="https://example.com/">image</a> <img src="https://example.com/a.png"> and ' +
+    '<span class="editable-mention" contenteditable="false" data-id="7" data-mention="@">@Ann</span>&nbsp;</p>' +
+    '<table><tbody><tr><td>Cell</td></tr></tbody></table>';
+
+test.describe("setMode", function()
+{
+    var win, node, editable;
+    test.beforeEach(function()
+    {
+        win = harness.createWindow('<div id="node">' + CONTENT + '</div>');
+        node = win.document.getElementById('node');
+        editable = win.createEditable(node, {engine: 'modern'});
+    });
+    test.afterEach(function()
+    {
+        editable.editableOff();
+        win.close();
+    });
+
+    test.it("keeps the content the same through every mode", function()
+    {
+        var content = editable.getContent();
+        assert.strictEqual(content, CONTENT);
+
+        ['readonly', 'source', 'edit', 'source', 'readonly', 'edit'].forEach(function(mode)
+        {
+            assert.strictEqual(editable.setMode(mode), true);
+            assert.strictEqual(editable.mode, mode);
+            assert.strictEqual(editable.getContent(), content);
+        });
+    });
+
+    test.it("leaves scripts out of source edited by hand, and can be undone", function()
+    {
+        editable.setMode('source');
+        editable.sourceView.textarea.value = '<p onclick="steal()">New <a href="javascript:steal()">link</a></p>' +
+            '<script>steal()</script>';
+        editable.setMode('edit');
+        assert.strictEqual(editable.getContent(), '<p>New <a>link</a></p>');
+
+        assert.strictEqual(editable.undo(), true);
+        assert.strictEqual(editable.getContent(), CONTENT);
+    });
+
+    test.it("leaves forms, scheme-less images and foreign classes out of source edited by hand", function()
+    {
+        editable.setMode('source');
+        editable.sourceView.textarea.value = '<form action="https://evil.example"><input name=q></form>' +
+            '<img src="https://tracker.example/p.gif"><img src="//evil.example/x.png"><p class="MsoNormal">Text</p>';
+        assert.strictEqual(editable.getContent(), '<img src="https://tracker.example/p.gif"><p>Text</p>');
+        editable.setMode('edit');
+        assert.strictEqual(editable.getContent(), '<img src="https://tracker.example/p.gif"><p>Text</p>');
+    });
+
+    test.it("refuses changes while read-only", function()
+    {
+        editable.setMode('readonly');
+        assert.strictEqual(node.getAttribute('aria-readonly'), "true");
+        assert.strictEqual(editable.execCommand('bold'), false);
+        assert.strictEqual(editable.getContent(), CONTENT);
+    });
+});
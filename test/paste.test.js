@@ -0,0 +1,54 @@
+var test = require('node:test');
+var assert = require('node:assert');
+var harness = require('./helpers/harness');
+
+// Paste into the editor from a clipboard holding the given html and text
+function paste(win, node, html, text)
+{
+    var event = new win.Event('paste', {bubbles: true, cancelable: true});
+    event.clipboardData = {
+        getData: function(type)
+        {
+            return type == 'text/html' ? html : text;
+        }
+    };
+    node.dispatchEvent(event);
+}
+
+test.describe("paste", function()
+{
+    var win, node, editable;
+    test.beforeEach(function()
+    {
+        win = harness.createWindow('<div id="node"><p>hello world</p></div>');
+        node = win.document.getElementById('node');
+        editable = win.createEditable(node, {engine: 'modern'});
+    });
+    test.afterEach(function()
+    {
+        editable.editableOff();
+        win.close();
+    });
+
+    test.it("keeps the spaces around pasted html and text", function()
+    {
+        editable.setSelectionOffsets({start: 6, end: 6});
+        paste(win, node, 'big ', 'big ');
+        assert.strictEqual(editable.getContent(), '<p>hello big world</p>');
+
+        editable.setSelectionOffsets({start: 0, end: 0});
+        paste(win, node, '', 'new ');
+        assert.strictEqual(editable.getContent(), '<p>new hello big world</p>');
+
+        editable.setSelectionOffsets({start: 13, end: 13});
+        editable.insertHTML(' there');
+        assert.strictEqual(editable.getContent(), '<p>new hello big there world</p>');
+    });
+
+    test.it("leaves out handlers and script URLs in inserted html", function()
+    {
+        editable.setSelectionOffsets({start: 5, end: 5});
+        editable.insertHTML(' <img src="/x.png" onerror="steal()"><a href="javascript:steal()">a</a>');
+        assert.strictEqual(editable.getContent(), '<p>hello <img src="/x.png"><a>a</a> world</p>');
+    });
+});
@@ -0,0 +1,159 @@
+var test = require('node:test');
+var assert = require('node:assert');
+var harness = require('./helpers/harness');
+
+test.describe("convertColor", function()
+{
+    var win;
+    test.before(function()
+    {
+        win = harness.createWindow();
+    });
+    test.after(function()
+    {
+        win.close();
+    });
+
+    test.it("turns IE's BGR numbers into hex", function()
+    {
+        assert.strictEqual(win.convertColor(0), "#000000");
+        assert.strictEqual(win.convertColor(0x0000ff), "#ff0000");
+        assert.strictEqual(win.convertColor(0x00ff00), "#00ff00");
+        assert.strictEqual(win.convertColor(0xff0000), "#0000ff");
+        assert.strictEqual(win.convertColor(0x336699), "#996633");
+    });
+
+    test.it("turns rgb() into hex, with or without spaces", function()
+    {
+        assert.strictEqual(win.convertColor("rgb(255, 0, 0)"), "#ff0000");
+        assert.strictEqual(win.convertColor("rgb(1,2,3)"), "#010203");
+        assert.strictEqual(win.convertColor("rgb( 18 , 52 , 86 )"), "#123456");
+    });
+
+    test.it("passes hex through as it is", function()
+    {
+        assert.strictEqual(win.convertColor("#abc"), "#abc");
+        assert.strictEqual(win.convertColor("#A0B0C0"), "#A0B0C0");
+    });
+
+    test.it("returns null for anything else", function()
+    {
+        assert.strictEqual(win.convertColor("red"), null);
+        assert.strictEqual(win.convertColor("rgb(1, 2)"), null);
+        assert.strictEqual(win.convertColor("rgba(1, 2, 3, 0.5)"), null);
+        assert.strictEqual(win.convertColor(""), null);
+    });
+
+    test.it("returns null for values that are neither strings nor numbers", function()
+    {
+        assert.strictEqual(win.convertColor(true), null);
+        assert.strictEqual(win.convertColor(null), null);
+        assert.strictEqual(win.convertColor(undefined), null);
+        assert.strictEqual(win.convertColor({}), null);
+    });
+});
+
+test.describe("checkNodeType", function()
+{
+    var win, editable;
+    test.before(function()
+    {
+        win = harness.createWindow('<div id="node">Text <b>bold</b></div>');
+        editable = new win.EditableBase();
+    });
+    test.after(function()
+    {
+        win.close();
+    });
+
+    test.it("accepts elements", function()
+    {
+        assert.strictEqual(editable.checkNodeType(win.document.getElementById('node')), true);
+        assert.strictEqual(editable.checkNodeType(win.document.createElement('span')), true);
+    });
+
+    test.it("refuses other nodes and values", function()
+    {
+        var node = win.document.getElementById('node');
+        assert.strictEqual(editable.checkNodeType(node.firstChild), false);
+        assert.strictEqual(editable.checkNodeType(win.document), false);
+        assert.strictEqual(editable.checkNodeType(win.document.createComment("x")), false);
+        assert.strictEqual(editable.checkNodeType(null), false);
+        assert.strictEqual(editable.checkNodeType({}), false);
+    });
+
+    test.it("keeps editableOn() from editing anything but an element", function()
+    {
+        var node = win.document.getElementById('node');
+        var webkit = new win.EditableWebkit();
+        assert.strictEqual(webkit.editableOn(node.firstChild), false);
+        assert.strictEqual(webkit.node, null);
+    });
+});
+
+test.describe("serializeContent", function()
+{
+    var win;
+    test.before(function()
+    {
+        win = harness.createWindow();
+    });
+    test.after(function()
+    {
+        win.close();
+    });
+
+    test.it("leaves out event handlers, script URLs and elements that run script", function()
+    {
+        var html = '<p onclick="steal()">a<a href=" javascript:steal()">b</a><img src="/x.png" onerror="steal()">' +
+            '<img src="data:text/html,x"><script>steal()</script><iframe src="/frame"></iframe>' +
+            '<a href="/page">c</a></p><form><button formaction="javascript:steal()">go</button></form>' +
+            '<math><a xlink:href="javascript:steal()">m</a></math><video poster="javascript:steal()"></video>';
+        assert.strictEqual(win.serializeContent(win.parseContent(html)),
+            '<p>a<a>b</a><img src="/x.png"><img><a href="/page">c</a></p><form><button>go</button></form>' +
+            '<math><a>m</a></math><video></video>');
+    });
+});
+
+test.describe("sanitize", function()
+{
+    var win;
+    test.before(function()
+    {
+        win = harness.createWindow();
+    });
+    test.after(function()
+    {
+        win.close();
+    });
+
+    test.it("takes what a schema leaves out from the default schema", function()
+    {
+        var html = '<p onclick="steal()">a <a href="http://example.com/">b</a> <b>c</b><script>steal()</script></p>';
+        assert.strictEqual(win.sanitize(html, {tags: {p: [], a: ['href']}}),
+            '<p>a <a href="http://example.com/">b</a> c</p>');
+        assert.strictEqual(win.sanitize(html, {}), win.sanitize(html));
+    });
+
+    test.it("keeps only images embedded in the content, none a relative or scheme-less URL would fetch", function()
+    {
+        var png = 'data:image/png;base64,iVBORw0KGgo=';
+        var html = '<p><img src="' + png + '"><img src="//evil.example/x.png"><img src="/track.png">' +
+            '<img src="https://tracker.example/p.gif"><a href="/page">a</a></p>';
+        assert.strictEqual(win.sanitize(html), '<p><img src="' + png + '"><a href="/page">a</a></p>');
+    });
+
+    test.it("keeps mention tokens as tokens, with nothing else on them", function()
+    {
+        var html = '<span class="editable-mention other" contenteditable="false" data-mention="@" data-id="7" ' +
+            'onclick="steal()" title="x">@Ann</span>';
+        assert.strictEqual(win.sanitize(html),
+            '<span class="editable-mention" contenteditable="false" data-mention="@" data-id="7">@Ann</span>');
+    });
+
+    test.it("unwraps mention tokens when the schema has no spans", function()
+    {
+        var html = '<p><span class="editable-mention" data-mention="@">@bob</span></p>';
+        assert.strictEqual(win.sanitize(html, {tags: {p: []}}), '<p>@bob</p>');
+    });
+});